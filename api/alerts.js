@@ -0,0 +1,93 @@
+const { loadAlertConfig } = require('../lib/alerts/config');
+const { loadAlertState, readAlertHistory } = require('../lib/alerts');
+const { readNumber, sendQueryErrors } = require('../lib/query');
+
+/**
+ * Delivery status of a sink with ISO times
+ * @param {Object} [status] - Sink status from the alert state
+ * @returns {Object|null} Delivery status, null before the first delivery
+ */
+function deliveryStatus(status) {
+  if (!status) return null;
+  const iso = time => time ? new Date(time).toISOString() : null;
+  return {
+    lastDelivery: iso(status.lastDelivery),
+    lastFailure: iso(status.lastFailure),
+    lastError: status.lastError,
+    failures: status.failures
+  };
+}
+
+/**
+ * Alerts handler for Vercel
+ *
+ * GET /api/alerts?limit=&ruleId=&symbol=
+ * Returns the configured rules, the currently active alerts and recent history.
+ * Sink settings are reduced to name, type and delivery status so secrets never
+ * leave the server.
+ */
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: `${req.method} is not supported`,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  const query = req.query || {};
+  const errors = [];
+  const limit = readNumber(query, 'limit', { defaultValue: 100, min: 1, max: 1000, integer: true }, errors);
+
+  if (errors.length > 0) {
+    sendQueryErrors(res, errors);
+    return;
+  }
+
+  try {
+    const config = loadAlertConfig();
+    const state = await loadAlertState();
+    const symbol = query.symbol ? String(query.symbol).toUpperCase() : undefined;
+
+    const active = Object.entries(state.active)
+      .map(([key, alert]) => ({
+        key,
+        ...alert,
+        since: new Date(alert.since).toISOString(),
+        lastFired: state.lastFired[key] ? new Date(state.lastFired[key]).toISOString() : null
+      }))
+      .filter(alert => (!query.ruleId || alert.ruleId === query.ruleId) && (!symbol || alert.symbol === symbol));
+
+    res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      rules: config.rules,
+      sinks: Object.entries(config.sinks).map(([name, sink]) => ({ name, type: sink.type, delivery: deliveryStatus(state.sinks[name]) })),
+      active: active,
+      history: await readAlertHistory({ limit, ruleId: query.ruleId, symbol })
+    });
+
+  } catch (error) {
+    console.error('Error in alerts handler:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,72 @@
+const { parseBacktestQuery, runBacktest } = require('../lib/backtest');
+const { sendQueryErrors } = require('../lib/query');
+
+/**
+ * Funding carry backtest handler for Vercel
+ *
+ * GET /api/backtest?long=mexc&short=binance&symbols=&universe=&topN=&rebalanceHours=
+ *   &days=&from=&to=&notional=&takerFee=&slippage=&minSpread=&source=store|exchange
+ * Replays settled funding of the long and short venues and returns the equity
+ * curve, per-symbol PnL, max drawdown and Sharpe ratio. Fees, slippage and
+ * spreads are percentages; notional is USD per leg. Without `symbols` the
+ * universe is today's widest spreads. `source=exchange` reads the venues'
+ * history live, for at most 20 symbols over 30 days, and answers 504 when it
+ * runs out of time.
+ */
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: `${req.method} is not supported`,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  const errors = [];
+  const options = parseBacktestQuery(req.query || {}, errors);
+
+  if (errors.length > 0) {
+    sendQueryErrors(res, errors);
+    return;
+  }
+
+  try {
+    const startTime = Date.now();
+    const result = await runBacktest(options);
+    const duration = Date.now() - startTime;
+
+    console.log(`Backtest: ${result.summary.totalPnl} USD over ${result.summary.rebalances} rebalances in ${duration}ms`);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration: `${duration}ms`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error in backtest handler:', error);
+    const timedOut = error.code === 'ETIMEDOUT';
+    res.status(timedOut ? 504 : 500).json({
+      success: false,
+      error: timedOut ? 'Exchange history timeout' : 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = handler;
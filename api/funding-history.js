@@ -0,0 +1,153 @@
+const { getExchange } = require('../lib/exchanges');
+const { getStore } = require('../lib/storage');
+const { parseTime } = require('../lib/history');
+const { MARGIN_TYPES } = require('../lib/margin');
+const { readNumber } = require('../lib/query');
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+
+/**
+ * Parse a page cursor, `<timestamp>:<records at that timestamp already returned>`
+ * @param {string} [value] - Cursor from a previous page's pagination.nextCursor
+ * @returns {{time: number, skip: number}|null|undefined} Cursor, null when absent, undefined when invalid
+ */
+function parseCursor(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = /^(\d+):(\d+)$/.exec(String(value));
+  if (!match) return undefined;
+  return { time: parseInt(match[1]), skip: parseInt(match[2]) };
+}
+
+/**
+ * Cursor continuing after the last record of a page
+ * @param {Array<Object>} page - Records returned, oldest first
+ * @param {{time: number, skip: number}|null} cursor - Cursor the page started at
+ * @returns {string} Next cursor
+ */
+function nextCursor(page, cursor) {
+  const last = page[page.length - 1].timestamp;
+  let skip = page.filter(record => record.timestamp === last).length;
+  if (cursor && cursor.time === last) skip += cursor.skip;
+  return `${last}:${skip}`;
+}
+
+/**
+ * Funding history handler for Vercel
+ *
+ * GET /api/funding-history?symbol=BTC&exchange=binance&from=&to=&source=&margin=usdt|usdc|coin&limit=&cursor=
+ * `from`/`to` accept epoch milliseconds or ISO dates. Without `exchange` the
+ * series of every stored exchange is returned. `margin` picks the contract,
+ * the USDT perpetual by default. At most `limit` records (1000 by default) are
+ * returned, oldest first; pass `pagination.nextCursor` as `cursor` for the next page.
+ */
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: `${req.method} is not supported`,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  const query = req.query || {};
+  const symbol = query.symbol ? String(query.symbol).toUpperCase() : null;
+  const exchange = query.exchange ? String(query.exchange).toLowerCase() : null;
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  const marginType = query.margin ? String(query.margin).toLowerCase() : 'usdt';
+  const limitErrors = [];
+  const limit = readNumber(query, 'limit', { defaultValue: DEFAULT_LIMIT, min: 1, max: MAX_LIMIT, integer: true }, limitErrors);
+  const cursor = parseCursor(query.cursor);
+
+  let message = null;
+  if (!symbol) {
+    message = 'symbol is required';
+  } else if (exchange && !getExchange(exchange)) {
+    message = `Unknown exchange: ${exchange}`;
+  } else if (Number.isNaN(from) || Number.isNaN(to)) {
+    message = 'from and to must be epoch milliseconds or ISO dates';
+  } else if (from && to && from > to) {
+    message = 'from must be before to';
+  } else if (query.source && !['snapshot', 'settlement'].includes(query.source)) {
+    message = 'source must be snapshot or settlement';
+  } else if (!MARGIN_TYPES.includes(marginType)) {
+    message = `margin must be one of: ${MARGIN_TYPES.join(', ')}`;
+  } else if (limitErrors.length > 0) {
+    message = limitErrors[0];
+  } else if (cursor === undefined) {
+    message = 'cursor must be a pagination.nextCursor value';
+  }
+
+  if (message) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      message: message,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  try {
+    // Resume at the cursor's timestamp and drop the records there already returned;
+    // one extra record tells whether another page follows
+    const skip = cursor ? cursor.skip : 0;
+    const records = (await getStore().query({
+      symbol,
+      exchange,
+      from: cursor ? Math.max(from || 0, cursor.time) : from,
+      to,
+      source: query.source,
+      marginType,
+      limit: limit + skip + 1
+    })).slice(skip);
+    const page = records.slice(0, limit);
+    const hasMore = records.length > limit;
+
+    // Group into one time series per exchange
+    const series = {};
+    page.forEach(record => {
+      (series[record.exchange] = series[record.exchange] || []).push(record);
+    });
+
+    res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      symbol: symbol,
+      marginType: marginType,
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? new Date(to).toISOString() : null,
+      count: page.length,
+      series: series,
+      pagination: {
+        limit: limit,
+        hasMore: hasMore,
+        nextCursor: hasMore ? nextCursor(page, cursor) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in funding history handler:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = handler;
@@ -1,352 +1,42 @@
-const ccxt = require('ccxt');
-
-// Exchange configurations
-const exchanges = {
-  binance: new ccxt.binance({
-    sandbox: false,
-    enableRateLimit: true,
-  }),
-  mexc: new ccxt.mexc({
-    sandbox: false,
-    enableRateLimit: true,
-  })
-};
-
-/**
- * Calculate funding rate interval from timestamps
- * @param {number} currentTime - Current funding timestamp
- * @param {number} nextTime - Next funding timestamp
- * @returns {number} Funding rate interval in hours
- */
-function calculateFundingInterval(currentTime, nextTime) {
-  if (!currentTime || !nextTime) return null;
-  const diffMs = nextTime - currentTime;
-  const diffHours = diffMs / (1000 * 60 * 60);
-  return Math.round(diffHours);
-}
-
-/**
- * Get actual funding rate interval for a specific market using funding history
- * @param {Object} exchange - CCXT exchange instance
- * @param {string} symbol - Trading symbol
- * @returns {Promise<number>} Funding rate interval in hours
- */
-async function getFundingIntervalForSymbol(exchange, symbol) {
-  try {
-    // Get more funding rate history to be more accurate (last 3-5 records)
-    const fundingHistory = await exchange.fetchFundingRateHistory(symbol, undefined, 5);
-    if (fundingHistory && fundingHistory.length >= 2) {
-      // Calculate intervals between consecutive funding rates
-      const intervals = [];
-      for (let i = 0; i < fundingHistory.length - 1; i++) {
-        const interval = calculateFundingInterval(
-          fundingHistory[i + 1].timestamp, // Earlier timestamp
-          fundingHistory[i].timestamp     // Later timestamp
-        );
-        if (interval && interval > 0 && interval <= 24) {
-          intervals.push(interval);
-        }
-      }
-
-      // Return the most common interval (mode)
-      if (intervals.length > 0) {
-        const intervalCounts = {};
-        intervals.forEach(interval => {
-          intervalCounts[interval] = (intervalCounts[interval] || 0) + 1;
-        });
-
-        // Find the most frequent interval
-        let mostCommon = intervals[0];
-        let maxCount = 0;
-        for (const [interval, count] of Object.entries(intervalCounts)) {
-          if (count > maxCount) {
-            maxCount = count;
-            mostCommon = parseInt(interval);
-          }
-        }
-        return mostCommon;
-      }
-    }
-  } catch (error) {
-    // Silently continue to other methods
-  }
-  return null;
-}
-
-/**
- * Fetch funding rates from MEXC using REST API
- * @param {Object} exchange - CCXT exchange instance
- * @returns {Promise<Array>} Array of funding rate data
- */
-async function fetchMexcFundingRates(exchange) {
-  try {
-    console.log('Fetching MEXC funding rates using REST API...');
-
-    // Load markets first
-    await exchange.loadMarkets();
-
-    const result = [];
-
-    // Try to get funding rates using MEXC's public API
-    try {
-      // Use MEXC's direct API endpoint for funding rates
-      const response = await fetch('https://contract.mexc.com/api/v1/contract/funding_rate');
-      const data = await response.json();
-
-      if (data.success && data.data) {
-        data.data.forEach(item => {
-          if (item.symbol && item.symbol.includes('USDT')) {
-            // Clean up symbol name to match Binance format
-            let baseSymbol = item.symbol.replace('_USDT', '').replace('USDT', '').toUpperCase();
-
-            // Get actual funding interval from MEXC data
-            let fundingIntervalHours = 8; // Default
-            if (item.collectCycle && typeof item.collectCycle === 'number') {
-              fundingIntervalHours = item.collectCycle; // MEXC provides the interval directly
-            }
-
-            result.push({
-              exchange: 'MEXC',
-              symbol: baseSymbol,
-              fullSymbol: `${baseSymbol}/USDT:USDT`,
-              fundingRate: item.fundingRate ? (parseFloat(item.fundingRate) * 100).toFixed(6) : null,
-              fundingTimestamp: item.nextSettleTime ? item.nextSettleTime - (fundingIntervalHours * 60 * 60 * 1000) : null,
-              fundingDatetime: item.nextSettleTime ? new Date(item.nextSettleTime - (fundingIntervalHours * 60 * 60 * 1000)).toISOString() : null,
-              nextFundingTime: item.nextSettleTime || null,
-              nextFundingDatetime: item.nextSettleTime ? new Date(item.nextSettleTime).toISOString() : null,
-              fundingIntervalHours: fundingIntervalHours,
-              markPrice: null,
-              indexPrice: null
-            });
-          }
-        });
-      }
-    } catch (apiError) {
-      console.log('MEXC direct API failed, falling back to CCXT ticker method...');
-
-      // Fallback to ticker method with limited symbols
-      const symbols = Object.keys(exchange.markets).filter(symbol =>
-        symbol.includes('/USDT') && exchange.markets[symbol].swap
-      ).slice(0, 20); // Limit to 20 symbols for performance
-
-      console.log(`MEXC: Processing ${symbols.length} perpetual contracts via ticker...`);
-
-      for (const symbol of symbols) {
-        try {
-          const ticker = await exchange.fetchTicker(symbol);
-          const baseSymbol = symbol.replace('/USDT', '');
-
-          result.push({
-            exchange: 'MEXC',
-            symbol: baseSymbol,
-            fullSymbol: symbol,
-            fundingRate: null, // No funding rate in ticker
-            fundingTimestamp: null,
-            fundingDatetime: null,
-            nextFundingTime: null,
-            nextFundingDatetime: null,
-            fundingIntervalHours: 8,
-            markPrice: ticker.last,
-            indexPrice: null
-          });
-
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } catch (error) {
-          // Skip individual symbols that fail
-        }
-      }
-    }
-
-    // Sort results by symbol name for consistency
-    result.sort((a, b) => a.symbol.localeCompare(b.symbol));
-
-    console.log(`MEXC: Found ${result.length} perpetual contracts`);
-    return result;
-
-  } catch (error) {
-    console.error('Error fetching from MEXC:', error.message);
-    return [];
-  }
-}
-
-/**
- * Fetch funding rates from a specific exchange
- * @param {string} exchangeName - Name of the exchange
- * @param {Object} exchange - CCXT exchange instance
- * @returns {Promise<Array>} Array of funding rate data
- */
-/**
- * Fetch funding rates from Binance using CCXT
- */
-async function fetchBinanceFundingRates(exchange) {
-  try {
-    console.log('Fetching Binance funding rates using CCXT...');
-
-    // Load markets first
-    console.log('Binance: Loading markets...');
-    await exchange.loadMarkets();
-
-    // Get funding rates for all perpetual contracts
-    console.log('Binance: Fetching funding rates...');
-    const fundingRates = await exchange.fetchFundingRates();
-
-    if (!fundingRates || Object.keys(fundingRates).length === 0) {
-      console.log('Binance: No funding rates returned from API');
-      return [];
-    }
-
-    console.log(`Binance: Received ${Object.keys(fundingRates).length} funding rates`);
-
-    const result = [];
-
-    // Filter for USDT perpetuals
-    const symbols = Object.keys(fundingRates).filter(symbol =>
-      symbol.includes('USDT') && symbol.includes(':')
-    );
-
-    console.log(`Binance: Found ${symbols.length} USDT perpetual symbols`);
-
-    // Process ALL symbols to ensure consistent results
-    let processedCount = 0;
-    let historyCallsCount = 0;
-    const maxHistoryCalls = 100; // Limit history calls to avoid timeout
-
-    for (const symbol of symbols) {
-      try {
-        const data = fundingRates[symbol];
-        if (!data || data.fundingRate === undefined) continue;
-
-        // Extract base symbol
-        const baseSymbol = symbol.split(':')[0].replace('/USDT', '');
-
-
-        // Calculate actual funding interval with improved logic prioritizing API data
-        let fundingIntervalHours = null; // Start with null to force calculation
-
-        // Method 1: Calculate from next funding time pattern
-        if (data.fundingTimestamp) {
-          const nextFundingTime = data.fundingTimestamp;
-          const nextFundingDate = new Date(nextFundingTime);
-          const nextHour = nextFundingDate.getUTCHours();
-
-          // Binance funding times are typically at 00:00, 08:00, 16:00 (8H) or 00:00, 04:00, 08:00, 12:00, 16:00, 20:00 (4H) or hourly
-          if (nextHour % 8 === 0) {
-            // If next funding is at 00, 08, or 16, it's 8H interval
-            fundingIntervalHours = 8;
-          } else if (nextHour % 4 === 0) {
-            // If next funding is at 00, 04, 08, 12, 16, 20, it's 4H interval
-            fundingIntervalHours = 4;
-          } else if (nextHour % 2 === 0) {
-            // If next funding is at even hours, it's 2H interval
-            fundingIntervalHours = 2;
-          } else {
-            // If next funding is at any hour, it's 1H interval
-            fundingIntervalHours = 1;
-          }
-        }
-
-        // Method 2: Try funding history for symbols that don't have interval yet (with limit)
-        if (!fundingIntervalHours && historyCallsCount < maxHistoryCalls) {
-          try {
-            const historyInterval = await getFundingIntervalForSymbol(exchange, symbol);
-            historyCallsCount++; // Increment counter
-
-            if (historyInterval && historyInterval > 0 && historyInterval <= 24) {
-              fundingIntervalHours = historyInterval;
-            }
-          } catch (historyError) {
-            historyCallsCount++; // Still count failed calls
-            // Continue to fallback
-          }
-
-          // Add small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 30));
-        }
-
-        // Method 3: Final fallback - use 8H as default (most conservative)
-        if (!fundingIntervalHours) {
-          fundingIntervalHours = 8; // Default to 8H if we can't detect
-          console.log(`${baseSymbol}: Using fallback 8H interval`);
-        }
-
-        result.push({
-          exchange: 'BINANCE',
-          symbol: baseSymbol,
-          fullSymbol: symbol,
-          fundingRate: data.fundingRate ? (data.fundingRate * 100).toFixed(6) : '0.000000',
-          fundingTimestamp: data.fundingTimestamp,
-          fundingDatetime: data.fundingDatetime,
-          nextFundingTime: data.nextFundingTime || data.fundingTimestamp,
-          nextFundingDatetime: data.nextFundingDatetime || data.fundingDatetime,
-          fundingIntervalHours: fundingIntervalHours,
-          markPrice: data.markPrice,
-          indexPrice: data.indexPrice
-        });
-
-        processedCount++;
-
-      } catch (symbolError) {
-        console.log(`Binance symbol error ${symbol}:`, symbolError.message);
-      }
-    }
-
-    // Sort results by symbol name for consistency
-    result.sort((a, b) => a.symbol.localeCompare(b.symbol));
-
-    // Log interval distribution
-    const intervalCounts = {};
-
-    result.forEach(item => {
-      const interval = `${item.fundingIntervalHours}H`;
-      intervalCounts[interval] = (intervalCounts[interval] || 0) + 1;
-    });
-
-    console.log(`Binance intervals:`, intervalCounts);
-    console.log(`Total funding history API calls made: ${historyCallsCount}/${maxHistoryCalls}`);
-    console.log(`1H coins (${result.filter(r => r.fundingIntervalHours === 1).length}):`,
-      result.filter(r => r.fundingIntervalHours === 1).map(r => r.symbol));
-    console.log(`2H coins (${result.filter(r => r.fundingIntervalHours === 2).length}):`,
-      result.filter(r => r.fundingIntervalHours === 2).slice(0, 15).map(r => r.symbol));
-    console.log(`4H coins (${result.filter(r => r.fundingIntervalHours === 4).length}):`,
-      result.filter(r => r.fundingIntervalHours === 4).slice(0, 10).map(r => r.symbol));
-    console.log(`8H coins (${result.filter(r => r.fundingIntervalHours === 8).length}):`,
-      result.filter(r => r.fundingIntervalHours === 8).slice(0, 10).map(r => r.symbol));
-
-    console.log(`Binance: Successfully processed ${processedCount}/${symbols.length} contracts`);
-    return result;
-
-  } catch (error) {
-    console.error('Binance CCXT error:', error.message);
-    return [];
-  }
-}
-
-async function fetchFundingRates(exchangeName, exchange) {
-  try {
-    console.log(`Fetching funding rates from ${exchangeName}...`);
-
-    // Special handling for each exchange using CCXT
-    if (exchangeName === 'mexc') {
-      return await fetchMexcFundingRates(exchange);
-    } else if (exchangeName === 'binance') {
-      return await fetchBinanceFundingRates(exchange);
-    }
-
-    return [];
-
-  } catch (error) {
-    console.error(`Error fetching from ${exchangeName}:`, error.message);
-    return [];
-  }
-}
+const { getExchange, parseExchangeList } = require('../lib/exchanges');
+const { buildDifferenceStats } = require('../lib/comparison');
+const { BASES, DEFAULT_BASIS } = require('../lib/normalize');
+const { CACHE_TTL_SECONDS, CACHE_STALE_SECONDS } = require('../lib/snapshot');
+const { sendCachedJson, sendCachedText } = require('../lib/http');
+const { readIntervalChanges } = require('../lib/intervals');
+const { readNumber, readEnum, sendQueryErrors } = require('../lib/query');
+const { parseTableQuery } = require('../lib/table-query');
+const { FORMATS, CONTENT_TYPES, toCsv, toNdjson } = require('../lib/formats');
+const { readMarginTypes } = require('../lib/margin');
+const { buildFundingTable } = require('../lib/funding-table');
+const {
+  DEFAULT_ACCOUNT_DAYS,
+  MAX_ACCOUNT_DAYS,
+  checkAccountAccess,
+  describeAccounts
+} = require('../lib/account');
+
+// How far back interval changes are reported alongside the rates
+const INTERVAL_CHANGE_WINDOW_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Main handler function for Vercel
+ *
+ * GET /api/funding-rates?exchanges=&basis=&margin=usdt,usdc,coin&fresh=1
+ *   &symbols=&minAbsDiff=&category=&categoryBy=&interval=&sort=&order=&limit=&offset=&include=raw
+ *   &format=json|csv|ndjson&account=1&accountDays=30
+ * Filters, sorting and pagination apply to tableData; the summary covers every row.
+ * `margin` lists margin types in order of preference, USDT perpetuals by default.
+ * `account=1` overlays the positions and funding payments of the configured
+ * accounts (see lib/account); such responses are never cached, and carry no
+ * CORS header so other sites can't read them.
  */
 async function handler(req, res) {
+  const query = req.query || {};
+  const account = ['1', 'true'].includes(String(query.account));
+
   // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (!account) res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
@@ -356,204 +46,160 @@ async function handler(req, res) {
   }
 
   if (req.method !== 'GET') {
-    res.status(405).json({ error: 'Method not allowed' });
+    res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: `${req.method} is not supported`,
+      timestamp: new Date().toISOString()
+    });
     return;
   }
 
-  try {
-    const startTime = Date.now();
-    console.log('Starting funding rates fetch...');
-
-    // Fetch from both exchanges with detailed logging
-    console.log('=== Starting exchange data fetch ===');
-
-    let binanceRates = [];
-    let mexcRates = [];
-
-    // Fetch Binance with detailed error tracking
-    try {
-      console.log('Fetching Binance data...');
-      const binancePromise = fetchFundingRates('binance', exchanges.binance);
-      const binanceTimeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Binance 20s timeout')), 20000)
-      );
-
-      binanceRates = await Promise.race([binancePromise, binanceTimeout]);
-      console.log(`✅ Binance success: ${binanceRates.length} rates`);
-
-    } catch (binanceError) {
-      console.error('❌ Binance failed:', binanceError.message);
-      console.error('❌ Binance stack:', binanceError.stack);
-      binanceRates = [];
-    }
-
-    // Fetch MEXC with detailed error tracking
-    try {
-      console.log('Fetching MEXC data...');
-      const mexcPromise = fetchFundingRates('mexc', exchanges.mexc);
-      const mexcTimeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('MEXC 20s timeout')), 20000)
-      );
-
-      mexcRates = await Promise.race([mexcPromise, mexcTimeout]);
-      console.log(`✅ MEXC success: ${mexcRates.length} rates`);
-
-    } catch (mexcError) {
-      console.error('❌ MEXC failed:', mexcError.message);
-      mexcRates = [];
-    }
+  const { ids: exchangeIds, unknown } = parseExchangeList(query.exchanges);
 
-    console.log(`=== Final counts: Binance=${binanceRates.length}, MEXC=${mexcRates.length} ===`);
-
-    // Create lookup maps for easier comparison
-    const binanceMap = {};
-    const mexcMap = {};
-
-    binanceRates.forEach(item => {
-      binanceMap[item.symbol] = item;
+  if (unknown.length > 0 || exchangeIds.length === 0) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid exchanges parameter',
+      message: unknown.length > 0 ? `Unknown exchanges: ${unknown.join(', ')}` : 'No exchanges selected',
+      timestamp: new Date().toISOString()
     });
+    return;
+  }
 
-    mexcRates.forEach(item => {
-      mexcMap[item.symbol] = item;
+  const basis = query.basis ? String(query.basis).toLowerCase() : DEFAULT_BASIS;
+  if (!BASES.includes(basis)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid basis parameter',
+      message: `basis must be one of: ${BASES.join(', ')}`,
+      timestamp: new Date().toISOString()
     });
+    return;
+  }
 
-    // Find common symbols and calculate differences
-    const comparisonTable = [];
-    const allSymbols = new Set([...Object.keys(binanceMap), ...Object.keys(mexcMap)]);
-
-    allSymbols.forEach(symbol => {
-      const binanceData = binanceMap[symbol];
-      const mexcData = mexcMap[symbol];
-
-      // Only include if symbol exists on both exchanges
-      if (binanceData && mexcData && (binanceData.fundingRate !== null || mexcData.fundingRate !== null)) {
-        const binanceRate = parseFloat(binanceData.fundingRate) || 0;
-        const mexcRate = parseFloat(mexcData.fundingRate) || 0;
-        const difference = mexcRate - binanceRate; // MEXC - Binance
+  const errors = [];
+  const tableQuery = parseTableQuery(query, exchangeIds, errors);
+  const format = readEnum(query, 'format', FORMATS, 'json', errors);
+  const marginTypes = readMarginTypes(query, errors);
+  const accountDays = readNumber(query, 'accountDays', { defaultValue: DEFAULT_ACCOUNT_DAYS, min: 1, max: MAX_ACCOUNT_DAYS, integer: true }, errors);
+  if (errors.length > 0) {
+    sendQueryErrors(res, errors);
+    return;
+  }
 
-        comparisonTable.push({
-          symbol: symbol,
-          binance: {
-            fundingRate: binanceData.fundingRate,
-            fundingIntervalHours: binanceData.fundingIntervalHours,
-            nextFundingDatetime: binanceData.nextFundingDatetime,
-            markPrice: binanceData.markPrice
-          },
-          mexc: {
-            fundingRate: mexcData.fundingRate,
-            fundingIntervalHours: mexcData.fundingIntervalHours,
-            nextFundingDatetime: mexcData.nextFundingDatetime,
-            markPrice: mexcData.markPrice
-          },
-          fundingRateDifference: difference.toFixed(6),
-          absoluteDifference: Math.abs(difference).toFixed(6),
-          favorableExchange: difference > 0 ? 'BINANCE' : difference < 0 ? 'MEXC' : 'EQUAL',
-          differenceCategory: Math.abs(difference) >= 0.1 ? 'HIGH' :
-                             Math.abs(difference) >= 0.05 ? 'MEDIUM' : 'LOW'
-        });
-      }
+  const refusal = account ? checkAccountAccess(req) : null;
+  if (refusal) {
+    res.status(refusal.status).json({
+      success: false,
+      error: 'Account mode unavailable',
+      message: refusal.message,
+      timestamp: new Date().toISOString()
     });
+    return;
+  }
 
-    // Sort by funding rate difference (ascending: most negative differences first)
-    comparisonTable.sort((a, b) => {
-      return parseFloat(a.fundingRateDifference) - parseFloat(b.fundingRateDifference);
-    });
+  try {
+    console.log('Starting funding rates fetch...');
 
-    // Combine all rates for general statistics
-    const allRates = [...binanceRates, ...mexcRates];
+    // ?fresh=1 skips the cache for this request
+    const fresh = ['1', 'true'].includes(String(query.fresh));
+
+    const {
+      ratesByExchange,
+      cache,
+      health,
+      duration,
+      down,
+      comparisonTable,
+      allSymbols,
+      symbolReport,
+      accounts,
+      rows,
+      pagination
+    } = await buildFundingTable({ exchangeIds, basis, marginTypes, tableQuery, fresh, account, accountDays });
 
-    const endTime = Date.now();
-    const duration = endTime - startTime;
+    // Combine all rates for general statistics
+    const allRates = exchangeIds.flatMap(id => ratesByExchange[id]);
 
     // Calculate funding interval statistics
     const intervalStats = {};
+    const intervalSourceStats = {};
     allRates.forEach(item => {
       const interval = `${item.fundingIntervalHours}H`;
       intervalStats[interval] = (intervalStats[interval] || 0) + 1;
+      intervalSourceStats[item.fundingIntervalSource] = (intervalSourceStats[item.fundingIntervalSource] || 0) + 1;
     });
 
-    // If no common coins, create individual table data
-    let finalTableData = comparisonTable;
-    if (comparisonTable.length === 0) {
-      console.log('No common coins found, showing individual exchange data...');
+    const intervalChanges = await readIntervalChanges({
+      since: Date.now() - INTERVAL_CHANGE_WINDOW_MS,
+      exchanges: exchangeIds
+    });
 
-      // Show top rates from each exchange
-      const topBinance = binanceRates.slice(0, 10);
-      const topMexc = mexcRates.slice(0, 10);
+    const cacheOptions = {
+      maxAge: CACHE_TTL_SECONDS,
+      staleWhileRevalidate: CACHE_STALE_SECONDS,
+      // Don't let shared caches hold on to a response missing an exchange, or to account data
+      noStore: fresh || down.length > 0 || account
+    };
 
-      finalTableData = [
-        ...topBinance.map(item => ({
-          symbol: item.symbol,
-          binance: {
-            fundingRate: item.fundingRate,
-            fundingIntervalHours: item.fundingIntervalHours,
-            nextFundingDatetime: item.nextFundingDatetime,
-            markPrice: item.markPrice
-          },
-          mexc: {
-            fundingRate: 'N/A',
-            fundingIntervalHours: 'N/A',
-            nextFundingDatetime: 'N/A',
-            markPrice: 'N/A'
-          },
-          fundingRateDifference: 'N/A',
-          absoluteDifference: 'N/A',
-          favorableExchange: 'BINANCE_ONLY',
-          differenceCategory: 'N/A'
-        })),
-        ...topMexc.map(item => ({
-          symbol: item.symbol,
-          binance: {
-            fundingRate: 'N/A',
-            fundingIntervalHours: 'N/A',
-            nextFundingDatetime: 'N/A',
-            markPrice: 'N/A'
-          },
-          mexc: {
-            fundingRate: item.fundingRate,
-            fundingIntervalHours: item.fundingIntervalHours,
-            nextFundingDatetime: item.nextFundingDatetime,
-            markPrice: item.markPrice
-          },
-          fundingRateDifference: 'N/A',
-          absoluteDifference: 'N/A',
-          favorableExchange: 'MEXC_ONLY',
-          differenceCategory: 'N/A'
-        }))
-      ];
+    // CSV and NDJSON carry just the rows, flattened the same way in both
+    if (format !== 'json') {
+      const body = format === 'csv' ? toCsv(rows, exchangeIds) : toNdjson(rows, exchangeIds);
+      console.log(`Completed in ${duration}ms. ${rows.length} ${format.toUpperCase()} rows`);
+      sendCachedText(req, res, body, CONTENT_TYPES[format], cacheOptions);
+      return;
     }
 
+    const exchangeCounts = {};
+    exchangeIds.forEach(id => {
+      exchangeCounts[id] = ratesByExchange[id].length;
+    });
+
     // Enhanced response with table format
     const response = {
-      success: true,
+      success: down.length === 0,
       timestamp: new Date().toISOString(),
       fetchDuration: `${duration}ms`,
+      basis: basis,
+      marginTypes: marginTypes,
+      cache: cache,
+      health: health,
+      exchanges: exchangeIds.map(id => ({ id, name: getExchange(id).name })),
       summary: {
         totalUniqueCoins: allSymbols.size,
         commonCoins: comparisonTable.length,
-        exchanges: {
-          binance: binanceRates.length,
-          mexc: mexcRates.length
-        },
+        exchanges: exchangeCounts,
         fundingIntervals: intervalStats,
-        differenceStats: {
-          highDifferences: comparisonTable.filter(item => item.differenceCategory === 'HIGH').length,
-          mediumDifferences: comparisonTable.filter(item => item.differenceCategory === 'MEDIUM').length,
-          lowDifferences: comparisonTable.filter(item => item.differenceCategory === 'LOW').length,
-          favorsBinance: comparisonTable.filter(item => item.favorableExchange === 'BINANCE').length,
-          favorsMexc: comparisonTable.filter(item => item.favorableExchange === 'MEXC').length
-        }
+        fundingIntervalSources: intervalSourceStats,
+        differenceStats: buildDifferenceStats(comparisonTable, exchangeIds),
+        symbolMapping: symbolReport
       },
-      tableData: finalTableData,
-      rawData: {
-        binance: binanceRates,
-        mexc: mexcRates
-      }
+      intervalChanges: intervalChanges,
+      ...(accounts ? { account: describeAccounts(accounts, accountDays) } : {}),
+      pagination: pagination,
+      tableData: rows
     };
 
+    // The raw exchange rows are large, so they are only sent on request
+    if (tableQuery.includeRaw) {
+      response.rawData = ratesByExchange;
+    }
+
     console.log(`Completed in ${duration}ms. Total contracts: ${allRates.length}`);
 
-    res.status(200).json(response);
+    if (down.length > 0) {
+      response.error = 'Exchange unavailable';
+      response.message = down.map(id => `${getExchange(id).name}: ${health[id].errorClass} (${health[id].error})`).join('; ');
+    }
+
+    // Nothing at all to serve is an outage, otherwise the payload is still useful
+    if (down.length === exchangeIds.length) {
+      res.status(503).json(response);
+      return;
+    }
+
+    sendCachedJson(req, res, response, cacheOptions);
 
   } catch (error) {
     console.error('Error in handler:', error);
@@ -573,7 +219,7 @@ module.exports = handler;
 if (require.main === module) {
   (async () => {
     console.log('Running local test...');
-    const mockReq = { method: 'GET' };
+    const mockReq = { method: 'GET', query: { exchanges: process.argv[2], margin: process.argv[3] } };
     const mockRes = {
       setHeader: () => {},
       status: (code) => ({
@@ -0,0 +1,61 @@
+const { parseExchangeList } = require('../lib/exchanges');
+const { buildComparisonTable } = require('../lib/comparison');
+const { BASES, DEFAULT_BASIS } = require('../lib/normalize');
+const { fetchSnapshot } = require('../lib/snapshot');
+const { renderMetrics } = require('../lib/metrics');
+const { readEnum, sendQueryErrors } = require('../lib/query');
+
+/**
+ * Prometheus metrics handler for Vercel
+ *
+ * GET /api/metrics?exchanges=&basis=
+ * Served from the same funding rate cache as /api/funding-rates.
+ */
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: `${req.method} is not supported`,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  const query = req.query || {};
+  const errors = [];
+
+  const { ids: exchangeIds, unknown } = parseExchangeList(query.exchanges);
+  if (unknown.length > 0) {
+    errors.push(`Unknown exchanges: ${unknown.join(', ')}`);
+  } else if (exchangeIds.length === 0) {
+    errors.push('No exchanges selected');
+  }
+  const basis = readEnum(query, 'basis', BASES, DEFAULT_BASIS, errors);
+
+  if (errors.length > 0) {
+    sendQueryErrors(res, errors);
+    return;
+  }
+
+  try {
+    const { ratesByExchange, health, duration } = await fetchSnapshot(exchangeIds);
+    const { comparisonTable } = buildComparisonTable(ratesByExchange, exchangeIds, basis);
+
+    // Counters move on every scrape, so nothing in between may cache them
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.status(200).send(renderMetrics({ ratesByExchange, comparisonTable, exchangeIds, basis, duration, health }));
+
+  } catch (error) {
+    console.error('Error in metrics handler:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = handler;
@@ -0,0 +1,110 @@
+const { getExchange, parseExchangeList } = require('../lib/exchanges');
+const { CACHE_TTL_SECONDS, CACHE_STALE_SECONDS, fetchSnapshot } = require('../lib/snapshot');
+const { sendCachedJson } = require('../lib/http');
+const { DEFAULT_OPTIONS, findOpportunities } = require('../lib/opportunities');
+const { readNumber, readEnum, sendQueryErrors } = require('../lib/query');
+
+/**
+ * Arbitrage opportunities handler for Vercel
+ *
+ * GET /api/opportunities?exchanges=&notional=&takerFee=&makerFee=&orderType=taker|maker&minReturn=&convergence=1&limit=&fresh=1
+ * Fees and returns are percentages; notional is USD per leg. `convergence=1`
+ * adds the mark price basis to the expected return. A venue that is down is
+ * reported like in /api/funding-rates: success false, with error and message.
+ */
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: `${req.method} is not supported`,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  const query = req.query || {};
+  const errors = [];
+
+  const { ids: exchangeIds, unknown } = parseExchangeList(query.exchanges);
+  if (unknown.length > 0) {
+    errors.push(`Unknown exchanges: ${unknown.join(', ')}`);
+  } else if (exchangeIds.length < 2) {
+    errors.push('At least two exchanges are needed');
+  }
+
+  const options = {
+    notional: readNumber(query, 'notional', { defaultValue: DEFAULT_OPTIONS.notional, min: 0 }, errors),
+    takerFee: readNumber(query, 'takerFee', { defaultValue: DEFAULT_OPTIONS.takerFee, min: 0 }, errors),
+    makerFee: readNumber(query, 'makerFee', { defaultValue: DEFAULT_OPTIONS.makerFee, min: 0 }, errors),
+    orderType: readEnum(query, 'orderType', ['taker', 'maker'], DEFAULT_OPTIONS.orderType, errors),
+    minReturn: readNumber(query, 'minReturn', { defaultValue: DEFAULT_OPTIONS.minReturn }, errors),
+    convergence: query.convergence === undefined ? DEFAULT_OPTIONS.convergence : ['1', 'true'].includes(String(query.convergence))
+  };
+  const limit = readNumber(query, 'limit', { defaultValue: 50, min: 1, max: 1000, integer: true }, errors);
+
+  if (errors.length > 0) {
+    sendQueryErrors(res, errors);
+    return;
+  }
+
+  try {
+    const fresh = ['1', 'true'].includes(String(query.fresh));
+    const { ratesByExchange, cache, health, duration } = await fetchSnapshot(exchangeIds, { fresh });
+    const down = exchangeIds.filter(id => health[id].status === 'down');
+    const opportunities = findOpportunities(ratesByExchange, exchangeIds, options);
+
+    console.log(`Opportunities: ${opportunities.length} plans in ${duration}ms`);
+
+    const response = {
+      success: down.length === 0,
+      timestamp: new Date().toISOString(),
+      fetchDuration: `${duration}ms`,
+      cache: cache,
+      health: health,
+      exchanges: exchangeIds.map(id => ({ id, name: getExchange(id).name })),
+      parameters: options,
+      count: opportunities.length,
+      opportunities: opportunities.slice(0, limit)
+    };
+
+    if (down.length > 0) {
+      response.error = 'Exchange unavailable';
+      response.message = down.map(id => `${getExchange(id).name}: ${health[id].errorClass} (${health[id].error})`).join('; ');
+    }
+
+    // Nothing at all to serve is an outage, otherwise the plans between the venues up are still useful
+    if (down.length === exchangeIds.length) {
+      res.status(503).json(response);
+      return;
+    }
+
+    sendCachedJson(req, res, response, {
+      maxAge: CACHE_TTL_SECONDS,
+      staleWhileRevalidate: CACHE_STALE_SECONDS,
+      // Don't let shared caches hold on to plans missing an exchange
+      noStore: fresh || down.length > 0
+    });
+
+  } catch (error) {
+    console.error('Error in opportunities handler:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = handler;
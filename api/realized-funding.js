@@ -0,0 +1,91 @@
+const { getExchange } = require('../lib/exchanges');
+const { getStore } = require('../lib/storage');
+const { buildRealizedSeries } = require('../lib/settlements');
+const { readNumber, readEnum, sendQueryErrors } = require('../lib/query');
+const { MARGIN_TYPES } = require('../lib/margin');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Realized funding handler for Vercel
+ *
+ * GET /api/realized-funding?symbol=BTC&exchange=binance&days=30&margin=usdt|usdc|coin
+ * Returns the settled funding series of a symbol per exchange with the
+ * cumulative funding, realized funding over 24h/7d/30d and how far the
+ * predicted rates were from what settled. Settlements are captured by the
+ * snapshot path and imported by the backfill.
+ */
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      message: `${req.method} is not supported`,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  const query = req.query || {};
+  const errors = [];
+  const symbol = query.symbol ? String(query.symbol).toUpperCase() : null;
+  const exchange = query.exchange ? String(query.exchange).toLowerCase() : null;
+  const days = readNumber(query, 'days', { defaultValue: 30, min: 1, max: 365 }, errors);
+  const marginType = readEnum(query, 'margin', MARGIN_TYPES, 'usdt', errors);
+
+  if (!symbol) errors.push('symbol is required');
+  if (exchange && !getExchange(exchange)) errors.push(`Unknown exchange: ${exchange}`);
+
+  if (errors.length > 0) {
+    sendQueryErrors(res, errors);
+    return;
+  }
+
+  try {
+    const now = Date.now();
+    const from = now - days * DAY_MS;
+    const records = await getStore().query({ symbol, exchange, from, to: now, source: 'settlement', marginType });
+
+    // One realized series per exchange
+    const byExchange = {};
+    records.forEach(record => {
+      (byExchange[record.exchange] = byExchange[record.exchange] || []).push(record);
+    });
+
+    const exchanges = {};
+    Object.entries(byExchange).forEach(([id, exchangeRecords]) => {
+      exchanges[id] = buildRealizedSeries(exchangeRecords, now);
+    });
+
+    res.status(200).json({
+      success: true,
+      timestamp: new Date(now).toISOString(),
+      symbol: symbol,
+      marginType: marginType,
+      from: new Date(from).toISOString(),
+      to: new Date(now).toISOString(),
+      exchanges: exchanges
+    });
+
+  } catch (error) {
+    console.error('Error in realized funding handler:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = handler;
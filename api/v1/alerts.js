@@ -0,0 +1,6 @@
+const { withResponseValidation } = require('../../lib/schema');
+
+/**
+ * GET /api/v1/alerts, validated against AlertsResponse in openapi.json
+ */
+module.exports = withResponseValidation(require('../alerts'), 'AlertsResponse');
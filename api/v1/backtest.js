@@ -0,0 +1,6 @@
+const { withResponseValidation } = require('../../lib/schema');
+
+/**
+ * GET /api/v1/backtest, validated against BacktestResponse in openapi.json
+ */
+module.exports = withResponseValidation(require('../backtest'), 'BacktestResponse');
@@ -0,0 +1,6 @@
+const { withResponseValidation } = require('../../lib/schema');
+
+/**
+ * GET /api/v1/funding-history, validated against FundingHistoryResponse in openapi.json
+ */
+module.exports = withResponseValidation(require('../funding-history'), 'FundingHistoryResponse');
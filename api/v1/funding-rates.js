@@ -0,0 +1,6 @@
+const { withResponseValidation } = require('../../lib/schema');
+
+/**
+ * GET /api/v1/funding-rates, validated against FundingRatesResponse in openapi.json
+ */
+module.exports = withResponseValidation(require('../funding-rates'), 'FundingRatesResponse');
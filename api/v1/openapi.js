@@ -0,0 +1,12 @@
+const { openapi } = require('../../lib/schema');
+
+/**
+ * GET /api/v1/openapi serves the OpenAPI document of the /api/v1 routes
+ */
+function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.status(200).json(openapi);
+}
+
+module.exports = handler;
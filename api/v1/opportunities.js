@@ -0,0 +1,6 @@
+const { withResponseValidation } = require('../../lib/schema');
+
+/**
+ * GET /api/v1/opportunities, validated against OpportunitiesResponse in openapi.json
+ */
+module.exports = withResponseValidation(require('../opportunities'), 'OpportunitiesResponse');
@@ -0,0 +1,6 @@
+const { withResponseValidation } = require('../../lib/schema');
+
+/**
+ * GET /api/v1/realized-funding, validated against RealizedFundingResponse in openapi.json
+ */
+module.exports = withResponseValidation(require('../realized-funding'), 'RealizedFundingResponse');
@@ -0,0 +1,427 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getExchange } = require('./exchanges');
+const { resolveSymbols } = require('./symbols');
+const { marketMarginType, contractKey } = require('./margin');
+const { instrumentClient } = require('./fixtures');
+const { createCache, envSeconds } = require('./cache');
+const { roundTo } = require('./normalize');
+
+/**
+ * Authenticated account mode
+ *
+ * With read-only API keys the comparison rows can carry the user's own open
+ * positions and the funding they received or paid, loaded through ccxt
+ * fetchPositions and fetchFundingHistory. Keys are read per exchange from
+ *
+ *   <ID>_API_KEY, <ID>_API_SECRET, <ID>_API_PASSWORD   e.g. BINANCE_API_KEY
+ *
+ * or from the file named by ACCOUNT_SECRETS_FILE (default ./secrets.json, see
+ * secrets.example.json), where any value written as "env:NAME" is read from
+ * process.env.NAME. The environment wins over the file. A secrets file that
+ * can't be read gives each exchange a config-error status, without its text.
+ *
+ * Keys stay on the account clients: they are never logged, never part of a
+ * response, and are masked out of exchange error messages. Over HTTP account
+ * mode needs ACCOUNT_TOKEN, sent as `Authorization: Bearer <token>`, and is
+ * refused without one: a local server is still reachable from the network and
+ * from any page the browser opens.
+ *
+ * Adapters may expose accountParams, a list of ccxt params sets each account
+ * call is made with, for venues that split contracts across APIs.
+ */
+
+const CREDENTIAL_FIELDS = {
+  apiKey: 'API_KEY',
+  secret: 'API_SECRET',
+  password: 'API_PASSWORD'
+};
+
+// Positions move with every fill; a short cache still spares the rate limits
+const ACCOUNT_TTL_SECONDS = envSeconds('ACCOUNT_CACHE_TTL_SECONDS', 30);
+
+const ACCOUNT_TIMEOUT_MS = 10000;
+
+// Funding payments per call; venues page income history at up to 1000 entries
+const PAYMENTS_LIMIT = 1000;
+
+// Pages read per params set: 20000 payments cover 90 days of hourly funding on 9 contracts
+const MAX_PAYMENT_PAGES = 20;
+
+const DEFAULT_ACCOUNT_DAYS = 30;
+const MAX_ACCOUNT_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const accountCache = createCache({
+  ttlMs: ACCOUNT_TTL_SECONDS * 1000,
+  staleMs: 5 * 60 * 1000
+});
+
+// Authenticated clients, kept apart from the public ones in the registry
+const accountClients = {};
+
+/**
+ * Load the secrets file, or an empty one when there is none
+ * @returns {Object<string, Object>} Credentials keyed by exchange id
+ * @throws {Error} When the file can't be read or parsed; the message names the file only,
+ * a parse error would quote the keys around the fault
+ */
+function loadSecretsFile() {
+  const file = process.env.ACCOUNT_SECRETS_FILE || path.join(process.cwd(), 'secrets.json');
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${path.basename(file)} is not valid JSON`);
+  }
+}
+
+/**
+ * Read the API credentials of an exchange
+ * @param {string} id - Exchange id
+ * @returns {Object|null} apiKey, secret and optional password; null without both key and secret
+ */
+function readCredentials(id) {
+  const prefix = id.toUpperCase();
+  const fromFile = loadSecretsFile()[id] || {};
+  const credentials = {};
+
+  Object.entries(CREDENTIAL_FIELDS).forEach(([field, suffix]) => {
+    let value = process.env[`${prefix}_${suffix}`] || fromFile[field];
+    if (typeof value === 'string' && value.startsWith('env:')) value = process.env[value.slice(4)];
+    if (value) credentials[field] = value;
+  });
+
+  return credentials.apiKey && credentials.secret ? credentials : null;
+}
+
+/**
+ * Check that a request may see account data
+ * @param {Object} req - Request object
+ * @returns {{status: number, message: string}|null} Refusal, null when allowed
+ */
+function checkAccountAccess(req) {
+  const token = process.env.ACCOUNT_TOKEN;
+  if (!token) {
+    return { status: 403, message: 'Account mode needs ACCOUNT_TOKEN to be set on the server' };
+  }
+
+  // Digests have the same length whatever was sent, so the comparison takes constant time
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  const header = (req.headers && req.headers.authorization) || '';
+  if (!crypto.timingSafeEqual(digest(header), digest(`Bearer ${token}`))) {
+    return { status: 401, message: 'Account mode needs a valid Authorization: Bearer token' };
+  }
+  return null;
+}
+
+/**
+ * Mask credentials out of a message, in case an exchange echoes them back
+ * @param {string} message - Error message
+ * @param {Object} credentials - Exchange credentials
+ * @returns {string} Message without any credential value
+ */
+function redact(message, credentials) {
+  return Object.values(credentials).reduce((text, value) => text.split(value).join('***'), String(message));
+}
+
+/**
+ * Get (or lazily create) the authenticated CCXT client of an exchange, with its markets loaded
+ * @param {string} id - Exchange id
+ * @param {Object} credentials - Exchange credentials
+ * @returns {Promise<Object>} CCXT exchange instance
+ */
+async function getAccountClient(id, credentials) {
+  if (!accountClients[id]) {
+    // Recorded or replayed like the public clients when FUNDING_FIXTURES is set
+    accountClients[id] = instrumentClient(Object.assign(getExchange(id).createClient(), credentials));
+  }
+  const client = accountClients[id];
+  if (!client.markets) await client.loadMarkets();
+  return client;
+}
+
+/**
+ * Resolve a ccxt symbol to the contract key the comparison rows use
+ * @param {string} id - Exchange id
+ * @param {Object} client - CCXT exchange instance with markets
+ * @param {string} fullSymbol - Unified contract symbol
+ * @returns {Object|null} symbol, marginType, key and market; null for anything but a perpetual
+ */
+function resolveContract(id, client, fullSymbol) {
+  const market = client.markets[fullSymbol];
+  const marginType = marketMarginType(market);
+  if (!marginType) return null;
+
+  const [resolved] = resolveSymbols(id, [{ symbol: market.base, fullSymbol, marginType }], client.markets);
+  return { symbol: resolved.symbol, marginType, key: contractKey(resolved), market };
+}
+
+/**
+ * Convert a ccxt position to the fields shown on a comparison side
+ * @param {Object} position - ccxt position
+ * @param {Object} market - ccxt market of the position
+ * @returns {Object} Position fields
+ */
+function toPosition(position, market) {
+  const contracts = Math.abs(parseFloat(position.contracts) || 0);
+  const markPrice = parseFloat(position.markPrice) || null;
+  const contractSize = parseFloat(position.contractSize || market.contractSize) || 1;
+  // Inverse contracts are sized in USD, linear ones in the base coin
+  const notionalUsd = market.inverse ? contracts * contractSize :
+    Math.abs(parseFloat(position.notional)) || (markPrice ? contracts * contractSize * markPrice : null);
+
+  return {
+    side: position.side || null,
+    contracts: roundTo(contracts),
+    notionalUsd: roundTo(notionalUsd, 2),
+    entryPrice: parseFloat(position.entryPrice) || null,
+    markPrice: markPrice,
+    unrealizedPnl: roundTo(parseFloat(position.unrealizedPnl), 6),
+    leverage: parseFloat(position.leverage) || null,
+    marginMode: position.marginMode || null
+  };
+}
+
+/**
+ * Call a ccxt account method once per params set of the adapter
+ * @param {Object} adapter - Exchange adapter
+ * @param {Function} call - Called with each params set, resolves to an array
+ * @returns {Promise<Array>} Concatenated results
+ */
+async function callWithAccountParams(adapter, call) {
+  const results = [];
+  for (const params of adapter.accountParams || [{}]) {
+    results.push(...await call(params));
+  }
+  return results;
+}
+
+/**
+ * Fetch the funding payments since a time, paging forward until a page comes
+ * back short. Each page starts at the last timestamp of the previous one, so
+ * payments settled in the same millisecond aren't cut in two; the overlap is
+ * dropped by id.
+ * @param {Object} client - CCXT exchange instance
+ * @param {number} since - Start of the funding payments in ms
+ * @param {Object} params - ccxt params
+ * @returns {Promise<Array>} ccxt funding history entries
+ */
+async function fetchFundingPayments(client, since, params) {
+  const payments = new Map();
+  let cursor = since;
+
+  for (let page = 0; page < MAX_PAYMENT_PAGES; page++) {
+    const batch = await client.fetchFundingHistory(undefined, cursor, PAYMENTS_LIMIT, params);
+    batch.forEach(payment => payments.set(payment.id || `${payment.symbol}:${payment.timestamp}:${payment.amount}`, payment));
+    if (batch.length < PAYMENTS_LIMIT) return [...payments.values()];
+
+    const last = Math.max(...batch.map(payment => payment.timestamp));
+    cursor = last > cursor ? last : cursor + 1;
+  }
+
+  console.log(`Account: ${client.name} funding payments stop after ${MAX_PAYMENT_PAGES} pages`);
+  return [...payments.values()];
+}
+
+/**
+ * Load the open positions and funding payments of one exchange account
+ * @param {string} id - Exchange id
+ * @param {Object} credentials - Exchange credentials
+ * @param {number} since - Start of the funding payments in ms
+ * @returns {Promise<Object>} Account entry: status plus contracts keyed by contractKey
+ */
+async function loadAccount(id, credentials, since) {
+  const adapter = getExchange(id);
+  const client = await getAccountClient(id, credentials);
+  if (!client.has || !client.has.fetchPositions || !client.has.fetchFundingHistory) {
+    return { status: 'unsupported', contracts: {} };
+  }
+
+  const positions = await callWithAccountParams(adapter, params => client.fetchPositions(undefined, params));
+  const payments = await callWithAccountParams(adapter, params => fetchFundingPayments(client, since, params));
+
+  const contracts = {};
+  const contractFor = fullSymbol => {
+    const contract = resolveContract(id, client, fullSymbol);
+    if (!contract) return null;
+    return contracts[contract.key] = contracts[contract.key] || {
+      symbol: contract.symbol,
+      marginType: contract.marginType,
+      fullSymbol: fullSymbol,
+      market: contract.market,
+      position: null,
+      fundingPnl: 0,
+      fundingPnlCurrency: contract.market.settle || null,
+      fundingPayments: 0
+    };
+  };
+
+  positions.forEach(position => {
+    if (!(Math.abs(parseFloat(position.contracts)) > 0)) return;
+    const contract = contractFor(position.symbol);
+    if (contract) contract.position = toPosition(position, contract.market);
+  });
+
+  payments.forEach(payment => {
+    if (payment.timestamp < since) return;
+    const contract = contractFor(payment.symbol);
+    if (!contract) return;
+    contract.fundingPnl += parseFloat(payment.amount) || 0;
+    contract.fundingPayments++;
+  });
+
+  console.log(`Account: ${adapter.name} ${positions.length} positions, ${payments.length} funding payments`);
+  return { status: 'ok', contracts };
+}
+
+/**
+ * Load the accounts of the selected exchanges that have credentials. Failures
+ * are reported per exchange, with any credential masked out, and an unreadable
+ * secrets file as config-error.
+ * @param {Array<string>} exchangeIds - Exchange ids
+ * @param {Object} [options] - Account options
+ * @param {number} [options.days] - UTC days of funding payments to sum
+ * @returns {Promise<Object<string, Object>>} Account entries keyed by exchange id
+ */
+async function fetchAccounts(exchangeIds, { days = DEFAULT_ACCOUNT_DAYS } = {}) {
+  // From the start of that UTC day, so the window (and its fixtures) hold all day
+  const since = Math.floor((Date.now() - days * DAY_MS) / DAY_MS) * DAY_MS;
+  const accounts = {};
+
+  await Promise.all(exchangeIds.map(async id => {
+    let credentials;
+    try {
+      credentials = readCredentials(id);
+    } catch (error) {
+      console.error(`❌ Account: ${getExchange(id).name} credentials:`, error.message);
+      accounts[id] = { status: 'config-error', error: error.message, contracts: {} };
+      return;
+    }
+    if (!credentials) {
+      accounts[id] = { status: 'no-credentials', contracts: {} };
+      return;
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${Math.round(ACCOUNT_TIMEOUT_MS / 1000)}s timeout`)), ACCOUNT_TIMEOUT_MS);
+    });
+
+    try {
+      const result = await Promise.race([accountCache.get(`${id}:${days}`, () => loadAccount(id, credentials, since)), timeout]);
+      accounts[id] = result.value;
+    } catch (error) {
+      const message = redact(error.message, credentials);
+      console.error(`❌ Account: ${getExchange(id).name} failed:`, message);
+      accounts[id] = { status: 'error', error: message, contracts: {} };
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+
+  return accounts;
+}
+
+/**
+ * Funding PnL of a contract in USD; coin-margined payments are valued at the mark price
+ * @param {Object} contract - Account contract
+ * @param {number|null} markPrice - Mark price of the contract
+ * @returns {number|null} Funding PnL in USD
+ */
+function fundingPnlUsd(contract, markPrice) {
+  if (contract.marginType !== 'coin') return contract.fundingPnl;
+  const price = (contract.position && contract.position.markPrice) || markPrice;
+  return price ? contract.fundingPnl * price : null;
+}
+
+/**
+ * Overlay the accounts on comparison rows: each listed side gets an `account`
+ * object and every row the net exposure and funding PnL across its venues
+ * @param {Array<Object>} rows - Comparison rows
+ * @param {Object<string, Object>} accounts - Account entries from fetchAccounts
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {Array<Object>} New rows with the account fields
+ */
+function withAccount(rows, accounts, exchangeIds) {
+  return rows.map(row => {
+    const result = { ...row };
+    let netExposureUsd = 0;
+    let grossExposureUsd = 0;
+    let totalFundingUsd = 0;
+    let held = false;
+
+    exchangeIds.forEach(id => {
+      const side = row[id];
+      const contracts = (accounts[id] || {}).contracts || {};
+      const contract = side.marginType ? contracts[contractKey({ symbol: row.symbol, marginType: side.marginType })] : null;
+      if (!contract) {
+        result[id] = { ...side, account: null };
+        return;
+      }
+
+      const position = contract.position;
+      const pnlUsd = fundingPnlUsd(contract, side.markPrice);
+      if (position && position.notionalUsd !== null) {
+        netExposureUsd += position.side === 'short' ? -position.notionalUsd : position.notionalUsd;
+        grossExposureUsd += position.notionalUsd;
+      }
+      totalFundingUsd += pnlUsd || 0;
+      held = true;
+
+      result[id] = {
+        ...side,
+        account: {
+          position: position,
+          fundingPnl: roundTo(contract.fundingPnl),
+          fundingPnlCurrency: contract.fundingPnlCurrency,
+          fundingPnlUsd: roundTo(pnlUsd, 2),
+          fundingPayments: contract.fundingPayments
+        }
+      };
+    });
+
+    result.account = held ? {
+      netExposureUsd: roundTo(netExposureUsd, 2),
+      grossExposureUsd: roundTo(grossExposureUsd, 2),
+      fundingPnlUsd: roundTo(totalFundingUsd, 2)
+    } : null;
+    return result;
+  });
+}
+
+/**
+ * Summarize the accounts for a response: status and totals, never credentials
+ * @param {Object<string, Object>} accounts - Account entries from fetchAccounts
+ * @param {number} days - Days of funding payments summed
+ * @returns {Object} Account summary keyed by exchange id
+ */
+function describeAccounts(accounts, days) {
+  const summary = { days: days, exchanges: {} };
+
+  Object.entries(accounts).forEach(([id, account]) => {
+    const contracts = Object.values(account.contracts);
+    const positions = contracts.filter(contract => contract.position);
+    summary.exchanges[id] = {
+      status: account.status,
+      error: account.error || null,
+      openPositions: positions.length,
+      exposureUsd: roundTo(positions.reduce((sum, contract) => sum + (contract.position.notionalUsd || 0), 0), 2),
+      fundingPayments: contracts.reduce((sum, contract) => sum + contract.fundingPayments, 0),
+      fundingPnlUsd: roundTo(contracts.reduce((sum, contract) => sum + (fundingPnlUsd(contract, null) || 0), 0), 2)
+    };
+  });
+
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_ACCOUNT_DAYS,
+  MAX_ACCOUNT_DAYS,
+  checkAccountAccess,
+  fetchAccounts,
+  withAccount,
+  describeAccounts
+};
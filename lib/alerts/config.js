@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Alert configuration
+ *
+ * Read from the ALERT_CONFIG environment variable (JSON) or from the file named
+ * by ALERT_CONFIG_FILE (default ./alerts.json). See alerts.example.json.
+ *
+ *   rules[]  - { id, type: spread|rate|intervalChange, symbol?, exchange?, basis?,
+ *                metric?, operator?, threshold?, from?, to?, cooldownMinutes?, sinks[] }
+ *   sinks{}  - name -> { type: webhook|slack|discord|telegram|email, ... }
+ *
+ * Any sink string value written as "env:NAME" is read from process.env.NAME,
+ * so webhook URLs and passwords can stay out of the file.
+ */
+
+const RULE_TYPES = ['spread', 'rate', 'intervalChange'];
+const OPERATORS = ['>', '>=', '<', '<='];
+const SPREAD_METRICS = ['absoluteDifference', 'fundingRateDifference'];
+const SINK_TYPES = ['webhook', 'slack', 'discord', 'telegram', 'email'];
+
+/**
+ * Validate a parsed alert configuration
+ * @param {Object} config - Parsed configuration
+ * @returns {Array<string>} Validation messages, empty when valid
+ */
+function validateConfig(config) {
+  const errors = [];
+  const rules = config.rules || [];
+  const sinks = config.sinks || {};
+  const ids = new Set();
+
+  if (!Array.isArray(rules)) return ['rules must be an array'];
+
+  Object.entries(sinks).forEach(([name, sink]) => {
+    if (!sink || !SINK_TYPES.includes(sink.type)) {
+      errors.push(`sink ${name}: type must be one of ${SINK_TYPES.join(', ')}`);
+    }
+  });
+
+  rules.forEach((rule, index) => {
+    const label = `rule ${rule && rule.id ? rule.id : index}`;
+    if (!rule || !rule.id) {
+      errors.push(`${label}: id is required`);
+      return;
+    }
+    if (ids.has(rule.id)) errors.push(`${label}: duplicate id`);
+    ids.add(rule.id);
+
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${label}: type must be one of ${RULE_TYPES.join(', ')}`);
+    }
+    if (rule.type !== 'intervalChange') {
+      if (!OPERATORS.includes(rule.operator)) errors.push(`${label}: operator must be one of ${OPERATORS.join(' ')}`);
+      if (typeof rule.threshold !== 'number') errors.push(`${label}: threshold must be a number`);
+    }
+    if (rule.type === 'spread' && rule.metric && !SPREAD_METRICS.includes(rule.metric)) {
+      errors.push(`${label}: metric must be one of ${SPREAD_METRICS.join(', ')}`);
+    }
+    (rule.sinks || []).forEach(name => {
+      if (!sinks[name]) errors.push(`${label}: unknown sink ${name}`);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Load the alert configuration, or an empty one when none is set up
+ * @returns {{rules: Array<Object>, sinks: Object<string, Object>}} Alert configuration
+ */
+function loadAlertConfig() {
+  let raw = process.env.ALERT_CONFIG;
+
+  if (!raw) {
+    const file = process.env.ALERT_CONFIG_FILE || path.join(process.cwd(), 'alerts.json');
+    if (!fs.existsSync(file)) return { rules: [], sinks: {} };
+    raw = fs.readFileSync(file, 'utf8');
+  }
+
+  const config = JSON.parse(raw);
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid alert config: ${errors.join('; ')}`);
+  }
+
+  return { rules: config.rules || [], sinks: config.sinks || {} };
+}
+
+/**
+ * Resolve "env:NAME" references in a sink configuration
+ * @param {Object} sink - Sink configuration
+ * @returns {Object} Sink configuration with secrets filled in
+ */
+function resolveSink(sink) {
+  const resolved = {};
+  Object.entries(sink).forEach(([key, value]) => {
+    resolved[key] = typeof value === 'string' && value.startsWith('env:') ?
+      process.env[value.slice(4)] :
+      value;
+  });
+  return resolved;
+}
+
+module.exports = {
+  OPERATORS,
+  loadAlertConfig,
+  validateConfig,
+  resolveSink
+};
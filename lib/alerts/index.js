@@ -0,0 +1,151 @@
+/**
+ * Funding alert engine: evaluates the configured rules against every snapshot,
+ * deduplicates with per-rule cooldowns and dispatches to the rule's sinks
+ *
+ * Delivery results are kept per sink in the alert state. An alert no sink
+ * accepted doesn't start its cooldown, so the next snapshot retries it.
+ */
+
+const { loadAlertConfig } = require('./config');
+const { evaluateRule } = require('./rules');
+const { sendToSink } = require('./sinks');
+const {
+  loadAlertState,
+  saveAlertState,
+  appendAlertHistory,
+  readAlertHistory
+} = require('./state');
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+// Concurrent snapshots must not interleave their state read and write
+let evaluationQueue = Promise.resolve();
+
+/**
+ * Evaluate alert rules against a snapshot. Failures are logged, never thrown,
+ * so alerting problems don't break the API response.
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @param {Object} [options] - Evaluation options
+ * @param {number} [options.now] - Evaluation time in ms
+ * @param {Array<Object>} [options.intervalChanges] - Interval change events found in this snapshot
+ * @returns {Promise<Array<Object>>} Alerts fired by this snapshot
+ */
+function evaluateAlerts(ratesByExchange, exchangeIds, options = {}) {
+  const evaluation = evaluationQueue.then(() => runAlertRules(ratesByExchange, exchangeIds, options));
+  evaluationQueue = evaluation;
+  return evaluation;
+}
+
+async function runAlertRules(ratesByExchange, exchangeIds, { now = Date.now(), intervalChanges = [] }) {
+  try {
+    const config = loadAlertConfig();
+    if (config.rules.length === 0) return [];
+
+    const state = await loadAlertState();
+    const fired = [];
+    const history = [];
+    const stillActive = {};
+
+    for (const rule of config.rules) {
+      const cooldownMs = (rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+      const matches = evaluateRule(rule, ratesByExchange, exchangeIds, intervalChanges);
+
+      for (const match of matches) {
+        if (stillActive[match.key]) continue; // Same key matched twice in one snapshot
+        stillActive[match.key] = {
+          ruleId: rule.id,
+          symbol: match.symbol,
+          since: state.active[match.key] ? state.active[match.key].since : now
+        };
+
+        const lastFired = state.lastFired[match.key];
+        if (lastFired && now - lastFired < cooldownMs) continue;
+
+        const alert = {
+          event: 'fired',
+          ruleId: rule.id,
+          key: match.key,
+          type: rule.type,
+          symbol: match.symbol,
+          exchange: match.exchange,
+          value: match.value,
+          threshold: rule.threshold ?? null,
+          text: `[${rule.id}] ${match.message}`,
+          timestamp: new Date(now).toISOString()
+        };
+
+        alert.deliveries = await Promise.all((rule.sinks || []).map(name => sendToSink(name, config.sinks[name], alert)));
+        alert.deliveries.forEach(delivery => recordDelivery(state, delivery, now));
+
+        if (alert.deliveries.length > 0 && alert.deliveries.every(delivery => !delivery.ok)) {
+          console.error(`❌ Alerts: ${alert.key} was not delivered, retrying on the next snapshot`);
+        } else {
+          state.lastFired[match.key] = now;
+        }
+        fired.push(alert);
+        history.push(alert);
+      }
+    }
+
+    // Keys that stopped matching are resolved
+    Object.entries(state.active).forEach(([key, active]) => {
+      if (!stillActive[key]) {
+        history.push({
+          event: 'resolved',
+          ruleId: active.ruleId,
+          key: key,
+          symbol: active.symbol,
+          timestamp: new Date(now).toISOString()
+        });
+      }
+    });
+    state.active = stillActive;
+
+    await saveAlertState(state);
+    await appendAlertHistory(history);
+
+    if (fired.length > 0) {
+      console.log(`Alerts: fired ${fired.length}`);
+    }
+    return fired;
+
+  } catch (error) {
+    console.error('Alerts: evaluation failed:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Wait for the alert evaluations in flight
+ * @returns {Promise<void>} Settles once every queued evaluation is done
+ */
+async function waitForAlerts() {
+  await evaluationQueue;
+}
+
+/**
+ * Keep the outcome of a delivery in the sink's status
+ * @param {Object} state - Alert state, its `sinks` map is updated
+ * @param {{sink: string, ok: boolean, error?: string}} delivery - Delivery result
+ * @param {number} now - Delivery time in ms
+ */
+function recordDelivery(state, delivery, now) {
+  const status = state.sinks[delivery.sink] || { lastDelivery: null, lastFailure: null, lastError: null, failures: 0 };
+  if (delivery.ok) {
+    status.lastDelivery = now;
+    status.failures = 0;
+  } else {
+    status.lastFailure = now;
+    status.lastError = delivery.error;
+    status.failures++;
+  }
+  state.sinks[delivery.sink] = status;
+}
+
+module.exports = {
+  evaluateAlerts,
+  waitForAlerts,
+  loadAlertState,
+  readAlertHistory
+};
@@ -0,0 +1,107 @@
+/**
+ * Alert rule evaluation against a funding rate snapshot
+ */
+
+const { buildComparisonTable } = require('../comparison');
+const { rateOnBasis, DEFAULT_BASIS } = require('../normalize');
+
+const COMPARE = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+/**
+ * Evaluate a spread rule on the comparison table
+ * @param {Object} rule - Spread rule
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {Array<Object>} Matches
+ */
+function evaluateSpreadRule(rule, ratesByExchange, exchangeIds) {
+  const basis = rule.basis || DEFAULT_BASIS;
+  const metric = rule.metric || 'absoluteDifference';
+  const { comparisonTable } = buildComparisonTable(ratesByExchange, exchangeIds, basis);
+
+  return comparisonTable
+    .filter(row => !rule.symbol || row.symbol === rule.symbol)
+    .filter(row => COMPARE[rule.operator](parseFloat(row[metric]), rule.threshold))
+    .map(row => ({
+      key: `${rule.id}:${row.symbol}`,
+      symbol: row.symbol,
+      exchange: null,
+      value: parseFloat(row[metric]),
+      message: `${row.symbol} ${metric} ${row[metric]}% (${basis}) ${rule.operator} ${rule.threshold}%, ` +
+        `${row.comparedExchanges.join(' vs ')}, favors ${row.favorableExchange}`
+    }));
+}
+
+/**
+ * Evaluate a single-venue rate rule
+ * @param {Object} rule - Rate rule
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @returns {Array<Object>} Matches
+ */
+function evaluateRateRule(rule, ratesByExchange) {
+  const basis = rule.basis || 'raw';
+  const matches = [];
+
+  Object.entries(ratesByExchange).forEach(([exchange, rates]) => {
+    if (rule.exchange && rule.exchange !== exchange) return;
+    rates.forEach(item => {
+      if (rule.symbol && item.symbol !== rule.symbol) return;
+
+      const value = rateOnBasis(item, basis);
+      if (value === null) return;
+      if (!COMPARE[rule.operator](value, rule.threshold)) return;
+
+      matches.push({
+        key: `${rule.id}:${exchange}:${item.symbol}`,
+        symbol: item.symbol,
+        exchange: exchange,
+        value: value,
+        message: `${exchange.toUpperCase()} ${item.symbol} funding ${value.toFixed(6)}% (${basis}) ${rule.operator} ${rule.threshold}%`
+      });
+    });
+  });
+
+  return matches;
+}
+
+/**
+ * Evaluate an interval change rule against the changes found in this snapshot
+ * @param {Object} rule - Interval change rule, optionally restricted with `from`/`to` hours
+ * @param {Array<Object>} intervalChanges - Events from detectIntervalChanges
+ * @returns {Array<Object>} Matches
+ */
+function evaluateIntervalRule(rule, intervalChanges) {
+  return intervalChanges
+    .filter(event => !rule.exchange || rule.exchange === event.exchange)
+    .filter(event => !rule.symbol || rule.symbol === event.symbol)
+    .filter(event => (!rule.from || rule.from === event.fromHours) && (!rule.to || rule.to === event.toHours))
+    .map(event => ({
+      key: `${rule.id}:${event.exchange}:${event.symbol}`,
+      symbol: event.symbol,
+      exchange: event.exchange,
+      value: event.toHours,
+      message: `${event.exchange.toUpperCase()} ${event.symbol} funding interval changed from ${event.fromHours}H to ${event.toHours}H`
+    }));
+}
+
+/**
+ * Evaluate one rule
+ * @param {Object} rule - Alert rule
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @param {Array<Object>} intervalChanges - Interval change events found in this snapshot
+ * @returns {Array<Object>} Matches with key, symbol, exchange, value and message
+ */
+function evaluateRule(rule, ratesByExchange, exchangeIds, intervalChanges) {
+  if (rule.type === 'spread') return evaluateSpreadRule(rule, ratesByExchange, exchangeIds);
+  if (rule.type === 'rate') return evaluateRateRule(rule, ratesByExchange);
+  if (rule.type === 'intervalChange') return evaluateIntervalRule(rule, intervalChanges);
+  return [];
+}
+
+module.exports = { evaluateRule };
@@ -0,0 +1,94 @@
+const nodemailer = require('nodemailer');
+const { resolveSink } = require('./config');
+const { envSeconds } = require('../cache');
+
+/**
+ * Notification sinks
+ *
+ *   webhook  - { url, headers? }            POSTs the alert as JSON
+ *   slack    - { url }                      Slack incoming webhook ({ text })
+ *   discord  - { url }                      Discord webhook ({ content })
+ *   telegram - { token, chatId, apiUrl? }   Bot API sendMessage
+ *   email    - { to, from?, smtpUrl? | host, port?, secure?, user?, pass? }
+ *
+ * A sink that doesn't answer within ALERT_SINK_TIMEOUT_SECONDS (default 10)
+ * fails the delivery.
+ */
+
+const SINK_TIMEOUT_MS = envSeconds('ALERT_SINK_TIMEOUT_SECONDS', 10) * 1000;
+
+/**
+ * POST a JSON body and fail on non-2xx responses
+ * @param {string} url - Target URL
+ * @param {Object} body - JSON body
+ * @param {Object} [headers] - Extra headers
+ */
+async function postJson(url, body, headers = {}) {
+  if (!url) throw new Error('url is not configured');
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(SINK_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw error.name === 'TimeoutError' ? new Error(`${SINK_TIMEOUT_MS / 1000}s timeout`) : error;
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+const senders = {
+  webhook: (sink, alert) => postJson(sink.url, { alert }, sink.headers),
+
+  slack: (sink, alert) => postJson(sink.url, { text: alert.text }),
+
+  discord: (sink, alert) => postJson(sink.url, { content: alert.text }),
+
+  telegram: (sink, alert) => postJson(
+    `${sink.apiUrl || 'https://api.telegram.org'}/bot${sink.token}/sendMessage`,
+    { chat_id: sink.chatId, text: alert.text }
+  ),
+
+  email: async (sink, alert) => {
+    const transport = nodemailer.createTransport(sink.smtpUrl || {
+      host: sink.host,
+      port: sink.port || 587,
+      secure: Boolean(sink.secure),
+      auth: sink.user ? { user: sink.user, pass: sink.pass } : undefined
+    }, {
+      connectionTimeout: SINK_TIMEOUT_MS,
+      greetingTimeout: SINK_TIMEOUT_MS,
+      socketTimeout: SINK_TIMEOUT_MS
+    });
+    await transport.sendMail({
+      from: sink.from || sink.user,
+      to: sink.to,
+      subject: `Funding alert: ${alert.ruleId} ${alert.symbol}`,
+      text: alert.text
+    });
+  }
+};
+
+/**
+ * Send an alert to a configured sink
+ * @param {string} name - Sink name, for logging
+ * @param {Object} sinkConfig - Sink configuration, may contain env: references
+ * @param {Object} alert - Fired alert
+ * @returns {Promise<{sink: string, ok: boolean, error?: string}>} Delivery result
+ */
+async function sendToSink(name, sinkConfig, alert) {
+  const sink = resolveSink(sinkConfig);
+  try {
+    await senders[sink.type](sink, alert);
+    return { sink: name, ok: true };
+  } catch (error) {
+    console.error(`❌ Alert sink ${name} failed:`, error.message);
+    return { sink: name, ok: false, error: error.message };
+  }
+}
+
+module.exports = { sendToSink };
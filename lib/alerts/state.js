@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('../storage');
+
+/**
+ * Alert state and history files
+ *
+ *   <data dir>/alerts/state.json     - active alerts by key, last fire times and sink delivery status
+ *   <data dir>/alerts/history.jsonl  - every fired and resolved alert
+ */
+
+function alertDir() {
+  return path.join(getDataDir(), 'alerts');
+}
+
+/**
+ * Load the alert state, empty when none has been saved yet
+ * @returns {Promise<{active: Object, lastFired: Object, sinks: Object}>} Alert state
+ */
+async function loadAlertState() {
+  try {
+    const content = await fs.promises.readFile(path.join(alertDir(), 'state.json'), 'utf8');
+    return { active: {}, lastFired: {}, sinks: {}, ...JSON.parse(content) };
+  } catch (error) {
+    return { active: {}, lastFired: {}, sinks: {} };
+  }
+}
+
+/**
+ * Save the alert state, replacing the file atomically
+ * @param {Object} state - Alert state
+ */
+async function saveAlertState(state) {
+  const dir = alertDir();
+  const file = path.join(dir, 'state.json');
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(state));
+  await fs.promises.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Append entries to the alert history
+ * @param {Array<Object>} entries - History entries
+ */
+async function appendAlertHistory(entries) {
+  if (entries.length === 0) return;
+  const dir = alertDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.appendFile(path.join(dir, 'history.jsonl'), entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+}
+
+/**
+ * Read the most recent alert history entries, newest first
+ * @param {Object} [filter] - History filter
+ * @param {number} [filter.limit] - Maximum number of entries
+ * @param {string} [filter.ruleId] - Only entries of this rule
+ * @param {string} [filter.symbol] - Only entries for this symbol
+ * @returns {Promise<Array<Object>>} History entries
+ */
+async function readAlertHistory({ limit = 100, ruleId, symbol } = {}) {
+  let content;
+  try {
+    content = await fs.promises.readFile(path.join(alertDir(), 'history.jsonl'), 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  const entries = [];
+  const lines = content.split('\n');
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    if (!lines[i]) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (error) {
+      continue; // Ignore a partially written line
+    }
+    if (ruleId && entry.ruleId !== ruleId) continue;
+    if (symbol && entry.symbol !== symbol) continue;
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+module.exports = {
+  loadAlertState,
+  saveAlertState,
+  appendAlertHistory,
+  readAlertHistory
+};
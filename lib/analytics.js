@@ -0,0 +1,296 @@
+/**
+ * Statistical spread analytics of comparison rows
+ *
+ * The fixed differenceCategory thresholds treat a 0.05% spread the same on a
+ * symbol whose funding barely moves as on one that swings every settlement.
+ * These statistics put the current spread against the recent history of the
+ * same pair, built from the settlement records of the history store: those
+ * lib/settlements captures and those imported by the backfill:
+ *
+ *   side: fundingRate8hMean, fundingRate8hStd    rolling mean and deviation of the venue's settled rates
+ *   row:  spreadMean8h, spreadStd8h, spreadZScore how far the current spread is from its usual level
+ *         spreadSignPersistence                   settlements in a row the spread kept its current sign
+ *         spreadHalfLifeHours                     time for a deviation to halve, from an AR(1) fit
+ *         adaptiveCategory                        HIGH/MEDIUM/LOW by |z|, the fixed category until enough history
+ *         spreadSparkline                         settled spreads, oldest first, for the dashboard
+ *
+ * Everything is on the 8h basis whatever the comparison basis, so venues with
+ * different intervals line up. The spread is `second - first` of the row's
+ * comparedExchanges, the same orientation as fundingRateDifference.
+ */
+
+const { roundTo } = require('./normalize');
+const { contractKey } = require('./margin');
+const { getStore } = require('./storage');
+const { createCache, envSeconds } = require('./cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Settlements the rolling statistics look back over
+const WINDOW_MS = 7 * 24 * HOUR_MS;
+
+// Spread points needed before the z-score, half-life and adaptive category are given
+const MIN_SAMPLES = 10;
+
+// |z| from which the adaptive category is HIGH or MEDIUM
+const Z_HIGH = 2;
+const Z_MEDIUM = 1;
+
+const SPARKLINE_POINTS = 30;
+
+// Settlements of two venues this close apart are one spread point
+const ALIGNED_TOLERANCE_MS = 60 * 1000;
+
+// Settlements are only recorded a few times a day, so the store is read at most this often
+const HISTORY_TTL_SECONDS = envSeconds('ANALYTICS_CACHE_TTL_SECONDS', 5 * 60);
+const historyCache = createCache({ ttlMs: HISTORY_TTL_SECONDS * 1000 });
+
+/**
+ * Read the settlement records of one exchange within the window
+ * @param {string} exchangeId - Exchange id
+ * @param {number} now - Current time in ms
+ * @returns {Promise<Object<string, Array<Array>>>} [time, rate, predictedRate] entries, oldest first, keyed by contractKey
+ */
+async function readSettlementHistory(exchangeId, now) {
+  const records = await getStore().query({ exchange: exchangeId, source: 'settlement', from: now - WINDOW_MS });
+
+  // A settlement both captured and backfilled is stored twice: keep the one with a prediction
+  const byContract = {};
+  records.forEach(record => {
+    const settled = byContract[contractKey(record)] = byContract[contractKey(record)] || new Map();
+    const predicted = record.predictedFundingRate === undefined ? null : record.predictedFundingRate;
+    const existing = settled.get(record.timestamp);
+    if (!existing || (existing[2] === null && predicted !== null)) {
+      settled.set(record.timestamp, [record.timestamp, record.fundingRate, predicted]);
+    }
+  });
+
+  const history = {};
+  Object.entries(byContract).forEach(([key, settled]) => {
+    history[key] = [...settled.values()].sort((a, b) => a[0] - b[0]);
+  });
+  return history;
+}
+
+/**
+ * Load the settled rates the analytics are computed from. Failures are
+ * logged, never thrown, so rows are served without the statistics instead.
+ * @param {Array<string>} exchangeIds - Exchange ids
+ * @returns {Promise<Object<string, Object<string, Array<Array>>>>} Settled rates keyed by exchange id, then contractKey
+ */
+async function loadAnalyticsHistory(exchangeIds) {
+  try {
+    const results = await Promise.all(exchangeIds.map(id =>
+      historyCache.get(id, () => readSettlementHistory(id, Date.now()))
+    ));
+    const history = {};
+    exchangeIds.forEach((id, index) => {
+      history[id] = results[index].value;
+    });
+    return history;
+  } catch (error) {
+    console.error('Analytics: failed to read settled rates:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Mean and sample standard deviation
+ * @param {Array<number>} values - Values
+ * @returns {{mean: number|null, std: number|null}} Mean, null when empty; deviation, null under two values
+ */
+function meanStd(values) {
+  if (values.length === 0) return { mean: null, std: null };
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (values.length < 2) return { mean, std: null };
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Settled rates of one side within the window, as 8h equivalents. The side's
+ * current interval is used throughout, as missed captures would make the gaps
+ * between settlements look longer than the interval.
+ * @param {Array<Array>} settled - [time, rate, predictedRate] entries, oldest first
+ * @param {Object} side - Comparison side
+ * @param {number} now - Current time in ms
+ * @returns {Array<{time: number, rate8h: number}>} Settled rates, oldest first
+ */
+function toEightHourSeries(settled, side, now) {
+  const intervalHours = side.fundingIntervalHours || 8;
+  return (settled || [])
+    .filter(([time]) => time > now - WINDOW_MS)
+    .map(([time, rate]) => ({ time, rate8h: rate * 8 / intervalHours }));
+}
+
+/**
+ * Spread at each settlement of either venue, from the last settled rate of both
+ * @param {Array<Object>} firstSeries - Settled 8h rates of the first venue
+ * @param {Array<Object>} secondSeries - Settled 8h rates of the second venue
+ * @returns {Array<{time: number, spread8h: number}>} Spread points, oldest first
+ */
+function spreadSeries(firstSeries, secondSeries) {
+  const events = [
+    ...firstSeries.map(entry => ({ ...entry, index: 0 })),
+    ...secondSeries.map(entry => ({ ...entry, index: 1 }))
+  ].sort((a, b) => a.time - b.time);
+
+  const latest = [null, null];
+  const points = [];
+  events.forEach(event => {
+    latest[event.index] = event.rate8h;
+    if (latest[0] === null || latest[1] === null) return;
+
+    const point = { time: event.time, spread8h: latest[1] - latest[0] };
+    const last = points[points.length - 1];
+    // Aligned settlements update the same point
+    if (last && event.time - last.time < ALIGNED_TOLERANCE_MS) {
+      last.spread8h = point.spread8h;
+    } else {
+      points.push(point);
+    }
+  });
+
+  return points;
+}
+
+/**
+ * Settlements in a row, counting back from the latest, the spread had the sign of the current one
+ * @param {Array<number>} spreads - Settled spreads, oldest first
+ * @param {number} current - Current spread
+ * @returns {number} Settlements, 0 when the current spread is 0
+ */
+function signPersistence(spreads, current) {
+  const sign = Math.sign(current);
+  if (sign === 0) return 0;
+
+  let count = 0;
+  for (let index = spreads.length - 1; index >= 0 && Math.sign(spreads[index]) === sign; index--) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Mean-reversion half-life of a spread from the least squares fit of
+ * Δs(t) = a + b·s(t-1), i.e. an AR(1) process with φ = 1 + b
+ * @param {Array<{time: number, spread8h: number}>} points - Spread points, oldest first
+ * @returns {number|null} Hours for a deviation to halve, null when the spread doesn't revert
+ */
+function halfLifeHours(points) {
+  if (points.length < MIN_SAMPLES) return null;
+
+  const previous = points.slice(0, -1).map(point => point.spread8h);
+  const changes = points.slice(1).map((point, index) => point.spread8h - previous[index]);
+  const { mean: meanPrevious } = meanStd(previous);
+  const { mean: meanChange } = meanStd(changes);
+
+  let covariance = 0;
+  let variance = 0;
+  previous.forEach((value, index) => {
+    covariance += (value - meanPrevious) * (changes[index] - meanChange);
+    variance += (value - meanPrevious) ** 2;
+  });
+  if (!variance) return null;
+
+  const phi = 1 + covariance / variance;
+  if (phi >= 1) return null;
+
+  // Points are a settlement apart, a median gap is robust to missed captures
+  const gaps = points.slice(1).map((point, index) => (point.time - points[index].time) / HOUR_MS).sort((a, b) => a - b);
+  const stepHours = gaps[Math.floor(gaps.length / 2)];
+
+  // φ ≤ 0 overshoots the mean within a single step
+  if (phi <= 0) return roundTo(stepHours, 2);
+  return roundTo(-Math.log(2) / Math.log(phi) * stepHours, 2);
+}
+
+/**
+ * Category of a spread by its z-score
+ * @param {number|null} zScore - Z-score of the current spread
+ * @param {string|null} fallback - Fixed threshold category, used without a z-score
+ * @returns {string|null} HIGH, MEDIUM or LOW
+ */
+function adaptiveCategory(zScore, fallback) {
+  if (zScore === null) return fallback;
+  const absolute = Math.abs(zScore);
+  return absolute >= Z_HIGH ? 'HIGH' : absolute >= Z_MEDIUM ? 'MEDIUM' : 'LOW';
+}
+
+/**
+ * Spread statistics of a compared pair
+ * @param {Object} firstSide - Comparison side of the first compared venue
+ * @param {Object} secondSide - Comparison side of the second compared venue
+ * @param {Array<Object>} firstSeries - Settled 8h rates of the first venue
+ * @param {Array<Object>} secondSeries - Settled 8h rates of the second venue
+ * @param {string|null} fallbackCategory - Fixed threshold category of the row
+ * @returns {Object} Row analytics fields
+ */
+function spreadStats(firstSide, secondSide, firstSeries, secondSeries, fallbackCategory) {
+  const points = spreadSeries(firstSeries, secondSeries);
+  const spreads = points.map(point => point.spread8h);
+  const { mean, std } = meanStd(spreads);
+  const current = (secondSide.fundingRate8h || 0) - (firstSide.fundingRate8h || 0);
+  const zScore = spreads.length >= MIN_SAMPLES && std ? (current - mean) / std : null;
+
+  return {
+    spreadSamples: spreads.length,
+    spreadMean8h: roundTo(mean),
+    spreadStd8h: roundTo(std),
+    spreadZScore: roundTo(zScore, 2),
+    spreadSignPersistence: signPersistence(spreads, current),
+    spreadHalfLifeHours: halfLifeHours(points),
+    adaptiveCategory: adaptiveCategory(roundTo(zScore, 2), fallbackCategory),
+    spreadSparkline: spreads.slice(-SPARKLINE_POINTS).map(spread => roundTo(spread))
+  };
+}
+
+/**
+ * Add the rolling statistics to comparison rows: per side for every listed
+ * venue, per row for the compared pair
+ * @param {Array<Object>} rows - Comparison rows or single exchange rows
+ * @param {Object<string, Object<string, Array<Array>>>} history - Settled rates from loadAnalyticsHistory
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<Object>} New rows with the analytics fields
+ */
+function withSpreadAnalytics(rows, history, exchangeIds, now = Date.now()) {
+  return rows.map(row => {
+    const result = { ...row };
+    const series = {};
+
+    exchangeIds.forEach(id => {
+      const side = row[id];
+      if (!side.marginType) {
+        result[id] = { ...side, fundingRate8hMean: null, fundingRate8hStd: null };
+        return;
+      }
+
+      const settled = (history[id] || {})[contractKey({ symbol: row.symbol, marginType: side.marginType })];
+      series[id] = toEightHourSeries(settled, side, now);
+      const { mean, std } = meanStd(series[id].map(entry => entry.rate8h));
+      result[id] = { ...side, fundingRate8hMean: roundTo(mean), fundingRate8hStd: roundTo(std) };
+    });
+
+    if (row.comparedExchanges.length < 2) {
+      return Object.assign(result, {
+        spreadSamples: 0,
+        spreadMean8h: null,
+        spreadStd8h: null,
+        spreadZScore: null,
+        spreadSignPersistence: null,
+        spreadHalfLifeHours: null,
+        adaptiveCategory: null,
+        spreadSparkline: []
+      });
+    }
+
+    const [first, second] = row.comparedExchanges;
+    return Object.assign(result, spreadStats(row[first], row[second], series[first], series[second], row.differenceCategory));
+  });
+}
+
+module.exports = {
+  loadAnalyticsHistory,
+  withSpreadAnalytics
+};
@@ -0,0 +1,442 @@
+/**
+ * Funding carry backtester
+ *
+ * Replays historical funding settlements of two venues, settlement by
+ * settlement, for a "long on one venue, short on the other" carry strategy.
+ * Every `rebalanceHours` the symbols are ranked by the spread of their last
+ * settled rates, normalized to hourly like the live comparison, and the
+ * top N are held with a fixed notional per leg. The short leg collects its
+ * venue's funding at each settlement and the long leg pays its own. Entering
+ * or leaving a symbol costs two fills of fees plus slippage.
+ *
+ * Settlements come from the history store (captured or backfilled) or
+ * straight from the exchanges through ccxt fetchFundingRateHistory. The
+ * exchange source costs a paged history call per symbol and venue, so it
+ * takes fewer symbols and days and gives up after
+ * BACKTEST_EXCHANGE_TIMEOUT_SECONDS (default 40).
+ */
+
+const { getExchange } = require('./exchanges');
+const { mapWithConcurrency, calculateFundingInterval } = require('./exchanges/common');
+const { parseTime, listSwapContracts, findContract, readSettlementPages } = require('./history');
+const { rateOnBasis, roundTo } = require('./normalize');
+const { getStore } = require('./storage');
+const { fetchSnapshot } = require('./snapshot');
+const { readKnownIntervals } = require('./intervals');
+const { contractKey } = require('./margin');
+const { readNumber, readEnum, readList } = require('./query');
+const { envSeconds } = require('./cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SOURCES = ['store', 'exchange'];
+
+// Series fetched from the exchanges at once
+const FETCH_CONCURRENCY = 4;
+
+// Symbols replayed at most, each one costs a history call per venue
+const MAX_SYMBOLS = 100;
+
+// Limits of the exchange source, which pages through the venues' history live
+const MAX_EXCHANGE_SYMBOLS = 20;
+const MAX_EXCHANGE_DAYS = 30;
+const EXCHANGE_TIMEOUT_MS = envSeconds('BACKTEST_EXCHANGE_TIMEOUT_SECONDS', 40) * 1000;
+
+// Interval of a contract with no recorded interval and a single settlement
+const DEFAULT_INTERVAL_HOURS = 8;
+
+const DEFAULT_OPTIONS = {
+  long: 'mexc',          // venue of the long leg
+  short: 'binance',      // venue of the short leg
+  symbols: null,         // universe; the widest current spreads when null
+  universe: 20,          // size of the default universe
+  topN: 5,               // symbols held at once
+  rebalanceHours: 8,     // time between rebalances
+  days: 30,              // length of the replay when from is not given
+  from: null,            // start timestamp in ms
+  to: null,              // end timestamp in ms, defaults to now
+  notional: 1000,        // USD per leg
+  takerFee: 0.05,        // percent per fill
+  slippage: 0.02,        // percent per fill, the rebalancing cost beyond fees
+  minSpread: 0,          // minimum hourly spread in percent to hold a symbol
+  source: 'store'        // store or exchange
+};
+
+/**
+ * Read backtest options from a query object, as sent to the API route or the CLI
+ * @param {Object} query - Query parameters
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {Object} Backtest options
+ */
+function parseBacktestQuery(query, errors) {
+  const long = query.long ? String(query.long).toLowerCase() : DEFAULT_OPTIONS.long;
+  const short = query.short ? String(query.short).toLowerCase() : DEFAULT_OPTIONS.short;
+  if (!getExchange(long)) errors.push(`Unknown exchange: ${long}`);
+  if (!getExchange(short)) errors.push(`Unknown exchange: ${short}`);
+  if (long === short) errors.push('long and short must be different exchanges');
+
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    errors.push('from and to must be epoch milliseconds or ISO dates');
+  } else if (from && to && from >= to) {
+    errors.push('from must be before to');
+  }
+
+  const source = readEnum(query, 'source', SOURCES, DEFAULT_OPTIONS.source, errors);
+  const maxSymbols = source === 'exchange' ? MAX_EXCHANGE_SYMBOLS : MAX_SYMBOLS;
+  const maxDays = source === 'exchange' ? MAX_EXCHANGE_DAYS : 365;
+
+  const symbols = readList(query, 'symbols');
+  if (symbols && symbols.length > maxSymbols) errors.push(`symbols accepts at most ${maxSymbols} entries with source=${source}`);
+  if (from && (to || Date.now()) - from > maxDays * DAY_MS) errors.push(`from and to may be at most ${maxDays} days apart with source=${source}`);
+
+  return {
+    long,
+    short,
+    symbols: symbols ? symbols.map(symbol => symbol.toUpperCase()) : null,
+    universe: readNumber(query, 'universe', { defaultValue: Math.min(DEFAULT_OPTIONS.universe, maxSymbols), min: 1, max: maxSymbols, integer: true }, errors),
+    topN: readNumber(query, 'topN', { defaultValue: DEFAULT_OPTIONS.topN, min: 1, max: maxSymbols, integer: true }, errors),
+    rebalanceHours: readNumber(query, 'rebalanceHours', { defaultValue: DEFAULT_OPTIONS.rebalanceHours, min: 1, max: 24 * 30 }, errors),
+    days: readNumber(query, 'days', { defaultValue: DEFAULT_OPTIONS.days, min: 1, max: maxDays }, errors),
+    from: Number.isNaN(from) ? null : from,
+    to: Number.isNaN(to) ? null : to,
+    notional: readNumber(query, 'notional', { defaultValue: DEFAULT_OPTIONS.notional, min: 0 }, errors),
+    takerFee: readNumber(query, 'takerFee', { defaultValue: DEFAULT_OPTIONS.takerFee, min: 0 }, errors),
+    slippage: readNumber(query, 'slippage', { defaultValue: DEFAULT_OPTIONS.slippage, min: 0 }, errors),
+    minSpread: readNumber(query, 'minSpread', { defaultValue: DEFAULT_OPTIONS.minSpread }, errors),
+    source: source
+  };
+}
+
+/**
+ * Load the settlement series of some symbols on one venue
+ * @param {string} exchangeId - Exchange id
+ * @param {Array<string>} symbols - Resolved symbols
+ * @param {number} from - Start timestamp in ms
+ * @param {number} to - End timestamp in ms
+ * @param {string} source - store or exchange
+ * @param {number} [deadline] - Time in ms the exchange source gives up at
+ * @returns {Promise<Object<string, Array<{timestamp: number, fundingRate: number}>>>} Settlements keyed by symbol, oldest first
+ * @throws {Error} With code ETIMEDOUT when the exchange source runs past the deadline
+ */
+async function loadSettlements(exchangeId, symbols, from, to, source, deadline = Infinity) {
+  const series = {};
+
+  if (source === 'store') {
+    const store = getStore();
+    for (const symbol of symbols) {
+      // The strategy trades USDT perpetuals, the ones fetchSnapshot compares by default
+      const records = await store.query({ symbol, exchange: exchangeId, from, to, source: 'settlement', marginType: 'usdt' });
+      series[symbol] = records.map(record => ({ timestamp: record.timestamp, fundingRate: record.fundingRate }));
+    }
+  } else {
+    const { exchange, contracts } = await listSwapContracts(exchangeId);
+    const checkDeadline = () => {
+      if (Date.now() > deadline) {
+        throw Object.assign(new Error(`${getExchange(exchangeId).name} settlement history ${EXCHANGE_TIMEOUT_MS / 1000}s timeout`), { code: 'ETIMEDOUT' });
+      }
+    };
+    await mapWithConcurrency(symbols, FETCH_CONCURRENCY, async symbol => {
+      const contract = findContract(contracts, symbol);
+      series[symbol] = [];
+      if (!contract) return;
+      checkDeadline();
+      await readSettlementPages(exchange, contract.fullSymbol, from, to, async entries => {
+        series[symbol].push(...entries);
+        checkDeadline();
+      });
+    });
+  }
+
+  // Drop duplicate settlements, e.g. one captured and one backfilled
+  Object.keys(series).forEach(symbol => {
+    const byTime = new Map(series[symbol].map(entry => [entry.timestamp, entry]));
+    series[symbol] = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+  });
+
+  return series;
+}
+
+/**
+ * Give every settlement the interval of its contract, so rates normalize like
+ * the live rows do: the interval last recorded for it (see lib/intervals),
+ * else the shortest gap between its settlements. A longer gap is settlements
+ * missing from the series, e.g. a missed capture, not a longer interval.
+ * @param {Array<{timestamp: number, fundingRate: number}>} settlements - Settlements, oldest first
+ * @param {number|null} [knownHours] - Recorded interval of the contract
+ * @returns {Array<Object>} Settlements with fundingIntervalHours
+ */
+function withIntervals(settlements, knownHours = null) {
+  let intervalHours = knownHours;
+  if (!intervalHours) {
+    const gaps = settlements.slice(1)
+      .map((entry, index) => calculateFundingInterval(settlements[index].timestamp, entry.timestamp))
+      .filter(gap => gap > 0);
+    intervalHours = gaps.length > 0 ? Math.min(...gaps) : DEFAULT_INTERVAL_HOURS;
+  }
+  return settlements.map(entry => ({ ...entry, fundingIntervalHours: intervalHours }));
+}
+
+/**
+ * Largest peak-to-trough fall of an equity curve
+ * @param {Array<{equity: number}>} curve - Equity curve
+ * @returns {{percent: number, usd: number}} Max drawdown
+ */
+function maxDrawdown(curve) {
+  let peak = -Infinity;
+  let worst = { percent: 0, usd: 0 };
+  curve.forEach(({ equity }) => {
+    peak = Math.max(peak, equity);
+    const usd = peak - equity;
+    if (usd > worst.usd) worst = { percent: peak > 0 ? usd / peak * 100 : 0, usd };
+  });
+  return worst;
+}
+
+/**
+ * Annualized Sharpe ratio of per-period returns, with a zero risk-free rate
+ * @param {Array<number>} returns - Fractional returns per period
+ * @param {number} periodHours - Length of a period
+ * @returns {number|null} Sharpe ratio, null with fewer than two periods or no variance
+ */
+function sharpeRatio(returns, periodHours) {
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  const std = Math.sqrt(variance);
+  if (!std) return null;
+  return mean / std * Math.sqrt(24 * 365 / periodHours);
+}
+
+/**
+ * Replay settlement series through the carry strategy
+ * @param {Object<string, Object<string, Array>>} seriesByExchange - Settlements with intervals keyed by exchange id, then symbol
+ * @param {Object} options - Backtest options with from and to resolved
+ * @returns {Object} Equity curve, per-symbol attribution and summary statistics
+ */
+function simulate(seriesByExchange, options) {
+  const { long, short, topN, rebalanceHours, notional, takerFee, slippage, minSpread, from, to } = options;
+  const symbols = Object.keys(seriesByExchange[long] || {});
+  const initialEquity = 2 * notional * topN;
+
+  // One timeline of settlements on either venue, then rebalances at the same instant
+  const events = [];
+  [long, short].forEach(exchangeId => {
+    Object.entries(seriesByExchange[exchangeId] || {}).forEach(([symbol, settlements]) => {
+      settlements.forEach(settlement => {
+        if (settlement.timestamp >= from && settlement.timestamp <= to) {
+          events.push({ time: settlement.timestamp, order: 0, exchangeId, symbol, settlement });
+        }
+      });
+    });
+  });
+  for (let time = from; time < to; time += rebalanceHours * HOUR_MS) {
+    events.push({ time, order: 1 });
+  }
+  events.push({ time: to, order: 2 });
+  events.sort((a, b) => a.time - b.time || a.order - b.order);
+
+  // Last settlement seen per venue and symbol, so ranking never looks ahead
+  const latest = { [long]: {}, [short]: {} };
+  const attribution = {};
+  const attribute = symbol => attribution[symbol] = attribution[symbol] || {
+    symbol, fundingPnl: 0, feeCost: 0, rebalanceCost: 0, settlements: 0, hoursHeld: 0, entries: 0
+  };
+
+  const held = new Map(); // symbol -> entry time
+  let equity = initialEquity;
+  let trades = 0;
+  const curve = [{ time: from, equity }];
+  const periodReturns = [];
+  let periodStart = equity;
+  const rebalances = [];
+
+  const fill = (symbol, fills) => {
+    const item = attribute(symbol);
+    item.feeCost += notional * takerFee / 100 * fills;
+    item.rebalanceCost += notional * slippage / 100 * fills;
+    equity -= notional * (takerFee + slippage) / 100 * fills;
+    trades += fills;
+  };
+
+  const close = (symbol, time) => {
+    attribute(symbol).hoursHeld += (time - held.get(symbol)) / HOUR_MS;
+    fill(symbol, 2);
+    held.delete(symbol);
+  };
+
+  events.forEach(event => {
+    if (event.order === 0) {
+      latest[event.exchangeId][event.symbol] = event.settlement;
+      if (held.has(event.symbol)) {
+        // Longs pay positive funding, shorts receive it
+        const sign = event.exchangeId === short ? 1 : -1;
+        const pnl = sign * notional * event.settlement.fundingRate / 100;
+        const item = attribute(event.symbol);
+        item.fundingPnl += pnl;
+        item.settlements++;
+        equity += pnl;
+      }
+    } else if (event.order === 1) {
+      const ranked = symbols
+        .filter(symbol => latest[long][symbol] && latest[short][symbol])
+        .map(symbol => ({
+          symbol,
+          spread: rateOnBasis(latest[short][symbol], 'hourly') - rateOnBasis(latest[long][symbol], 'hourly')
+        }))
+        .filter(({ spread }) => spread > minSpread)
+        .sort((a, b) => b.spread - a.spread)
+        .slice(0, topN);
+      const target = new Set(ranked.map(({ symbol }) => symbol));
+
+      const exited = [...held.keys()].filter(symbol => !target.has(symbol));
+      const entered = [...target].filter(symbol => !held.has(symbol));
+      exited.forEach(symbol => close(symbol, event.time));
+      entered.forEach(symbol => {
+        held.set(symbol, event.time);
+        attribute(symbol).entries++;
+        fill(symbol, 2);
+      });
+
+      if (event.time > from) {
+        periodReturns.push(periodStart > 0 ? (equity - periodStart) / periodStart : 0);
+      }
+      periodStart = equity;
+      rebalances.push({
+        datetime: new Date(event.time).toISOString(),
+        held: ranked.map(({ symbol, spread }) => ({ symbol, hourlySpread: roundTo(spread) })),
+        entered,
+        exited
+      });
+    } else {
+      [...held.keys()].forEach(symbol => close(symbol, event.time));
+    }
+
+    const last = curve[curve.length - 1];
+    if (last.time === event.time) last.equity = equity;
+    else curve.push({ time: event.time, equity });
+  });
+
+  if (periodStart !== equity) {
+    periodReturns.push(periodStart > 0 ? (equity - periodStart) / periodStart : 0);
+  }
+
+  const symbolPnl = Object.values(attribution).map(item => ({
+    symbol: item.symbol,
+    netPnl: roundTo(item.fundingPnl - item.feeCost - item.rebalanceCost, 2),
+    fundingPnl: roundTo(item.fundingPnl, 2),
+    feeCost: roundTo(item.feeCost, 2),
+    rebalanceCost: roundTo(item.rebalanceCost, 2),
+    settlements: item.settlements,
+    entries: item.entries,
+    hoursHeld: roundTo(item.hoursHeld, 2)
+  })).sort((a, b) => b.netPnl - a.netPnl);
+
+  const sum = field => Object.values(attribution).reduce((total, item) => total + item[field], 0);
+  const drawdown = maxDrawdown(curve);
+  const sharpe = sharpeRatio(periodReturns, rebalanceHours);
+
+  return {
+    summary: {
+      initialEquity: roundTo(initialEquity, 2),
+      finalEquity: roundTo(equity, 2),
+      totalPnl: roundTo(equity - initialEquity, 2),
+      totalReturn: initialEquity > 0 ? roundTo((equity - initialEquity) / initialEquity * 100, 4) : null,
+      fundingPnl: roundTo(sum('fundingPnl'), 2),
+      feeCost: roundTo(sum('feeCost'), 2),
+      rebalanceCost: roundTo(sum('rebalanceCost'), 2),
+      fills: trades,
+      rebalances: rebalances.length,
+      maxDrawdown: roundTo(drawdown.percent, 4),
+      maxDrawdownUsd: roundTo(drawdown.usd, 2),
+      sharpe: sharpe === null ? null : roundTo(sharpe, 4)
+    },
+    equityCurve: curve.map(point => ({
+      timestamp: point.time,
+      datetime: new Date(point.time).toISOString(),
+      equity: roundTo(point.equity, 2)
+    })),
+    symbols: symbolPnl,
+    rebalances
+  };
+}
+
+/**
+ * Default universe: the symbols whose current spread favours the strategy most
+ * @param {Object} settings - Backtest options
+ * @returns {Promise<Array<string>>} Up to `universe` symbols
+ */
+async function currentTopSpreads({ long, short, universe }) {
+  const { ratesByExchange } = await fetchSnapshot([long, short]);
+  const shortRows = Object.fromEntries(ratesByExchange[short].map(item => [item.symbol, item]));
+
+  return ratesByExchange[long]
+    .filter(item => shortRows[item.symbol] && rateOnBasis(item, 'hourly') !== null && rateOnBasis(shortRows[item.symbol], 'hourly') !== null)
+    .map(item => ({ symbol: item.symbol, spread: rateOnBasis(shortRows[item.symbol], 'hourly') - rateOnBasis(item, 'hourly') }))
+    .sort((a, b) => b.spread - a.spread)
+    .slice(0, universe)
+    .map(({ symbol }) => symbol);
+}
+
+/**
+ * Run a backtest: load the settlement series of the universe and replay them
+ * @param {Object} options - Backtest options, see DEFAULT_OPTIONS
+ * @returns {Promise<Object>} Backtest result with the resolved parameters
+ */
+async function runBacktest(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  settings.to = settings.to || Date.now();
+  settings.from = settings.from || settings.to - settings.days * DAY_MS;
+
+  // Without a universe, replay today's widest spreads; that picks with hindsight
+  let symbols = settings.symbols;
+  if (!symbols || symbols.length === 0) {
+    symbols = await currentTopSpreads(settings);
+  }
+
+  const startTime = Date.now();
+  const deadline = settings.source === 'exchange' ? startTime + EXCHANGE_TIMEOUT_MS : Infinity;
+  const seriesByExchange = {};
+  for (const exchangeId of [settings.long, settings.short]) {
+    const [series, knownIntervals] = await Promise.all([
+      loadSettlements(exchangeId, symbols, settings.from, settings.to, settings.source, deadline),
+      readKnownIntervals(exchangeId)
+    ]);
+    seriesByExchange[exchangeId] = {};
+    Object.entries(series).forEach(([symbol, settlements]) => {
+      const knownHours = knownIntervals[contractKey({ symbol, marginType: 'usdt' })] || null;
+      seriesByExchange[exchangeId][symbol] = withIntervals(settlements, knownHours);
+    });
+  }
+
+  const settlements = [settings.long, settings.short].reduce((total, id) =>
+    total + Object.values(seriesByExchange[id]).reduce((count, series) => count + series.length, 0), 0);
+  console.log(`Backtest: ${symbols.length} symbols, ${settlements} settlements loaded from ${settings.source} in ${Date.now() - startTime}ms`);
+
+  const result = simulate(seriesByExchange, settings);
+
+  return {
+    parameters: {
+      ...settings,
+      symbols: symbols,
+      from: new Date(settings.from).toISOString(),
+      to: new Date(settings.to).toISOString()
+    },
+    settlementsLoaded: settlements,
+    missing: symbols.filter(symbol =>
+      !seriesByExchange[settings.long][symbol].length || !seriesByExchange[settings.short][symbol].length),
+    ...result
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  parseBacktestQuery,
+  withIntervals,
+  maxDrawdown,
+  sharpeRatio,
+  simulate,
+  runBacktest
+};
@@ -0,0 +1,90 @@
+/**
+ * In-memory cache with TTL, stale-while-revalidate and in-flight request coalescing
+ *
+ * Lives for as long as the process (or warm Vercel instance) does.
+ */
+
+/**
+ * Create a cache
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - Age below which a value is served as-is
+ * @param {number} [options.staleMs] - Extra age during which the stale value is served while it refreshes in the background
+ * @returns {Object} Cache
+ */
+function createCache({ ttlMs, staleMs = 0 }) {
+  const entries = {};
+
+  function load(key, loader) {
+    const entry = entries[key] = entries[key] || {};
+
+    // Coalesce concurrent loads of the same key
+    if (!entry.promise) {
+      entry.promise = Promise.resolve()
+        .then(loader)
+        .then(value => {
+          entry.value = value;
+          entry.fetchedAt = Date.now();
+          entry.hasValue = true;
+          return value;
+        })
+        .finally(() => {
+          entry.promise = null;
+        });
+    }
+
+    return entry.promise;
+  }
+
+  /**
+   * Get a value, loading it when missing, expired or `fresh` is set. A failed
+   * load falls back to the previous value, however old, when there is one.
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function producing the value
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.fresh] - Skip the cached value
+   * @returns {Promise<{value: *, status: string, fetchedAt: number}>} Value with status hit, stale, miss or fresh
+   */
+  async function get(key, loader, { fresh = false } = {}) {
+    const entry = entries[key];
+    const age = entry && entry.hasValue ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (!fresh && age < ttlMs) {
+      return { value: entry.value, status: 'hit', fetchedAt: entry.fetchedAt };
+    }
+
+    if (!fresh && age < ttlMs + staleMs) {
+      // Refresh in the background; failures keep the stale value
+      load(key, loader).catch(error => console.error(`Cache: background refresh of ${key} failed:`, error.message));
+      return { value: entry.value, status: 'stale', fetchedAt: entry.fetchedAt };
+    }
+
+    try {
+      const value = await load(key, loader);
+      return { value, status: fresh ? 'fresh' : 'miss', fetchedAt: entries[key].fetchedAt };
+    } catch (error) {
+      if (entry && entry.hasValue) {
+        console.error(`Cache: refresh of ${key} failed, serving value from ${new Date(entry.fetchedAt).toISOString()}:`, error.message);
+        return { value: entry.value, status: 'stale', fetchedAt: entry.fetchedAt };
+      }
+      throw error;
+    }
+  }
+
+  return { get };
+}
+
+/**
+ * Read a duration in seconds from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultSeconds - Value when unset or invalid
+ * @returns {number} Duration in seconds
+ */
+function envSeconds(name, defaultSeconds) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : defaultSeconds;
+}
+
+module.exports = {
+  createCache,
+  envSeconds
+};
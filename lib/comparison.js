@@ -0,0 +1,322 @@
+/**
+ * Cross-exchange funding rate comparison
+ */
+
+const {
+  DEFAULT_BASIS,
+  roundTo,
+  normalizedRates,
+  rateOnBasis,
+  toEightHourEquivalent
+} = require('./normalize');
+const { findPriceOutliers } = require('./symbols');
+const { findAlignedSettlement } = require('./opportunities');
+const { LIQUIDITY_FIELDS, liquidityScore, tradabilityScore } = require('./liquidity');
+
+// Venue settlement clocks drift by a few seconds; closer than this counts as aligned
+const ALIGNED_TOLERANCE_MS = 60 * 1000;
+
+// Settlement fields added in the snapshot path; rows from the stream book lack them
+const SETTLEMENT_FIELDS = [
+  'lastSettledFundingRate',
+  'predictionError',
+  'realizedFunding24h',
+  'realizedFunding7d',
+  'realizedFunding30d'
+];
+
+/**
+ * Seconds from now until a funding time
+ * @param {number|null} time - Funding time in ms
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Whole seconds, 0 once due, null when unknown
+ */
+function secondsUntil(time, now) {
+  if (!time) return null;
+  return Math.max(0, Math.round((time - now) / 1000));
+}
+
+/**
+ * Pick the fields shown per exchange in a comparison row
+ * @param {Object} item - Normalized funding rate row
+ * @param {number} [now] - Current time in ms, for the countdown
+ * @returns {Object} Exchange side of a comparison row
+ */
+function toSide(item, now = Date.now()) {
+  return {
+    venueSymbol: item.venueSymbol || item.symbol,
+    priceMultiplier: item.priceMultiplier || 1,
+    // Rows of one symbol can come from differently margined contracts
+    marginType: item.marginType || 'usdt',
+    settleCurrency: item.settleCurrency || null,
+    fundingRate: item.fundingRate,
+    ...normalizedRates(item),
+    fundingIntervalHours: item.fundingIntervalHours,
+    fundingIntervalSource: item.fundingIntervalSource,
+    nextFundingDatetime: item.nextFundingDatetime || null,
+    secondsToNextFunding: secondsUntil(item.nextFundingTime, now),
+    markPrice: item.markPrice === undefined ? null : item.markPrice,
+    dataSource: item.dataSource || null,
+    ...Object.fromEntries(SETTLEMENT_FIELDS.map(field => [field, item[field] === undefined ? null : item[field]])),
+    ...Object.fromEntries(LIQUIDITY_FIELDS.map(field => [field, item[field] === undefined ? null : item[field]])),
+    liquidityScore: liquidityScore(item)
+  };
+}
+
+/**
+ * Placeholder side for an exchange that does not list the symbol
+ * @returns {Object} Exchange side of a comparison row, every field null
+ */
+function emptySide() {
+  return {
+    venueSymbol: null,
+    priceMultiplier: null,
+    marginType: null,
+    settleCurrency: null,
+    fundingRate: null,
+    fundingRateHourly: null,
+    fundingRate8h: null,
+    fundingRateApr: null,
+    fundingIntervalHours: null,
+    fundingIntervalSource: null,
+    nextFundingDatetime: null,
+    secondsToNextFunding: null,
+    markPrice: null,
+    dataSource: null,
+    ...Object.fromEntries(SETTLEMENT_FIELDS.map(field => [field, null])),
+    ...Object.fromEntries(LIQUIDITY_FIELDS.map(field => [field, null])),
+    liquidityScore: null
+  };
+}
+
+/**
+ * Compare the settlement clocks of the two compared venues. When one settles
+ * first, a position opened now collects (or pays) that venue's funding before
+ * the other leg's, which is the window where a spread can be captured.
+ * @param {Object} firstItem - Normalized funding row of the first compared venue
+ * @param {Object} secondItem - Normalized funding row of the second compared venue
+ * @param {Array<string>} ids - Ids of the first and second venue
+ * @param {number} now - Current time in ms
+ * @returns {Object} alignedSettlements, firstToSettle, settlementLeadSeconds, nextSharedFundingDatetime and secondsToSharedFunding
+ */
+function compareSettlements(firstItem, secondItem, ids, now) {
+  const firstTime = firstItem.nextFundingTime;
+  const secondTime = secondItem.nextFundingTime;
+  if (!firstTime || !secondTime) {
+    return {
+      alignedSettlements: null,
+      firstToSettle: null,
+      settlementLeadSeconds: null,
+      nextSharedFundingDatetime: null,
+      secondsToSharedFunding: null
+    };
+  }
+
+  const aligned = Math.abs(firstTime - secondTime) < ALIGNED_TOLERANCE_MS;
+  const shared = findAlignedSettlement(firstItem, secondItem);
+
+  return {
+    alignedSettlements: aligned,
+    firstToSettle: aligned ? null : firstTime < secondTime ? ids[0] : ids[1],
+    settlementLeadSeconds: aligned ? 0 : Math.round(Math.abs(firstTime - secondTime) / 1000),
+    nextSharedFundingDatetime: shared ? new Date(shared.time).toISOString() : null,
+    secondsToSharedFunding: shared ? secondsUntil(shared.time, now) : null
+  };
+}
+
+/**
+ * Build the comparison table for symbols listed on at least two exchanges
+ *
+ * The difference is taken between the venues with the lowest and highest rate,
+ * as `later - earlier` in the order the exchanges were requested. With the
+ * default binance,mexc selection this is MEXC - Binance. Rates are compared on
+ * the given basis so venues with different settlement intervals line up.
+ * A venue without a rate on that basis still shows its side but is left out
+ * of the comparison; a symbol needs a rate on two venues to get a row.
+ *
+ * Rows are joined on their resolved symbol (see lib/symbols). A venue listing
+ * two contracts that resolve to the same symbol keeps the one without a
+ * multiplier, and venues whose mark price disagrees with the others are left
+ * out of that row; both cases are reported as ambiguous. Symbols listed on
+ * only one venue are reported as unmatched.
+ *
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @param {string} [basis] - Comparison basis: raw, hourly, 8h or apr
+ * @param {number} [now] - Current time in ms, for settlement countdowns
+ * @returns {{comparisonTable: Array, allSymbols: Set<string>, symbolReport: Object}} Comparison rows, every symbol seen and the symbol mapping report
+ */
+function buildComparisonTable(ratesByExchange, exchangeIds, basis = DEFAULT_BASIS, now = Date.now()) {
+  // Create lookup maps for easier comparison
+  const maps = {};
+  const ambiguous = [];
+  let mapped = 0;
+  exchangeIds.forEach(id => {
+    maps[id] = {};
+    (ratesByExchange[id] || []).forEach(item => {
+      if (item.venueSymbol && item.venueSymbol !== item.symbol) mapped++;
+
+      const existing = maps[id][item.symbol];
+      if (existing) {
+        ambiguous.push({
+          symbol: item.symbol,
+          reason: 'duplicate',
+          exchanges: [id],
+          venueSymbols: [existing.venueSymbol || existing.symbol, item.venueSymbol || item.symbol]
+        });
+        // Prefer the contract quoted per single unit of the underlying
+        if ((existing.priceMultiplier || 1) <= (item.priceMultiplier || 1)) return;
+      }
+      maps[id][item.symbol] = item;
+    });
+  });
+
+  const comparisonTable = [];
+  const allSymbols = new Set();
+  const unmatched = {};
+  exchangeIds.forEach(id => {
+    unmatched[id] = [];
+    Object.keys(maps[id]).forEach(symbol => allSymbols.add(symbol));
+  });
+
+  allSymbols.forEach(symbol => {
+    let listed = exchangeIds.filter(id => maps[id][symbol]);
+
+    if (listed.length === 1) {
+      unmatched[listed[0]].push(symbol);
+      return;
+    }
+
+    // Same ticker but prices far apart: not the same asset on those venues
+    const itemsByExchange = {};
+    listed.forEach(id => {
+      itemsByExchange[id] = maps[id][symbol];
+    });
+    const outliers = findPriceOutliers(itemsByExchange);
+    if (outliers.length > 0) {
+      ambiguous.push({
+        symbol: symbol,
+        reason: 'price',
+        exchanges: outliers,
+        markPrices: Object.fromEntries(listed.map(id => [id, itemsByExchange[id].markPrice]))
+      });
+      listed = listed.filter(id => !outliers.includes(id));
+    }
+
+    const rates = {};
+    listed.forEach(id => {
+      rates[id] = rateOnBasis(maps[id][symbol], basis);
+    });
+
+    // Only include if at least two exchanges have a rate for the symbol
+    const priced = listed.filter(id => rates[id] !== null);
+    if (priced.length < 2) return;
+
+    let low = priced[0];
+    let high = priced[1];
+    priced.forEach(id => {
+      if (rates[id] < rates[low]) low = id;
+      if (rates[id] > rates[high]) high = id;
+    });
+    if (low === high) high = priced.find(id => id !== low);
+
+    const [first, second] = exchangeIds.indexOf(low) < exchangeIds.indexOf(high) ? [low, high] : [high, low];
+    const difference = rates[second] - rates[first];
+    const categoryDifference = Math.abs(toEightHourEquivalent(difference, basis));
+
+    const row = { symbol: symbol };
+    exchangeIds.forEach(id => {
+      row[id] = listed.includes(id) ? toSide(maps[id][symbol], now) : emptySide();
+    });
+
+    Object.assign(row, {
+      comparedExchanges: [first, second],
+      fundingRateDifference: roundTo(difference),
+      absoluteDifference: roundTo(Math.abs(difference)),
+      favorableExchange: difference > 0 ? first.toUpperCase() : difference < 0 ? second.toUpperCase() : 'EQUAL',
+      differenceCategory: categoryDifference >= 0.1 ? 'HIGH' :
+                         categoryDifference >= 0.05 ? 'MEDIUM' : 'LOW',
+      tradabilityScore: tradabilityScore([row[first], row[second]]),
+      ...compareSettlements(maps[first][symbol], maps[second][symbol], [first, second], now)
+    });
+
+    comparisonTable.push(row);
+  });
+
+  // Sort by funding rate difference (ascending: most negative differences first)
+  comparisonTable.sort((a, b) => {
+    return a.fundingRateDifference - b.fundingRateDifference;
+  });
+
+  exchangeIds.forEach(id => unmatched[id].sort());
+
+  return {
+    comparisonTable,
+    allSymbols,
+    symbolReport: { mapped, unmatched, ambiguous }
+  };
+}
+
+/**
+ * Build table rows showing the top rates of each exchange on their own,
+ * used when the selected exchanges have no symbols in common
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {Array} Table rows
+ */
+function buildSingleExchangeRows(ratesByExchange, exchangeIds) {
+  const rows = [];
+
+  exchangeIds.forEach(id => {
+    (ratesByExchange[id] || []).slice(0, 10).forEach(item => {
+      const row = { symbol: item.symbol };
+      exchangeIds.forEach(other => {
+        row[other] = other === id ? toSide(item) : emptySide();
+      });
+
+      Object.assign(row, {
+        comparedExchanges: [id],
+        fundingRateDifference: null,
+        absoluteDifference: null,
+        favorableExchange: `${id.toUpperCase()}_ONLY`,
+        differenceCategory: null,
+        tradabilityScore: row[id].liquidityScore,
+        alignedSettlements: null,
+        firstToSettle: null,
+        settlementLeadSeconds: null,
+        nextSharedFundingDatetime: null,
+        secondsToSharedFunding: null
+      });
+
+      rows.push(row);
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Summarize a comparison table
+ * @param {Array} comparisonTable - Comparison rows
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {Object} Difference statistics
+ */
+function buildDifferenceStats(comparisonTable, exchangeIds) {
+  const favors = {};
+  exchangeIds.forEach(id => {
+    favors[id] = comparisonTable.filter(item => item.favorableExchange === id.toUpperCase()).length;
+  });
+
+  return {
+    highDifferences: comparisonTable.filter(item => item.differenceCategory === 'HIGH').length,
+    mediumDifferences: comparisonTable.filter(item => item.differenceCategory === 'MEDIUM').length,
+    lowDifferences: comparisonTable.filter(item => item.differenceCategory === 'LOW').length,
+    favors: favors
+  };
+}
+
+module.exports = {
+  buildComparisonTable,
+  buildSingleExchangeRows,
+  buildDifferenceStats
+};
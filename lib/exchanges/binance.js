@@ -0,0 +1,290 @@
+const ccxt = require('ccxt');
+const { fetchCcxtLiquidity, getFundingIntervalForSymbol, parseIntervalHours, toPercent } = require('./common');
+const { envSeconds } = require('../cache');
+const { marketFields } = require('../margin');
+
+// Binance settles every 8 hours unless fundingInfo lists an adjusted interval
+const DEFAULT_INTERVAL_HOURS = 8;
+
+// fundingInfo is one call for all contracts, so refresh it hourly
+const FUNDING_INFO_TTL_MS = envSeconds('INTERVAL_CACHE_TTL_SECONDS', 60 * 60) * 1000;
+
+// Intervals derived from settlement history are costly, keep them longer
+const HISTORY_INTERVAL_TTL_MS = envSeconds('INTERVAL_HISTORY_CACHE_TTL_SECONDS', 6 * 60 * 60) * 1000;
+
+// Pages of 1000 settled rates read when capturing settlements
+const SETTLEMENT_PAGES = 5;
+
+let fundingInfoCache = null;
+const historyIntervalCache = {};
+
+/**
+ * Get funding intervals from Binance's fundingInfo endpoint, cached for an hour by default.
+ * The endpoint only lists contracts whose interval or rate cap was adjusted;
+ * every other contract settles every 8 hours.
+ * @param {Object} exchange - CCXT exchange instance
+ * @returns {Promise<Object<string, number>|null>} Interval hours by unified symbol, null when unavailable
+ */
+async function getBinanceFundingIntervals(exchange) {
+  if (fundingInfoCache && Date.now() - fundingInfoCache.fetchedAt < FUNDING_INFO_TTL_MS) {
+    return fundingInfoCache.intervals;
+  }
+
+  try {
+    const response = await exchange.fetchFundingIntervals();
+    const intervals = {};
+    Object.values(response).forEach(item => {
+      const hours = parseIntervalHours(item.interval);
+      if (item.symbol && hours) intervals[item.symbol] = hours;
+    });
+
+    fundingInfoCache = { intervals, fetchedAt: Date.now() };
+    console.log(`Binance: fundingInfo lists ${Object.keys(intervals).length} adjusted intervals`);
+    return intervals;
+
+  } catch (error) {
+    console.log('Binance: fundingInfo failed, using settlement history:', error.message);
+    // Serve the previous answer rather than falling back to history calls
+    return fundingInfoCache ? fundingInfoCache.intervals : null;
+  }
+}
+
+/**
+ * Get funding rates of the coin-margined (COIN-M) perpetuals. They live on a
+ * separate API, so a failure there leaves the USDⓈ-M rates untouched.
+ * @param {Object} exchange - CCXT exchange instance
+ * @returns {Promise<Object<string, Object>>} ccxt funding rates keyed by unified symbol, empty when unavailable
+ */
+async function fetchInverseFundingRates(exchange) {
+  try {
+    return await exchange.fetchFundingRates(undefined, { subType: 'inverse' });
+  } catch (error) {
+    console.log('Binance: COIN-M funding rates unavailable:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Fetch funding rates from Binance using CCXT
+ * @param {Object} exchange - CCXT exchange instance
+ * @returns {Promise<Array>} Array of funding rate data
+ */
+async function fetchBinanceFundingRates(exchange) {
+  try {
+    console.log('Fetching Binance funding rates using CCXT...');
+
+    // Load markets first
+    console.log('Binance: Loading markets...');
+    await exchange.loadMarkets();
+
+    // Get funding rates for all perpetual contracts, USDⓈ-M and COIN-M
+    console.log('Binance: Fetching funding rates...');
+    const [linearRates, inverseRates] = await Promise.all([
+      exchange.fetchFundingRates(),
+      fetchInverseFundingRates(exchange)
+    ]);
+    const fundingRates = { ...inverseRates, ...linearRates };
+
+    if (!fundingRates || Object.keys(fundingRates).length === 0) {
+      console.log('Binance: No funding rates returned from API');
+      return [];
+    }
+
+    console.log(`Binance: Received ${Object.keys(fundingRates).length} funding rates`);
+
+    const result = [];
+
+    // Perpetuals by market metadata; dated futures and unknown markets are skipped
+    const symbols = Object.keys(fundingRates).filter(symbol =>
+      marketFields(exchange.markets[symbol] || {}).marginType !== null
+    );
+
+    console.log(`Binance: Found ${symbols.length} perpetual symbols`);
+
+    const fundingInfo = await getBinanceFundingIntervals(exchange);
+
+    // Process ALL symbols to ensure consistent results
+    let processedCount = 0;
+    let historyCallsCount = 0;
+    const maxHistoryCalls = 100; // Limit history calls to avoid timeout
+
+    for (const symbol of symbols) {
+      try {
+        const data = fundingRates[symbol];
+        if (!data || data.fundingRate === undefined) continue;
+
+        const market = exchange.markets[symbol];
+        const contract = marketFields(market);
+        const baseSymbol = market.base;
+
+        // Method 1: Binance fundingInfo, authoritative for every USDⓈ-M contract
+        // but blind to COIN-M ones, which go through settlement history
+        let fundingIntervalHours = null;
+        let fundingIntervalSource = null;
+        if (fundingInfo && contract.marginType !== 'coin') {
+          fundingIntervalHours = fundingInfo[symbol] || DEFAULT_INTERVAL_HOURS;
+          fundingIntervalSource = 'fundingInfo';
+        }
+
+        // Method 2: Mode of recent settlement gaps, cached per symbol (with call limit)
+        if (!fundingIntervalHours) {
+          const cached = historyIntervalCache[symbol];
+          if (cached && Date.now() - cached.fetchedAt < HISTORY_INTERVAL_TTL_MS) {
+            fundingIntervalHours = cached.hours;
+            fundingIntervalSource = 'history';
+          } else if (historyCallsCount < maxHistoryCalls) {
+            const historyInterval = await getFundingIntervalForSymbol(exchange, symbol);
+            historyCallsCount++;
+
+            if (historyInterval && historyInterval > 0 && historyInterval <= 24) {
+              historyIntervalCache[symbol] = { hours: historyInterval, fetchedAt: Date.now() };
+              fundingIntervalHours = historyInterval;
+              fundingIntervalSource = 'history';
+            }
+
+            // Add small delay to avoid rate limiting
+            await new Promise(resolve => setTimeout(resolve, 30));
+          }
+        }
+
+        // Method 3: Final fallback - use 8H and flag it as a guess
+        if (!fundingIntervalHours) {
+          fundingIntervalHours = DEFAULT_INTERVAL_HOURS;
+          fundingIntervalSource = 'default';
+          console.log(`${baseSymbol}: Using fallback 8H interval`);
+        }
+
+        result.push({
+          exchange: 'BINANCE',
+          symbol: baseSymbol,
+          fullSymbol: symbol,
+          fundingRate: toPercent(data.fundingRate),
+          fundingTimestamp: data.fundingTimestamp,
+          fundingDatetime: data.fundingDatetime,
+          nextFundingTime: data.nextFundingTime || data.fundingTimestamp,
+          nextFundingDatetime: data.nextFundingDatetime || data.fundingDatetime,
+          fundingIntervalHours: fundingIntervalHours,
+          fundingIntervalSource: fundingIntervalSource,
+          markPrice: data.markPrice,
+          indexPrice: data.indexPrice,
+          dataSource: 'ccxt',
+          ...contract
+        });
+
+        processedCount++;
+
+      } catch (symbolError) {
+        console.log(`Binance symbol error ${symbol}:`, symbolError.message);
+      }
+    }
+
+    // Sort results by symbol name for consistency
+    result.sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+    // Log interval distribution
+    const intervalCounts = {};
+
+    result.forEach(item => {
+      const interval = `${item.fundingIntervalHours}H`;
+      intervalCounts[interval] = (intervalCounts[interval] || 0) + 1;
+    });
+
+    console.log(`Binance intervals:`, intervalCounts);
+    console.log(`Total funding history API calls made: ${historyCallsCount}/${maxHistoryCalls}`);
+    console.log(`1H coins (${result.filter(r => r.fundingIntervalHours === 1).length}):`,
+      result.filter(r => r.fundingIntervalHours === 1).map(r => r.symbol));
+    console.log(`2H coins (${result.filter(r => r.fundingIntervalHours === 2).length}):`,
+      result.filter(r => r.fundingIntervalHours === 2).slice(0, 15).map(r => r.symbol));
+    console.log(`4H coins (${result.filter(r => r.fundingIntervalHours === 4).length}):`,
+      result.filter(r => r.fundingIntervalHours === 4).slice(0, 10).map(r => r.symbol));
+    console.log(`8H coins (${result.filter(r => r.fundingIntervalHours === 8).length}):`,
+      result.filter(r => r.fundingIntervalHours === 8).slice(0, 10).map(r => r.symbol));
+
+    console.log(`Binance: Successfully processed ${processedCount}/${symbols.length} contracts`);
+    return result;
+
+  } catch (error) {
+    console.error('Binance CCXT error:', error.message);
+    // Let the caller classify the failure and fall back to the last good snapshot
+    throw error;
+  }
+}
+
+/**
+ * Fetch the settled funding rates of all USDⓈ-M contracts since a time. Binance's
+ * fundingRate endpoint accepts no symbol, so one call covers a whole settlement.
+ * COIN-M contracts aren't included and are looked up one by one.
+ * @param {Object} exchange - CCXT exchange instance
+ * @param {number} since - Start timestamp in ms
+ * @returns {Promise<Array>} Settled rates in percent with fullSymbol and timestamp
+ */
+async function fetchBinanceSettledRates(exchange, since) {
+  const result = [];
+  let cursor = since;
+
+  // A settlement of every contract fits in a page or two
+  for (let page = 0; page < SETTLEMENT_PAGES; page++) {
+    const entries = await exchange.fetchFundingRateHistory(undefined, cursor, 1000);
+    entries
+      .filter(entry => entry.symbol && ['usdt', 'usdc'].includes(marketFields(exchange.markets[entry.symbol] || {}).marginType))
+      .forEach(entry => result.push({
+        fullSymbol: entry.symbol,
+        timestamp: entry.timestamp,
+        fundingRate: toPercent(entry.fundingRate)
+      }));
+
+    if (entries.length < 1000) break;
+    cursor = entries[entries.length - 1].timestamp + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Wait for the next batch of Binance mark price stream updates (markPrice@arr),
+ * which also carry the current funding rate and next funding time
+ * @param {Object} exchange - CCXT Pro exchange instance
+ * @returns {Promise<Array>} Partial funding rate rows for the updated symbols
+ */
+async function watchBinanceFundingRates(exchange) {
+  const tickers = await exchange.watchMarkPrices();
+
+  return Object.values(tickers)
+    .filter(ticker => ticker.symbol && ticker.symbol.endsWith('/USDT:USDT') && ticker.info)
+    .map(ticker => {
+      const info = ticker.info;
+      const nextFundingTime = info.T ? parseInt(info.T) : null;
+      return {
+        symbol: ticker.symbol.split('/')[0],
+        fundingRate: info.r !== undefined && info.r !== '' ? toPercent(info.r) : undefined,
+        fundingTimestamp: nextFundingTime || undefined,
+        fundingDatetime: nextFundingTime ? new Date(nextFundingTime).toISOString() : undefined,
+        nextFundingTime: nextFundingTime || undefined,
+        nextFundingDatetime: nextFundingTime ? new Date(nextFundingTime).toISOString() : undefined,
+        markPrice: info.p !== undefined ? parseFloat(info.p) : undefined,
+        indexPrice: info.i !== undefined ? parseFloat(info.i) : undefined,
+        dataSource: 'stream'
+      };
+    });
+}
+
+module.exports = {
+  id: 'binance',
+  name: 'Binance',
+  createClient: () => new ccxt.binance({
+    sandbox: false,
+    enableRateLimit: true,
+  }),
+  fetchFundingRates: fetchBinanceFundingRates,
+  fetchSettledRates: fetchBinanceSettledRates,
+  // USDⓈ-M and COIN-M tickers come from separate APIs
+  fetchLiquidity: exchange => fetchCcxtLiquidity(exchange, {
+    tickerParams: [{ type: 'swap', subType: 'linear' }, { type: 'swap', subType: 'inverse' }]
+  }),
+  // Positions and funding income of USDⓈ-M and COIN-M accounts, see lib/account
+  accountParams: [{ subType: 'linear' }, { subType: 'inverse' }],
+  createStreamClient: () => new ccxt.pro.binance({
+    enableRateLimit: true,
+  }),
+  watchFundingRates: watchBinanceFundingRates
+};
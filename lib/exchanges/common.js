@@ -0,0 +1,286 @@
+/**
+ * Helpers shared by the exchange adapters
+ */
+
+const { roundTo } = require('../normalize');
+const { marketMarginType } = require('../margin');
+
+// Per-contract open interest lookups, for the most traded contracts only
+const MAX_OPEN_INTEREST_LOOKUPS = 40;
+const OPEN_INTEREST_CONCURRENCY = 4;
+
+/**
+ * Calculate funding rate interval from timestamps
+ * @param {number} currentTime - Current funding timestamp
+ * @param {number} nextTime - Next funding timestamp
+ * @returns {number} Funding rate interval in hours
+ */
+function calculateFundingInterval(currentTime, nextTime) {
+  if (!currentTime || !nextTime) return null;
+  const diffMs = nextTime - currentTime;
+  const diffHours = diffMs / (1000 * 60 * 60);
+  return Math.round(diffHours);
+}
+
+/**
+ * Get actual funding rate interval for a specific market using funding history
+ * @param {Object} exchange - CCXT exchange instance
+ * @param {string} symbol - Trading symbol
+ * @returns {Promise<number>} Funding rate interval in hours
+ */
+async function getFundingIntervalForSymbol(exchange, symbol) {
+  try {
+    // Get more funding rate history to be more accurate (last 3-5 records)
+    const fundingHistory = await exchange.fetchFundingRateHistory(symbol, undefined, 5);
+    if (fundingHistory && fundingHistory.length >= 2) {
+      // ccxt lists history oldest first; sort anyway so the gaps are never negative
+      const times = fundingHistory.map(entry => entry.timestamp).sort((a, b) => a - b);
+
+      // Calculate intervals between consecutive funding rates
+      const intervals = [];
+      for (let i = 0; i < times.length - 1; i++) {
+        const interval = calculateFundingInterval(
+          times[i],     // Earlier timestamp
+          times[i + 1]  // Later timestamp
+        );
+        if (interval && interval > 0 && interval <= 24) {
+          intervals.push(interval);
+        }
+      }
+
+      // Return the most common interval (mode)
+      if (intervals.length > 0) {
+        const intervalCounts = {};
+        intervals.forEach(interval => {
+          intervalCounts[interval] = (intervalCounts[interval] || 0) + 1;
+        });
+
+        // Find the most frequent interval
+        let mostCommon = intervals[0];
+        let maxCount = 0;
+        for (const [interval, count] of Object.entries(intervalCounts)) {
+          if (count > maxCount) {
+            maxCount = count;
+            mostCommon = parseInt(interval);
+          }
+        }
+        return mostCommon;
+      }
+    }
+  } catch (error) {
+    // Silently continue to other methods
+  }
+  return null;
+}
+
+/**
+ * Parse a ccxt interval string such as '8h' into hours
+ * @param {string} interval - Interval string from a ccxt funding rate structure
+ * @returns {number|null} Interval in hours
+ */
+function parseIntervalHours(interval) {
+  if (!interval || typeof interval !== 'string') return null;
+  const match = interval.match(/^(\d+)([hm])$/);
+  if (!match) return null;
+  const value = parseInt(match[1]);
+  return match[2] === 'h' ? value : Math.round(value / 60) || null;
+}
+
+/**
+ * Convert a funding rate fraction from the exchange to percent
+ * @param {number|string|null} rate - Funding rate as a fraction, e.g. 0.0001
+ * @returns {number|null} Funding rate in percent rounded to 6 decimals, null when missing
+ */
+function toPercent(rate) {
+  if (rate === null || rate === undefined || rate === '') return null;
+  return roundTo(parseFloat(rate) * 100);
+}
+
+// Fields every normalized funding row carries, null when the exchange has no value.
+// fundingTimestamp is the settlement the current rate is paid at, as in ccxt,
+// so for live rows it equals nextFundingTime
+const ROW_FIELDS = [
+  'exchange',
+  'symbol',
+  'fullSymbol',
+  'fundingRate',
+  'fundingTimestamp',
+  'fundingDatetime',
+  'nextFundingTime',
+  'nextFundingDatetime',
+  'fundingIntervalHours',
+  'fundingIntervalSource',
+  'markPrice',
+  'indexPrice',
+  'dataSource',
+  'marginType',
+  'settleCurrency',
+  'quoteCurrency'
+];
+
+/**
+ * Fill fields an adapter left undefined with explicit nulls
+ * @param {Object} row - Normalized funding rate row
+ * @returns {Object} Row with every ROW_FIELDS key present
+ */
+function withExplicitNulls(row) {
+  const complete = { ...row };
+  ROW_FIELDS.forEach(field => {
+    if (complete[field] === undefined) complete[field] = null;
+  });
+  return complete;
+}
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Parse a number, treating missing and non-finite values as null
+ * @param {*} value - Raw value
+ * @returns {number|null} Number
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Open interest of a contract in USD from a ccxt open interest structure
+ * @param {Object} interest - ccxt open interest
+ * @param {Object} market - ccxt market of the contract
+ * @param {number|null} price - Last or mark price
+ * @returns {number|null} Open interest value in USD
+ */
+function openInterestUsd(interest, market, price) {
+  const value = toNumber(interest.openInterestValue);
+  if (value !== null) return value;
+
+  const amount = toNumber(interest.openInterestAmount);
+  if (amount === null) return null;
+  // Inverse contracts are a fixed USD amount each; linear ones a quantity of the base asset
+  if (market.inverse) return amount * (market.contractSize || 1);
+  return price === null ? null : amount * (market.contractSize || 1) * price;
+}
+
+/**
+ * Liquidity of every perpetual swap through ccxt: 24h volume and top of book
+ * from the bulk tickers, open interest from the bulk call when the exchange
+ * has one and otherwise per contract for the most traded ones, leverage and
+ * order limits from the market metadata
+ * @param {Object} exchange - CCXT exchange instance with markets loaded
+ * @param {Object} [options] - Fetch options
+ * @param {Array<Object>} [options.tickerParams] - Params of each fetchTickers call, one per market type
+ * @returns {Promise<Object<string, Object>>} Liquidity keyed by unified symbol
+ */
+async function fetchCcxtLiquidity(exchange, { tickerParams = [{ type: 'swap' }] } = {}) {
+  const has = exchange.has || {};
+  const swaps = Object.values(exchange.markets || {}).filter(market => marketMarginType(market) !== null);
+
+  const tickers = {};
+  for (const params of tickerParams) {
+    try {
+      if (has.fetchTickers) Object.assign(tickers, await exchange.fetchTickers(undefined, params));
+      // Some venues leave the book out of their 24h tickers
+      if (has.fetchBidsAsks) {
+        const books = await exchange.fetchBidsAsks(undefined, params);
+        Object.entries(books).forEach(([symbol, book]) => {
+          tickers[symbol] = { ...book, ...tickers[symbol], bid: book.bid, ask: book.ask };
+        });
+      }
+    } catch (error) {
+      console.log(`${exchange.id}: tickers unavailable for ${JSON.stringify(params)}:`, error.message);
+    }
+  }
+
+  const liquidity = {};
+  swaps.forEach(market => {
+    const ticker = tickers[market.symbol] || {};
+    const last = toNumber(ticker.last);
+    const bid = toNumber(ticker.bid);
+    const ask = toNumber(ticker.ask);
+    const quoteVolume = toNumber(ticker.quoteVolume);
+    const baseVolume = toNumber(ticker.baseVolume);
+    const maxAmount = toNumber(market.limits && market.limits.amount && market.limits.amount.max);
+    const maxCost = toNumber(market.limits && market.limits.cost && market.limits.cost.max);
+
+    let maxOrderUsd = maxCost;
+    if (maxOrderUsd === null && maxAmount !== null) {
+      maxOrderUsd = market.inverse ? maxAmount * (market.contractSize || 1) :
+        last === null ? null : maxAmount * (market.contractSize || 1) * last;
+    }
+
+    liquidity[market.symbol] = {
+      volume24hUsd: quoteVolume !== null ? quoteVolume : baseVolume !== null && last !== null ? baseVolume * last : null,
+      openInterestUsd: null,
+      bidAskSpreadPct: bid > 0 && ask >= bid ? roundTo((ask - bid) / ((ask + bid) / 2) * 100) : null,
+      maxLeverage: toNumber(market.limits && market.limits.leverage && market.limits.leverage.max),
+      maxOrderUsd: maxOrderUsd === null ? null : Math.round(maxOrderUsd),
+      price: last
+    };
+  });
+
+  if (has.fetchOpenInterests) {
+    try {
+      const interests = await exchange.fetchOpenInterests();
+      Object.values(interests).forEach(interest => {
+        const market = exchange.markets[interest.symbol];
+        if (market && liquidity[interest.symbol]) {
+          liquidity[interest.symbol].openInterestUsd = openInterestUsd(interest, market, liquidity[interest.symbol].price);
+        }
+      });
+    } catch (error) {
+      console.log(`${exchange.id}: bulk open interest unavailable:`, error.message);
+    }
+  } else if (has.fetchOpenInterest) {
+    const mostTraded = Object.keys(liquidity)
+      .filter(symbol => liquidity[symbol].volume24hUsd !== null)
+      .sort((a, b) => liquidity[b].volume24hUsd - liquidity[a].volume24hUsd)
+      .slice(0, MAX_OPEN_INTEREST_LOOKUPS);
+
+    await mapWithConcurrency(mostTraded, OPEN_INTEREST_CONCURRENCY, async symbol => {
+      try {
+        const interest = await exchange.fetchOpenInterest(symbol);
+        liquidity[symbol].openInterestUsd = openInterestUsd(interest, exchange.markets[symbol], liquidity[symbol].price);
+      } catch (error) {
+        // Left null, the score uses the other components
+      }
+    });
+  }
+
+  Object.values(liquidity).forEach(item => {
+    delete item.price;
+    if (item.volume24hUsd !== null) item.volume24hUsd = Math.round(item.volume24hUsd);
+    if (item.openInterestUsd !== null) item.openInterestUsd = Math.round(item.openInterestUsd);
+  });
+  return liquidity;
+}
+
+module.exports = {
+  toPercent,
+  toNumber,
+  mapWithConcurrency,
+  fetchCcxtLiquidity,
+  withExplicitNulls,
+  calculateFundingInterval,
+  getFundingIntervalForSymbol,
+  parseIntervalHours
+};
@@ -0,0 +1,95 @@
+const ccxt = require('ccxt');
+const { calculateFundingInterval, parseIntervalHours, toPercent } = require('./common');
+const { marketFields } = require('../margin');
+
+/**
+ * Create an adapter for any exchange whose ccxt class supports bulk fetchFundingRates
+ * @param {Object} config - Adapter configuration
+ * @param {string} config.id - Registry id, also the ccxt class name unless ccxtId is given
+ * @param {string} config.name - Display name
+ * @param {string} [config.ccxtId] - ccxt class name when it differs from id
+ * @param {Object} [config.options] - Extra ccxt constructor options
+ * @returns {Object} Exchange adapter
+ */
+function createCcxtAdapter({ id, name, ccxtId, options = {} }) {
+  const label = name.toUpperCase();
+
+  /**
+   * Fetch funding rates for all USDT, USDC and coin-margined perpetuals using CCXT
+   * @param {Object} exchange - CCXT exchange instance
+   * @returns {Promise<Array>} Array of funding rate data
+   */
+  async function fetchCcxtFundingRates(exchange) {
+    try {
+      console.log(`Fetching ${name} funding rates using CCXT...`);
+
+      await exchange.loadMarkets();
+      const fundingRates = await exchange.fetchFundingRates();
+
+      if (!fundingRates || Object.keys(fundingRates).length === 0) {
+        console.log(`${name}: No funding rates returned from API`);
+        return [];
+      }
+
+      const result = [];
+
+      // Perpetuals by market metadata, whatever the quote currency
+      const symbols = Object.keys(fundingRates).filter(symbol =>
+        marketFields(exchange.markets[symbol] || {}).marginType !== null
+      );
+
+      for (const symbol of symbols) {
+        const data = fundingRates[symbol];
+        if (!data || data.fundingRate === undefined || data.fundingRate === null) continue;
+
+        const market = exchange.markets[symbol];
+        const baseSymbol = market.base;
+
+        // Prefer the interval reported by the exchange, then the gap between settlements
+        const reportedInterval = parseIntervalHours(data.interval);
+        const derivedInterval = calculateFundingInterval(data.fundingTimestamp, data.nextFundingTimestamp);
+        const fundingIntervalHours = reportedInterval || derivedInterval || 8;
+        const fundingIntervalSource = reportedInterval ? 'exchange' : derivedInterval ? 'timestamps' : 'default';
+
+        result.push({
+          exchange: label,
+          symbol: baseSymbol,
+          fullSymbol: symbol,
+          fundingRate: toPercent(data.fundingRate),
+          fundingTimestamp: data.fundingTimestamp,
+          fundingDatetime: data.fundingDatetime,
+          nextFundingTime: data.fundingTimestamp,
+          nextFundingDatetime: data.fundingDatetime,
+          fundingIntervalHours: fundingIntervalHours,
+          fundingIntervalSource: fundingIntervalSource,
+          markPrice: data.markPrice,
+          indexPrice: data.indexPrice,
+          dataSource: 'ccxt',
+          ...marketFields(market)
+        });
+      }
+
+      result.sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+      console.log(`${name}: Found ${result.length} perpetual contracts`);
+      return result;
+
+    } catch (error) {
+      console.error(`${name} CCXT error:`, error.message);
+      throw error;
+    }
+  }
+
+  return {
+    id,
+    name,
+    createClient: () => new ccxt[ccxtId || id]({
+      sandbox: false,
+      enableRateLimit: true,
+      ...options
+    }),
+    fetchFundingRates: fetchCcxtFundingRates
+  };
+}
+
+module.exports = { createCcxtAdapter };
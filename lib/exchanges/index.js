@@ -0,0 +1,163 @@
+const binance = require('./binance');
+const mexc = require('./mexc');
+const { createCcxtAdapter } = require('./generic');
+const { withExplicitNulls, fetchCcxtLiquidity } = require('./common');
+const { envSeconds } = require('../cache');
+const { resolveSymbols } = require('../symbols');
+const { instrumentClient } = require('../fixtures');
+
+/**
+ * Exchange adapter registry
+ *
+ * Every adapter exposes the same interface:
+ *   id                        - lowercase key used in query parameters and response objects
+ *   name                      - display name
+ *   createClient()            - returns a CCXT exchange instance
+ *   fetchFundingRates(client) - resolves to an array of normalized funding rate rows, rejects when the exchange fails
+ *
+ * Adapters with a bulk settlement history endpoint also expose:
+ *   fetchSettledRates(client, since) - resolves to [{fullSymbol, timestamp, fundingRate}] settled since `since`
+ *
+ * Adapters may expose fetchLiquidity(client), resolving to volume, open interest,
+ * spread and limits keyed by unified symbol; the others use fetchCcxtLiquidity.
+ * accountParams lists the ccxt params sets account calls are made with (lib/account).
+ *
+ * Adapters that can stream also expose:
+ *   createStreamClient()      - returns a CCXT Pro exchange instance
+ *   watchFundingRates(client) - resolves to the next batch of partial rows (symbol plus changed fields)
+ */
+const adapters = {};
+
+// CCXT clients are created lazily and reused across warm invocations
+const clients = {};
+
+// Market metadata changes rarely; reload it from the exchange after this long
+const MARKETS_TTL_MS = envSeconds('MARKETS_CACHE_TTL_SECONDS', 6 * 60 * 60) * 1000;
+const marketsLoadedAt = {};
+
+// Venues queried when the request does not specify any
+const DEFAULT_EXCHANGES = ['binance', 'mexc'];
+
+/**
+ * Register an exchange adapter
+ * @param {Object} adapter - Exchange adapter
+ */
+function registerExchange(adapter) {
+  if (!adapter || !adapter.id || typeof adapter.fetchFundingRates !== 'function') {
+    throw new Error('Exchange adapter must have an id and a fetchFundingRates function');
+  }
+  adapters[adapter.id] = adapter;
+}
+
+/**
+ * Get a registered adapter by id
+ * @param {string} id - Exchange id
+ * @returns {Object|undefined} Exchange adapter
+ */
+function getExchange(id) {
+  return adapters[id];
+}
+
+/**
+ * List all registered adapters
+ * @returns {Array<Object>} Exchange adapters
+ */
+function listExchanges() {
+  return Object.values(adapters);
+}
+
+/**
+ * Get (or lazily create) the CCXT client for an exchange
+ * @param {string} id - Exchange id
+ * @returns {Object} CCXT exchange instance
+ */
+function getClient(id) {
+  if (!clients[id]) {
+    // Recorded or replayed instead of live when FUNDING_FIXTURES is set
+    clients[id] = instrumentClient(adapters[id].createClient());
+  }
+  return clients[id];
+}
+
+/**
+ * Get the CCXT client for an exchange with its markets loaded and not older than MARKETS_TTL_MS
+ * @param {string} id - Exchange id
+ * @returns {Promise<Object>} CCXT exchange instance
+ */
+async function getClientWithMarkets(id) {
+  const client = getClient(id);
+  const age = Date.now() - (marketsLoadedAt[id] || 0);
+
+  if (!client.markets || age >= MARKETS_TTL_MS) {
+    await client.loadMarkets(Boolean(client.markets));
+    marketsLoadedAt[id] = Date.now();
+  }
+
+  return client;
+}
+
+/**
+ * Parse an `exchanges` query parameter into a list of registered exchange ids
+ * @param {string} [value] - Comma separated exchange ids
+ * @returns {{ids: Array<string>, unknown: Array<string>}} Known and unknown ids
+ */
+function parseExchangeList(value) {
+  if (!value) {
+    return { ids: [...DEFAULT_EXCHANGES], unknown: [] };
+  }
+
+  const requested = String(value).split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  const ids = [...new Set(requested)].filter(id => adapters[id]);
+  const unknown = requested.filter(id => !adapters[id]);
+
+  return { ids, unknown };
+}
+
+/**
+ * Fetch normalized funding rates from a registered exchange, with symbols
+ * resolved to the canonical names shared across venues
+ * @param {string} id - Exchange id
+ * @returns {Promise<Array>} Array of funding rate data; rejects when the exchange fails
+ */
+async function fetchFundingRates(id) {
+  console.log(`Fetching funding rates from ${id}...`);
+  const client = await getClientWithMarkets(id);
+  const rates = await adapters[id].fetchFundingRates(client);
+  return resolveSymbols(id, rates.map(withExplicitNulls), client.markets);
+}
+
+/**
+ * Fetch volume, open interest, spread and limits of every perpetual of an exchange
+ * @param {string} id - Exchange id
+ * @returns {Promise<Object<string, Object>>} Liquidity keyed by unified symbol
+ */
+async function fetchLiquidity(id) {
+  const client = await getClientWithMarkets(id);
+  const adapter = adapters[id];
+  if (typeof adapter.fetchLiquidity === 'function') {
+    return adapter.fetchLiquidity(client);
+  }
+  return fetchCcxtLiquidity(client);
+}
+
+registerExchange(binance);
+registerExchange(mexc);
+registerExchange(createCcxtAdapter({ id: 'bybit', name: 'Bybit' }));
+registerExchange(createCcxtAdapter({ id: 'okx', name: 'OKX' }));
+registerExchange(createCcxtAdapter({ id: 'bitget', name: 'Bitget' }));
+registerExchange(createCcxtAdapter({ id: 'gate', name: 'Gate' }));
+
+module.exports = {
+  DEFAULT_EXCHANGES,
+  registerExchange,
+  getExchange,
+  listExchanges,
+  getClient,
+  getClientWithMarkets,
+  parseExchangeList,
+  fetchFundingRates,
+  fetchLiquidity
+};
@@ -0,0 +1,257 @@
+const ccxt = require('ccxt');
+const { mapWithConcurrency, toNumber, toPercent } = require('./common');
+const { roundTo } = require('../normalize');
+const { fetchJson } = require('../fixtures');
+const { marketFields } = require('../margin');
+
+// Per-symbol funding requests in flight at once when the bulk endpoint is down
+const FALLBACK_CONCURRENCY = 8;
+
+/**
+ * Index the perpetual swaps of MEXC by contract id, e.g. BTC_USDT or BTC_USD
+ * @param {Object} exchange - CCXT exchange instance with markets loaded
+ * @returns {Object<string, Object>} ccxt markets keyed by contract id
+ */
+function indexSwapMarkets(exchange) {
+  const markets = {};
+  Object.values(exchange.markets || {}).forEach(market => {
+    if (marketFields(market).marginType !== null) markets[market.id] = market;
+  });
+  return markets;
+}
+
+/**
+ * Build a funding row from a MEXC contract funding record (REST or ccxt info)
+ * @param {Object} item - Record with symbol, fundingRate, collectCycle and nextSettleTime
+ * @param {Object} market - ccxt market of the contract
+ * @param {string} dataSource - Where the record came from
+ * @returns {Object} Normalized funding rate row
+ */
+function toFundingRow(item, market, dataSource) {
+
+  // Get actual funding interval from MEXC data
+  let fundingIntervalHours = 8; // Default
+  let fundingIntervalSource = 'default';
+  if (item.collectCycle && typeof item.collectCycle === 'number') {
+    fundingIntervalHours = item.collectCycle; // MEXC provides the interval directly
+    fundingIntervalSource = 'collectCycle';
+  }
+
+  return {
+    exchange: 'MEXC',
+    symbol: market.base,
+    fullSymbol: market.symbol,
+    fundingRate: toPercent(item.fundingRate),
+    fundingTimestamp: item.nextSettleTime || null,
+    fundingDatetime: item.nextSettleTime ? new Date(item.nextSettleTime).toISOString() : null,
+    nextFundingTime: item.nextSettleTime || null,
+    nextFundingDatetime: item.nextSettleTime ? new Date(item.nextSettleTime).toISOString() : null,
+    fundingIntervalHours: fundingIntervalHours,
+    fundingIntervalSource: fundingIntervalSource,
+    markPrice: null,
+    indexPrice: null,
+    dataSource: dataSource,
+    ...marketFields(market)
+  };
+}
+
+/**
+ * Get funding rates of all perpetual contracts from MEXC's bulk contract endpoint
+ * @param {Object<string, Object>} markets - Swap markets keyed by contract id
+ * @returns {Promise<Array>} Funding rate rows
+ */
+async function fetchRestFundingRates(markets) {
+  const data = await fetchJson('https://contract.mexc.com/api/v1/contract/funding_rate');
+  if (!data.success || !Array.isArray(data.data)) {
+    throw new Error(`MEXC funding_rate endpoint answered ${data.code || 'without data'}`);
+  }
+
+  return data.data
+    .filter(item => item.symbol && markets[item.symbol])
+    .map(item => toFundingRow(item, markets[item.symbol], 'rest'));
+}
+
+/**
+ * Get funding rates of all perpetual swaps through ccxt. Uses the bulk call when
+ * the ccxt class supports it, otherwise one fetchFundingRate per swap with at
+ * most FALLBACK_CONCURRENCY requests in flight.
+ * @param {Object} exchange - CCXT exchange instance with markets loaded
+ * @param {Object<string, Object>} markets - Swap markets keyed by contract id
+ * @returns {Promise<Array>} Funding rate rows
+ */
+async function fetchCcxtFundingRates(exchange, markets) {
+  if (exchange.has.fetchFundingRates) {
+    const fundingRates = await exchange.fetchFundingRates();
+    return Object.values(fundingRates)
+      .filter(data => data.info && data.info.symbol && markets[data.info.symbol])
+      .map(data => toFundingRow(data.info, markets[data.info.symbol], 'ccxt'));
+  }
+
+  const symbols = Object.values(markets)
+    .filter(market => market.active !== false)
+    .map(market => market.symbol);
+
+  console.log(`MEXC: Fetching ${symbols.length} perpetual contracts one by one...`);
+
+  let failed = 0;
+  const rows = await mapWithConcurrency(symbols, FALLBACK_CONCURRENCY, async symbol => {
+    try {
+      const data = await exchange.fetchFundingRate(symbol);
+      return toFundingRow(data.info, exchange.markets[symbol], 'ccxt-symbol');
+    } catch (error) {
+      // Skip individual symbols that fail
+      failed++;
+      return null;
+    }
+  });
+
+  if (failed > 0) console.log(`MEXC: ${failed}/${symbols.length} funding rate requests failed`);
+  return rows.filter(Boolean);
+}
+
+/**
+ * Get fair (mark) and index prices of all contracts from MEXC's contract ticker
+ * @param {Object<string, Object>} markets - Swap markets keyed by contract id
+ * @returns {Promise<Object<string, Object>>} Prices keyed by unified symbol, empty when unavailable
+ */
+async function fetchContractPrices(markets) {
+  try {
+    const data = await fetchJson('https://contract.mexc.com/api/v1/contract/ticker');
+    if (!data.success || !Array.isArray(data.data)) {
+      throw new Error(`ticker endpoint answered ${data.code || 'without data'}`);
+    }
+
+    const prices = {};
+    data.data.forEach(ticker => {
+      if (!ticker.symbol || !markets[ticker.symbol]) return;
+      const markPrice = parseFloat(ticker.fairPrice);
+      const indexPrice = parseFloat(ticker.indexPrice);
+      prices[markets[ticker.symbol].symbol] = {
+        markPrice: Number.isFinite(markPrice) ? markPrice : null,
+        indexPrice: Number.isFinite(indexPrice) ? indexPrice : null
+      };
+    });
+    return prices;
+
+  } catch (error) {
+    // Rates are still worth serving without prices
+    console.log('MEXC: contract ticker failed, mark and index prices unavailable:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Get 24h volume, open interest, top of book and limits of every contract
+ * from MEXC's contract ticker, which carries open interest (holdVol) for all
+ * contracts in one call. Volumes and open interest are counted in contracts.
+ * @param {Object} exchange - CCXT exchange instance with markets loaded
+ * @returns {Promise<Object<string, Object>>} Liquidity keyed by unified symbol
+ */
+async function fetchMexcLiquidity(exchange) {
+  const markets = indexSwapMarkets(exchange);
+  const data = await fetchJson('https://contract.mexc.com/api/v1/contract/ticker');
+  if (!data.success || !Array.isArray(data.data)) {
+    throw new Error(`MEXC ticker endpoint answered ${data.code || 'without data'}`);
+  }
+
+  const liquidity = {};
+  data.data.forEach(ticker => {
+    const market = markets[ticker.symbol];
+    if (!market) return;
+
+    const contractSize = market.contractSize || 1;
+    const price = toNumber(ticker.fairPrice) || toNumber(ticker.lastPrice);
+    // Inverse contracts are worth a fixed USD amount, linear ones a quantity of the base asset
+    const usdPerContract = market.inverse ? contractSize : price === null ? null : contractSize * price;
+    const toUsd = contracts => contracts === null || usdPerContract === null ? null : Math.round(contracts * usdPerContract);
+
+    const bid = toNumber(ticker.bid1);
+    const ask = toNumber(ticker.ask1);
+    const maxContracts = toNumber(market.limits && market.limits.amount && market.limits.amount.max);
+
+    liquidity[market.symbol] = {
+      volume24hUsd: toUsd(toNumber(ticker.volume24)),
+      openInterestUsd: toUsd(toNumber(ticker.holdVol)),
+      bidAskSpreadPct: bid > 0 && ask >= bid ? roundTo((ask - bid) / ((ask + bid) / 2) * 100) : null,
+      maxLeverage: toNumber(market.limits && market.limits.leverage && market.limits.leverage.max),
+      maxOrderUsd: toUsd(maxContracts)
+    };
+  });
+
+  return liquidity;
+}
+
+/**
+ * Fetch funding rates from MEXC using REST API, falling back to ccxt
+ * @param {Object} exchange - CCXT exchange instance
+ * @returns {Promise<Array>} Array of funding rate data
+ */
+async function fetchMexcFundingRates(exchange) {
+  try {
+    console.log('Fetching MEXC funding rates using REST API...');
+
+    // Load markets first, they decide which contracts are perpetuals
+    await exchange.loadMarkets();
+    const markets = indexSwapMarkets(exchange);
+
+    const [rates, prices] = await Promise.all([
+      fetchRestFundingRates(markets).catch(apiError => {
+        console.log('MEXC direct API failed, falling back to CCXT funding rates:', apiError.message);
+        return fetchCcxtFundingRates(exchange, markets);
+      }),
+      fetchContractPrices(markets)
+    ]);
+
+    const result = rates.map(row => ({ ...row, ...prices[row.fullSymbol] }));
+
+    // Sort results by symbol name for consistency
+    result.sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+    const priced = result.filter(row => row.markPrice !== null).length;
+    console.log(`MEXC: Found ${result.length} perpetual contracts (${priced} with prices) via ${result.length ? result[0].dataSource : 'none'}`);
+    return result;
+
+  } catch (error) {
+    console.error('Error fetching from MEXC:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Wait for the next batch of MEXC contract ticker pushes (push.tickers),
+ * which carry the funding rate alongside fair and index prices
+ * @param {Object} exchange - CCXT Pro exchange instance
+ * @returns {Promise<Array>} Partial funding rate rows for the updated symbols
+ */
+async function watchMexcFundingRates(exchange) {
+  const tickers = await exchange.watchTickers();
+
+  return Object.values(tickers)
+    .filter(ticker => ticker.info && ticker.info.symbol && ticker.info.symbol.endsWith('_USDT'))
+    .map(ticker => {
+      const info = ticker.info;
+      return {
+        symbol: info.symbol.replace('_USDT', '').toUpperCase(),
+        fundingRate: info.fundingRate !== undefined ? toPercent(info.fundingRate) : undefined,
+        markPrice: info.fairPrice !== undefined ? parseFloat(info.fairPrice) : undefined,
+        indexPrice: info.indexPrice !== undefined ? parseFloat(info.indexPrice) : undefined,
+        dataSource: 'stream'
+      };
+    });
+}
+
+module.exports = {
+  id: 'mexc',
+  name: 'MEXC',
+  createClient: () => new ccxt.mexc({
+    sandbox: false,
+    enableRateLimit: true,
+  }),
+  fetchFundingRates: fetchMexcFundingRates,
+  fetchLiquidity: fetchMexcLiquidity,
+  createStreamClient: () => new ccxt.pro.mexc({
+    enableRateLimit: true,
+    options: { defaultType: 'swap' }
+  }),
+  watchFundingRates: watchMexcFundingRates
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Record and replay of exchange HTTP responses
+ *
+ * With FUNDING_FIXTURES=record every ccxt request and direct exchange API call
+ * is performed live and its parsed response saved under FUNDING_FIXTURES_DIR
+ * (default ./fixtures), one file per request. With FUNDING_FIXTURES=replay
+ * the saved responses are served instead and nothing goes over the network,
+ * so the whole pipeline runs offline and deterministically. A request without
+ * a fixture fails like an unreachable exchange would.
+ *
+ * Files are named <host>/<method>-<hash>.json and hold the request next to
+ * the response, so they can be read and edited by hand to craft edge cases.
+ * FUNDING_FIXTURES_DIR may list several directories separated like PATH:
+ * replay serves each request from the first one holding it, so an edge case
+ * is a small overlay of edited responses on top of a full recording. Recording
+ * writes to the first directory.
+ * Signing parameters of authenticated requests are left out of both, so
+ * account calls replay and no signature is written to disk; API keys travel
+ * in headers, which are never stored.
+ */
+
+const MODES = ['record', 'replay'];
+
+// Query parameters that change with every signed request
+const SIGNING_PARAMS = ['timestamp', 'recvWindow', 'signature'];
+
+/**
+ * Get the fixture mode from the environment
+ * @returns {string|null} record, replay, or null for live traffic
+ */
+function getFixtureMode() {
+  const mode = (process.env.FUNDING_FIXTURES || '').toLowerCase();
+  return MODES.includes(mode) ? mode : null;
+}
+
+function fixturesDirs() {
+  const value = process.env.FUNDING_FIXTURES_DIR;
+  return value ? value.split(path.delimiter).filter(Boolean) : [path.join(process.cwd(), 'fixtures')];
+}
+
+/**
+ * Drop the signing parameters from a URL or form body
+ * @param {string} [value] - URL or urlencoded body
+ * @returns {string|undefined} Value without signing parameters, unchanged when it has none
+ */
+function stripSigning(value) {
+  if (!value || !SIGNING_PARAMS.some(param => value.includes(`${param}=`))) return value;
+
+  const [base, search] = value.includes('?') ? value.split(/\?(.*)/s) : [null, value];
+  const params = new URLSearchParams(search);
+  SIGNING_PARAMS.forEach(param => params.delete(param));
+  const rest = params.toString();
+  if (base === null) return rest;
+  return rest ? `${base}?${rest}` : base;
+}
+
+/**
+ * File holding the fixture of a request, relative to a fixtures directory
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {string} [body] - Request body
+ * @returns {string} Fixture file path
+ */
+function fixtureFile(method, url, body) {
+  const hash = crypto.createHash('sha1').update(`${method} ${url} ${body || ''}`).digest('hex').slice(0, 16);
+  return path.join(new URL(url).host, `${method.toLowerCase()}-${hash}.json`);
+}
+
+/**
+ * Run a request through the fixture store: replay it, record it, or just perform it
+ * @param {Object} request - Request description
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Request URL
+ * @param {string} [request.body] - Request body
+ * @param {Function} perform - Performs the live request and resolves with the parsed response
+ * @returns {Promise<*>} Parsed response
+ */
+async function withFixture(request, perform) {
+  const mode = getFixtureMode();
+  if (!mode) return perform();
+
+  const { method } = request;
+  const url = stripSigning(request.url);
+  const body = stripSigning(request.body);
+
+  const dirs = fixturesDirs();
+  const name = fixtureFile(method, url, body);
+
+  if (mode === 'replay') {
+    const dir = dirs.find(candidate => fs.existsSync(path.join(candidate, name)));
+    if (!dir) {
+      throw new Error(`No fixture for ${method} ${url}`);
+    }
+    return JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8')).response;
+  }
+
+  const response = await perform();
+  const file = path.join(dirs[0], name);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, JSON.stringify({
+    request: { method, url, body: body || null },
+    recordedAt: new Date().toISOString(),
+    response: response
+  }, null, 2));
+  return response;
+}
+
+/**
+ * Route the HTTP requests of a ccxt client through the fixture store
+ * @param {Object} exchange - CCXT exchange instance
+ * @returns {Object} The same instance
+ */
+function instrumentClient(exchange) {
+  const mode = getFixtureMode();
+  if (!mode) return exchange;
+
+  // Nothing goes over the network, so there is no rate limit to respect
+  if (mode === 'replay') exchange.enableRateLimit = false;
+
+  const liveFetch = exchange.fetch.bind(exchange);
+  exchange.fetch = (url, method = 'GET', headers, body) =>
+    withFixture({ method, url, body }, () => liveFetch(url, method, headers, body));
+  return exchange;
+}
+
+/**
+ * GET a JSON document, through the fixture store when one is active
+ * @param {string} url - Request URL
+ * @returns {Promise<*>} Parsed response
+ */
+function fetchJson(url) {
+  return withFixture({ method: 'GET', url }, async () => {
+    const response = await fetch(url);
+    return response.json();
+  });
+}
+
+module.exports = {
+  getFixtureMode,
+  instrumentClient,
+  fetchJson
+};
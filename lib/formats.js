@@ -0,0 +1,171 @@
+/**
+ * Text export formats for comparison rows
+ *
+ * CSV and NDJSON share one flat row so a column means the same thing in both.
+ */
+
+const FORMATS = ['json', 'csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Fields copied from each exchange side, prefixed with the exchange id
+const SIDE_FIELDS = [
+  'venueSymbol',
+  'priceMultiplier',
+  'marginType',
+  'settleCurrency',
+  'fundingRate',
+  'fundingRateHourly',
+  'fundingRate8h',
+  'fundingRateApr',
+  'fundingIntervalHours',
+  'fundingIntervalSource',
+  'nextFundingDatetime',
+  'secondsToNextFunding',
+  'markPrice',
+  'dataSource',
+  'lastSettledFundingRate',
+  'predictionError',
+  'realizedFunding24h',
+  'realizedFunding7d',
+  'realizedFunding30d',
+  'volume24hUsd',
+  'openInterestUsd',
+  'bidAskSpreadPct',
+  'maxLeverage',
+  'maxOrderUsd',
+  'liquidityScore',
+  'fundingRate8hMean',
+  'fundingRate8hStd'
+];
+
+// Row-level fields that follow the exchange columns
+const ROW_FIELDS = [
+  'fundingRateDifference',
+  'absoluteDifference',
+  'favorableExchange',
+  'differenceCategory',
+  'tradabilityScore',
+  'alignedSettlements',
+  'firstToSettle',
+  'settlementLeadSeconds',
+  'nextSharedFundingDatetime',
+  'secondsToSharedFunding',
+  'spreadSamples',
+  'spreadMean8h',
+  'spreadStd8h',
+  'spreadZScore',
+  'spreadSignPersistence',
+  'spreadHalfLifeHours',
+  'adaptiveCategory'
+];
+
+// Account columns, only for rows overlaid with account data (lib/account)
+const ACCOUNT_SIDE_FIELDS = {
+  positionSide: account => account.position && account.position.side,
+  positionNotionalUsd: account => account.position && account.position.notionalUsd,
+  fundingPnlUsd: account => account.fundingPnlUsd
+};
+const ACCOUNT_ROW_FIELDS = {
+  accountNetExposureUsd: 'netExposureUsd',
+  accountGrossExposureUsd: 'grossExposureUsd',
+  accountFundingPnlUsd: 'fundingPnlUsd'
+};
+
+const prefixed = (id, field) => `${id}${field[0].toUpperCase()}${field.slice(1)}`;
+
+/**
+ * Column names of a flat row, e.g. binanceFundingRate
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @param {boolean} [account] - Add the account columns
+ * @returns {Array<string>} Column names
+ */
+function flatColumns(exchangeIds, account = false) {
+  const sideColumns = exchangeIds.flatMap(id => [
+    ...SIDE_FIELDS.map(field => prefixed(id, field)),
+    ...(account ? Object.keys(ACCOUNT_SIDE_FIELDS).map(field => prefixed(id, field)) : [])
+  ]);
+  return ['symbol', ...sideColumns, 'comparedExchanges', ...ROW_FIELDS, ...(account ? Object.keys(ACCOUNT_ROW_FIELDS) : [])];
+}
+
+/**
+ * Flatten a comparison row
+ * @param {Object} row - Comparison row
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {Object} Flat row keyed by flatColumns
+ */
+function flattenRow(row, exchangeIds) {
+  const clean = value => value === undefined ? null : value;
+  const flat = { symbol: row.symbol };
+
+  const account = row.account !== undefined;
+
+  exchangeIds.forEach(id => {
+    SIDE_FIELDS.forEach(field => {
+      flat[prefixed(id, field)] = clean(row[id][field]);
+    });
+    if (!account) return;
+    Object.entries(ACCOUNT_SIDE_FIELDS).forEach(([field, read]) => {
+      flat[prefixed(id, field)] = row[id].account ? clean(read(row[id].account)) : null;
+    });
+  });
+
+  flat.comparedExchanges = row.comparedExchanges.join('/');
+  ROW_FIELDS.forEach(field => {
+    flat[field] = clean(row[field]);
+  });
+  if (account) {
+    Object.entries(ACCOUNT_ROW_FIELDS).forEach(([column, field]) => {
+      flat[column] = row.account ? clean(row.account[field]) : null;
+    });
+  }
+
+  return flat;
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render comparison rows as CSV with a header line
+ * @param {Array} rows - Comparison rows
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {string} CSV text
+ */
+function toCsv(rows, exchangeIds) {
+  const columns = flatColumns(exchangeIds, rows.some(row => row.account !== undefined));
+  const lines = rows.map(row => {
+    const flat = flattenRow(row, exchangeIds);
+    return columns.map(column => csvField(flat[column])).join(',');
+  });
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Render comparison rows as newline-delimited JSON, one flat row per line
+ * @param {Array} rows - Comparison rows
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {string} NDJSON text
+ */
+function toNdjson(rows, exchangeIds) {
+  return rows.map(row => JSON.stringify(flattenRow(row, exchangeIds)) + '\n').join('');
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  flattenRow,
+  toCsv,
+  toNdjson
+};
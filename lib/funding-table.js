@@ -0,0 +1,81 @@
+/**
+ * The funding comparison table of /api/funding-rates and scripts/funding.js
+ *
+ * A snapshot of the selected exchanges goes through the same steps for both:
+ * comparison of the common symbols, each exchange on its own when there are
+ * none, spread analytics, the account overlay on request, then the filters,
+ * sorting and pagination of the table query.
+ */
+
+const { fetchSnapshot } = require('./snapshot');
+const { buildComparisonTable, buildSingleExchangeRows } = require('./comparison');
+const { applyTableQuery } = require('./table-query');
+const { DEFAULT_MARGIN_TYPES } = require('./margin');
+const { loadAnalyticsHistory, withSpreadAnalytics } = require('./analytics');
+const { DEFAULT_ACCOUNT_DAYS, fetchAccounts, withAccount } = require('./account');
+
+/**
+ * Fetch a snapshot and build the comparison table
+ * @param {Object} options - Table options
+ * @param {Array<string>} options.exchangeIds - Exchange ids in request order
+ * @param {string} options.basis - Comparison basis
+ * @param {Object} options.tableQuery - Table query from parseTableQuery
+ * @param {Array<string>} [options.marginTypes] - Margin types in order of preference
+ * @param {boolean} [options.fresh] - Bypass the cache
+ * @param {boolean} [options.account] - Overlay the positions and funding payments of the configured accounts
+ * @param {number} [options.accountDays] - Days of funding payments in the account overlay
+ * @returns {Promise<{ratesByExchange: Object<string, Array>, cache: Object, health: Object, duration: number, down: Array<string>, comparisonTable: Array<Object>, allSymbols: Set<string>, symbolReport: Object, accounts: Object|null, rows: Array<Object>, pagination: Object}>} Snapshot, comparison and the rows of the table query
+ */
+async function buildFundingTable({
+  exchangeIds,
+  basis,
+  tableQuery,
+  marginTypes = DEFAULT_MARGIN_TYPES,
+  fresh = false,
+  account = false,
+  accountDays = DEFAULT_ACCOUNT_DAYS
+}) {
+  // Fetch all selected exchanges in parallel, each with its own timeout and cache entry
+  const { ratesByExchange, cache, health, duration } = await fetchSnapshot(exchangeIds, { fresh, marginTypes });
+  const down = exchangeIds.filter(id => health[id].status === 'down');
+
+  // Find common symbols and calculate differences
+  const { comparisonTable, allSymbols, symbolReport } = buildComparisonTable(ratesByExchange, exchangeIds, basis);
+
+  const [analyticsHistory, accounts] = await Promise.all([
+    loadAnalyticsHistory(exchangeIds),
+    account ? fetchAccounts(exchangeIds, { days: accountDays }) : null
+  ]);
+
+  // If no common coins, create individual table data. Not when a venue is
+  // down: its health entry explains the empty table better than lone rows.
+  let tableData = comparisonTable;
+  if (comparisonTable.length === 0 && down.length === 0) {
+    console.log('No common coins found, showing individual exchange data...');
+    tableData = buildSingleExchangeRows(ratesByExchange, exchangeIds);
+  }
+
+  // Rolling statistics of each pair, before filtering so they can be sorted on
+  tableData = withSpreadAnalytics(tableData, analyticsHistory, exchangeIds);
+  if (accounts) {
+    tableData = withAccount(tableData, accounts, exchangeIds);
+  }
+
+  const { rows, pagination } = applyTableQuery(tableData, tableQuery, basis, exchangeIds);
+
+  return {
+    ratesByExchange,
+    cache,
+    health,
+    duration,
+    down,
+    comparisonTable,
+    allSymbols,
+    symbolReport,
+    accounts,
+    rows,
+    pagination
+  };
+}
+
+module.exports = { buildFundingTable };
@@ -0,0 +1,189 @@
+const ccxt = require('ccxt');
+
+/**
+ * Per-exchange health: error classification, fetch outcomes and a circuit breaker
+ *
+ * After FAILURE_THRESHOLD consecutive failures the breaker opens and the
+ * exchange isn't called until its cooldown ends. Then the breaker is half-open:
+ * a single trial request goes through while the others keep being refused, and
+ * the cooldown doubles on every failed trial, up to MAX_COOLDOWN_MS. Meanwhile
+ * the last good snapshot is served, marked as stale once it is older than a
+ * working cache would serve it.
+ */
+
+const FAILURE_THRESHOLD = 3;
+const BASE_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+// A trial that never reports back frees the half-open slot after this long
+const TRIAL_TIMEOUT_MS = 60 * 1000;
+
+// Failures worth retrying right away; the others won't change within seconds
+const RETRYABLE_CLASSES = ['timeout', 'rate-limit', 'network'];
+
+// Health of each exchange keyed by exchange id
+const exchanges = {};
+
+/**
+ * Error raised when an exchange answered but returned no funding rates
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorClass 'empty'
+ */
+function emptyResultError(message) {
+  const error = new Error(message);
+  error.errorClass = 'empty';
+  return error;
+}
+
+/**
+ * Put an exchange failure into a class the dashboard and alerts can act on
+ * @param {Error} error - Failure
+ * @returns {string} timeout, rate-limit, geo-block, parse, network, empty, circuit-open or unknown
+ */
+function classifyError(error) {
+  if (error.errorClass) return error.errorClass;
+
+  const message = String(error.message || '');
+  if (error instanceof ccxt.RequestTimeout || /timed? ?out|timeout/i.test(message)) return 'timeout';
+  // Binance answers 451 from restricted locations, others 403 from their CDN
+  if (/\b451\b|restricted location|not available in your (country|region)|cloudfront/i.test(message)) return 'geo-block';
+  if (error instanceof ccxt.RateLimitExceeded || error instanceof ccxt.DDoSProtection ||
+      /\b(429|418)\b|rate limit|too many requests/i.test(message)) return 'rate-limit';
+  if (error instanceof SyntaxError || error instanceof ccxt.BadResponse || /unexpected token|json/i.test(message)) return 'parse';
+  if (error instanceof ccxt.NetworkError || /ECONNRESET|ENOTFOUND|ECONNREFUSED|EAI_AGAIN|fetch failed/.test(message)) return 'network';
+  return 'unknown';
+}
+
+/**
+ * Whether a failure class is worth an immediate retry
+ * @param {string} errorClass - Class from classifyError
+ * @returns {boolean} True for transient failures
+ */
+function isRetryable(errorClass) {
+  return RETRYABLE_CLASSES.includes(errorClass);
+}
+
+function getState(id) {
+  if (!exchanges[id]) {
+    exchanges[id] = {
+      consecutiveFailures: 0,
+      openUntil: 0,
+      cooldownMs: BASE_COOLDOWN_MS,
+      trialStartedAt: null,
+      latencyMs: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    };
+  }
+  return exchanges[id];
+}
+
+/**
+ * Check the circuit breaker before calling an exchange. While half-open this
+ * claims the one trial request, so the outcome must be recorded afterwards.
+ * @param {string} id - Exchange id
+ * @returns {boolean} True when the exchange may be called
+ */
+function canRequest(id) {
+  const state = getState(id);
+  const now = Date.now();
+
+  if (now < state.openUntil) return false;
+  if (state.openUntil === 0) return true;
+
+  if (state.trialStartedAt !== null && now - state.trialStartedAt < TRIAL_TIMEOUT_MS) return false;
+  state.trialStartedAt = now;
+  return true;
+}
+
+/**
+ * Record a successful fetch and close the breaker
+ * @param {string} id - Exchange id
+ * @param {number} latencyMs - Time the fetch took
+ */
+function recordSuccess(id, latencyMs) {
+  const state = getState(id);
+  state.consecutiveFailures = 0;
+  state.openUntil = 0;
+  state.cooldownMs = BASE_COOLDOWN_MS;
+  state.trialStartedAt = null;
+  state.latencyMs = latencyMs;
+  state.lastSuccessAt = Date.now();
+  state.lastError = null;
+}
+
+/**
+ * Record a failed fetch, opening the breaker once failures pile up
+ * @param {string} id - Exchange id
+ * @param {Error} error - Failure
+ * @param {number} latencyMs - Time until the failure
+ * @returns {string} Error class
+ */
+function recordFailure(id, error, latencyMs) {
+  const state = getState(id);
+  const errorClass = classifyError(error);
+
+  state.consecutiveFailures++;
+  state.trialStartedAt = null;
+  state.latencyMs = latencyMs;
+  state.lastFailureAt = Date.now();
+  state.lastError = { errorClass, message: error.message };
+
+  if (state.consecutiveFailures >= FAILURE_THRESHOLD) {
+    // A failed trial after a cooldown backs off further
+    if (state.openUntil > 0) {
+      state.cooldownMs = Math.min(state.cooldownMs * 2, MAX_COOLDOWN_MS);
+    }
+    state.openUntil = Date.now() + state.cooldownMs;
+    console.error(`Health: circuit for ${id} open until ${new Date(state.openUntil).toISOString()}`);
+  }
+
+  return errorClass;
+}
+
+/**
+ * Describe an exchange's health for API responses
+ * @param {string} id - Exchange id
+ * @param {Object} data - What the response serves for this exchange
+ * @param {boolean} data.hasData - Whether any rates are served
+ * @param {number|null} data.fetchedAt - When the served rates were fetched
+ * @param {number} data.maxAgeMs - Age above which the served rates are stale
+ * @returns {Object} Health entry
+ */
+function describeHealth(id, { hasData, fetchedAt, maxAgeMs }) {
+  const state = getState(id);
+  const now = Date.now();
+  const failing = state.lastError !== null;
+
+  let status = 'ok';
+  if (!hasData) status = 'down';
+  else if (now - fetchedAt > maxAgeMs) status = 'stale';
+
+  let circuit = 'closed';
+  if (state.openUntil > now) circuit = 'open';
+  else if (state.openUntil > 0) circuit = 'half-open';
+
+  return {
+    status: status,
+    latencyMs: state.latencyMs,
+    errorClass: failing ? state.lastError.errorClass : null,
+    error: failing ? state.lastError.message : null,
+    consecutiveFailures: state.consecutiveFailures,
+    circuit: circuit,
+    retryAt: circuit === 'open' ? new Date(state.openUntil).toISOString() : null,
+    dataAsOf: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+    ageSeconds: fetchedAt ? Math.round((now - fetchedAt) / 1000) : null,
+    lastSuccess: state.lastSuccessAt ? new Date(state.lastSuccessAt).toISOString() : null
+  };
+}
+
+module.exports = {
+  emptyResultError,
+  classifyError,
+  isRetryable,
+  canRequest,
+  recordSuccess,
+  recordFailure,
+  describeHealth
+};
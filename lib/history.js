@@ -0,0 +1,211 @@
+/**
+ * Funding rate history: snapshot persistence and settlement backfill
+ */
+
+const { getExchange, getClientWithMarkets } = require('./exchanges');
+const { resolveSymbols } = require('./symbols');
+const { marketMarginType } = require('./margin');
+const { getStore } = require('./storage');
+const { envSeconds } = require('./cache');
+
+// Snapshots are recorded at most once per period per exchange, the cache
+// refreshes far more often than rates move; 0 records every fetch
+const SNAPSHOT_INTERVAL_MS = envSeconds('HISTORY_SNAPSHOT_INTERVAL_SECONDS', 15 * 60) * 1000;
+
+// Exchange id -> snapshot period last recorded
+const recordedPeriods = {};
+
+/**
+ * Parse a time query value given as epoch milliseconds or an ISO date
+ * @param {string|number} [value] - Time value
+ * @returns {number|null} Timestamp in ms, null when absent, NaN when invalid
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return parseInt(value);
+  return Date.parse(value);
+}
+
+/**
+ * Convert fetched funding rates into snapshot history records
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @param {number} timestamp - Snapshot time in ms
+ * @returns {Array<Object>} History records
+ */
+function toSnapshotRecords(ratesByExchange, timestamp) {
+  const records = [];
+
+  Object.entries(ratesByExchange).forEach(([exchange, rates]) => {
+    rates.forEach(item => {
+      if (item.fundingRate === null) return;
+      records.push({
+        timestamp: timestamp,
+        source: 'snapshot',
+        exchange: exchange,
+        symbol: item.symbol,
+        marginType: item.marginType || 'usdt',
+        fullSymbol: item.fullSymbol,
+        fundingRate: parseFloat(item.fundingRate),
+        fundingIntervalHours: item.fundingIntervalHours,
+        fundingTimestamp: item.fundingTimestamp,
+        nextFundingTime: item.nextFundingTime,
+        markPrice: item.markPrice,
+        indexPrice: item.indexPrice
+      });
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Persist a snapshot of fetched funding rates, once per HISTORY_SNAPSHOT_INTERVAL_SECONDS
+ * per exchange. Exchanges already recorded in the current period are skipped.
+ * Failures are logged, never thrown, so storage problems don't break the API response.
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @param {number} [timestamp] - Snapshot time in ms
+ * @returns {Promise<number>} Number of records written
+ */
+async function saveSnapshot(ratesByExchange, timestamp = Date.now()) {
+  try {
+    const period = SNAPSHOT_INTERVAL_MS > 0 ? Math.floor(timestamp / SNAPSHOT_INTERVAL_MS) : null;
+    const due = Object.keys(ratesByExchange).filter(id => period === null || recordedPeriods[id] !== period);
+    if (due.length === 0) return 0;
+
+    const records = toSnapshotRecords(Object.fromEntries(due.map(id => [id, ratesByExchange[id]])), timestamp);
+    if (records.length === 0) return 0;
+    const written = await getStore().append(records);
+    due.forEach(id => {
+      recordedPeriods[id] = period;
+    });
+    console.log(`History: stored ${written} snapshot records`);
+    return written;
+  } catch (error) {
+    console.error('History: failed to store snapshot:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * List the perpetual swaps of one margin type with their resolved symbols
+ * @param {string} exchangeId - Registered exchange id
+ * @param {string} [marginType] - usdt, usdc or coin
+ * @returns {Promise<{exchange: Object, contracts: Array<Object>}>} CCXT client and resolved contracts
+ */
+async function listSwapContracts(exchangeId, marginType = 'usdt') {
+  const exchange = await getClientWithMarkets(exchangeId);
+  const contracts = resolveSymbols(exchangeId, Object.values(exchange.markets)
+    .filter(market => marketMarginType(market) === marginType)
+    .map(market => ({ symbol: market.base, fullSymbol: market.symbol, marginType })), exchange.markets);
+  return { exchange, contracts };
+}
+
+/**
+ * Find a contract by resolved symbol (PEPE) or venue ticker (1000PEPE)
+ * @param {Array<Object>} contracts - Contracts from listSwapContracts
+ * @param {string} requested - Requested symbol
+ * @returns {Object|undefined} Contract
+ */
+function findContract(contracts, requested) {
+  return contracts.find(item => item.symbol === requested) ||
+    contracts.find(item => item.venueSymbol === requested);
+}
+
+/**
+ * Read past funding settlements of a contract through ccxt fetchFundingRateHistory,
+ * one page at a time
+ * @param {Object} exchange - CCXT exchange instance
+ * @param {string} fullSymbol - Unified contract symbol
+ * @param {number} since - Start timestamp in ms
+ * @param {number} until - End timestamp in ms
+ * @param {Function} onPage - Called with each page of {timestamp, fundingRate} entries, rates in percent
+ * @returns {Promise<void>}
+ */
+async function readSettlementPages(exchange, fullSymbol, since, until, onPage) {
+  let cursor = since;
+  while (cursor <= until) {
+    const page = await exchange.fetchFundingRateHistory(fullSymbol, cursor, 1000);
+    if (!page || page.length === 0) break;
+
+    await onPage(page
+      .filter(entry => entry.timestamp <= until)
+      .map(entry => ({ timestamp: entry.timestamp, fundingRate: entry.fundingRate * 100 })));
+
+    const last = page[page.length - 1].timestamp;
+    if (last < cursor) break;
+    cursor = last + 1;
+  }
+}
+
+/**
+ * Import past funding settlements for some symbols through ccxt fetchFundingRateHistory
+ * @param {Object} options - Backfill options
+ * @param {string} options.exchangeId - Registered exchange id
+ * @param {Array<string>} options.symbols - Resolved or venue symbols, e.g. ['BTC', 'PEPE'] or ['1000PEPE']
+ * @param {number} options.since - Start timestamp in ms
+ * @param {number} [options.until] - End timestamp in ms, defaults to now
+ * @param {string} [options.marginType] - Contracts to import: usdt, usdc or coin
+ * @returns {Promise<Object<string, number>>} Records imported per symbol
+ */
+async function backfillFundingHistory({ exchangeId, symbols, since, until = Date.now(), marginType = 'usdt' }) {
+  const adapter = getExchange(exchangeId);
+  if (!adapter) {
+    throw new Error(`Unknown exchange: ${exchangeId}`);
+  }
+
+  // Accept resolved symbols (PEPE) as well as venue tickers (1000PEPE)
+  const { exchange, contracts } = await listSwapContracts(exchangeId, marginType);
+
+  const store = getStore();
+  const imported = {};
+
+  for (const requested of symbols) {
+    const contract = findContract(contracts, requested);
+    const symbol = contract ? contract.symbol : requested;
+    imported[symbol] = imported[symbol] || 0;
+
+    if (!contract) {
+      console.log(`${adapter.name}: ${requested} not listed, skipping`);
+      continue;
+    }
+    const fullSymbol = contract.fullSymbol;
+
+    // Settlements already stored, so re-running a backfill doesn't duplicate them
+    const existing = await store.query({ symbol, exchange: exchangeId, from: since, to: until, source: 'settlement', marginType });
+    const seen = new Set(existing.map(record => record.timestamp));
+
+    await readSettlementPages(exchange, fullSymbol, since, until, async entries => {
+      const records = entries
+        .filter(entry => !seen.has(entry.timestamp))
+        .map(entry => ({
+          timestamp: entry.timestamp,
+          source: 'settlement',
+          exchange: exchangeId,
+          symbol: symbol,
+          marginType: marginType,
+          fullSymbol: fullSymbol,
+          fundingRate: entry.fundingRate,
+          fundingTimestamp: entry.timestamp
+        }));
+
+      records.forEach(record => seen.add(record.timestamp));
+      if (records.length > 0) {
+        imported[symbol] += await store.append(records);
+      }
+    });
+
+    console.log(`${adapter.name}: imported ${imported[symbol]} settlements for ${symbol}`);
+  }
+
+  return imported;
+}
+
+module.exports = {
+  parseTime,
+  toSnapshotRecords,
+  saveSnapshot,
+  listSwapContracts,
+  findContract,
+  readSettlementPages,
+  backfillFundingHistory
+};
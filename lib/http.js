@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * Set Cache-Control and ETag headers, answering If-None-Match with 304 when
+ * the content has not changed
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} content - Content the ETag is computed from
+ * @param {Object} options - Caching options, see sendCachedJson
+ * @returns {boolean} True when a 304 was sent and the body must be skipped
+ */
+function applyCacheHeaders(req, res, content, { maxAge, staleWhileRevalidate = 0, noStore = false }) {
+  const etag = `"${crypto.createHash('sha1').update(content).digest('base64url')}"`;
+
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', noStore ?
+    'no-store' :
+    `public, max-age=0, s-maxage=${Math.round(maxAge)}, stale-while-revalidate=${Math.round(staleWhileRevalidate)}`);
+
+  const ifNoneMatch = req.headers && req.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+    res.status(304).end();
+    return true;
+  }
+
+  return false;
+}
+
+// Countdowns tick every second; they don't make the content different
+const COUNTDOWN_FIELDS = ['secondsToNextFunding', 'secondsToSharedFunding'];
+
+/**
+ * Send a JSON response with Cache-Control and ETag headers
+ *
+ * The ETag ignores `timestamp`, `fetchDuration` and `cache`, which change on
+ * every response even when the data is served from cache, and the countdown
+ * fields, which clients derive from the datetimes next to them.
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} payload - Response body
+ * @param {Object} options - Caching options
+ * @param {number} options.maxAge - Seconds shared caches may serve the response
+ * @param {number} [options.staleWhileRevalidate] - Seconds a stale response may be served while revalidating
+ * @param {boolean} [options.noStore] - Forbid caching, e.g. for ?fresh=1 responses
+ */
+function sendCachedJson(req, res, payload, options) {
+  const { timestamp, fetchDuration, cache, ...stable } = payload;
+  const content = JSON.stringify(stable, (key, value) => COUNTDOWN_FIELDS.includes(key) ? undefined : value);
+  if (applyCacheHeaders(req, res, content, options)) return;
+
+  res.status(200).json(payload);
+}
+
+/**
+ * Send a text response (CSV, NDJSON, metrics) with Cache-Control and ETag headers
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} body - Response body
+ * @param {string} contentType - Content-Type header
+ * @param {Object} options - Caching options, see sendCachedJson
+ */
+function sendCachedText(req, res, body, contentType, options) {
+  if (applyCacheHeaders(req, res, body, options)) return;
+
+  res.setHeader('Content-Type', contentType);
+  res.status(200).send(body);
+}
+
+module.exports = {
+  sendCachedJson,
+  sendCachedText
+};
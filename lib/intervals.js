@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./storage');
+const { contractKey } = require('./margin');
+
+/**
+ * Funding interval change tracking
+ *
+ * The last known interval of every contract is kept in
+ * <data dir>/intervals/state.json; each change, e.g. a coin moving from 8H to
+ * 4H after hitting its rate cap, is appended to <data dir>/intervals/events.jsonl.
+ * Intervals that are only a fallback guess are ignored so they can't produce
+ * phantom changes.
+ */
+
+// Exchanges load in parallel; run state updates one at a time so none is lost
+let updateQueue = Promise.resolve();
+
+function intervalDir() {
+  return path.join(getDataDir(), 'intervals');
+}
+
+async function loadIntervalState() {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(intervalDir(), 'state.json'), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Compare a snapshot with the last known intervals and record the changes
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @param {number} [now] - Snapshot time in ms
+ * @returns {Promise<Array<Object>>} Interval change events found in this snapshot
+ */
+function detectIntervalChanges(ratesByExchange, now = Date.now()) {
+  const update = updateQueue.then(() => recordIntervalChanges(ratesByExchange, now));
+  updateQueue = update;
+  return update;
+}
+
+async function recordIntervalChanges(ratesByExchange, now) {
+  try {
+    const state = await loadIntervalState();
+    const events = [];
+
+    Object.entries(ratesByExchange).forEach(([exchange, rates]) => {
+      if (rates.length === 0) return;
+      const known = state[exchange] = state[exchange] || {};
+
+      rates.forEach(item => {
+        if (!item.fundingIntervalHours || item.fundingIntervalSource === 'default') return;
+
+        const key = contractKey(item);
+        const previous = known[key];
+        if (previous && previous !== item.fundingIntervalHours) {
+          events.push({
+            exchange: exchange,
+            symbol: item.symbol,
+            marginType: item.marginType || 'usdt',
+            fromHours: previous,
+            toHours: item.fundingIntervalHours,
+            source: item.fundingIntervalSource,
+            detectedAt: new Date(now).toISOString()
+          });
+        }
+        known[key] = item.fundingIntervalHours;
+      });
+    });
+
+    const dir = intervalDir();
+    const file = path.join(dir, 'state.json');
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(state));
+    await fs.promises.rename(`${file}.tmp`, file);
+
+    if (events.length > 0) {
+      await fs.promises.appendFile(path.join(dir, 'events.jsonl'), events.map(event => JSON.stringify(event)).join('\n') + '\n');
+      console.log(`Intervals: ${events.length} changes`, events.map(event => `${event.exchange}:${event.symbol} ${event.fromHours}H→${event.toHours}H`));
+    }
+
+    return events;
+
+  } catch (error) {
+    console.error('Intervals: change detection failed:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Read the last known interval of every contract of an exchange
+ * @param {string} exchangeId - Exchange id
+ * @returns {Promise<Object<string, number>>} Interval hours keyed by contractKey
+ */
+async function readKnownIntervals(exchangeId) {
+  const state = await loadIntervalState();
+  return state[exchangeId] || {};
+}
+
+/**
+ * Read recorded interval changes, newest first
+ * @param {Object} [filter] - Event filter
+ * @param {number} [filter.since] - Only events detected at or after this time (ms)
+ * @param {Array<string>} [filter.exchanges] - Only events of these exchanges
+ * @param {string} [filter.symbol] - Only events for this symbol
+ * @returns {Promise<Array<Object>>} Interval change events
+ */
+async function readIntervalChanges({ since, exchanges, symbol } = {}) {
+  let content;
+  try {
+    content = await fs.promises.readFile(path.join(intervalDir(), 'events.jsonl'), 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  const events = [];
+  content.split('\n').forEach(line => {
+    if (!line) return;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      return; // Ignore a partially written line
+    }
+    if (since && Date.parse(event.detectedAt) < since) return;
+    if (exchanges && !exchanges.includes(event.exchange)) return;
+    if (symbol && event.symbol !== symbol) return;
+    events.push(event);
+  });
+
+  return events.reverse();
+}
+
+module.exports = {
+  detectIntervalChanges,
+  readKnownIntervals,
+  readIntervalChanges
+};
@@ -0,0 +1,121 @@
+/**
+ * Liquidity context of funding rows and the tradability score
+ *
+ * A wide spread on a contract nobody trades can't be captured. Every row gets
+ * the 24h volume, open interest and top-of-book spread of its contract plus
+ * its max leverage and largest order, fetched per exchange in bulk where the
+ * venue allows it and cached apart from the rates, since they move slowly.
+ *
+ * The tradability score (0-100) of a side averages a log-scaled volume score,
+ * a log-scaled open interest score and a spread score; a comparison row takes
+ * the score of its weaker side, as both legs have to be filled.
+ */
+
+const { getExchange, fetchLiquidity } = require('./exchanges');
+const { createCache, envSeconds } = require('./cache');
+
+const LIQUIDITY_FIELDS = ['volume24hUsd', 'openInterestUsd', 'bidAskSpreadPct', 'maxLeverage', 'maxOrderUsd'];
+
+const LIQUIDITY_TTL_SECONDS = envSeconds('LIQUIDITY_CACHE_TTL_SECONDS', 5 * 60);
+
+// Rows are served without liquidity rather than waiting longer; the load
+// carries on in the background and fills the cache for the next request
+const LIQUIDITY_TIMEOUT_MS = 8000;
+
+// Scores are 0 at the first bound and 100 at the second
+const VOLUME_BOUNDS_USD = [1e5, 1e9];
+const OPEN_INTEREST_BOUNDS_USD = [1e5, 5e8];
+const SPREAD_BOUNDS_PCT = [0.5, 0.01];
+
+const liquidityCache = createCache({
+  ttlMs: LIQUIDITY_TTL_SECONDS * 1000,
+  // Slightly old volumes still rank contracts correctly
+  staleMs: 24 * 60 * 60 * 1000
+});
+
+/**
+ * Get the liquidity of every perpetual of an exchange, from cache when fresh
+ * @param {string} id - Exchange id
+ * @returns {Promise<Object<string, Object>>} Liquidity keyed by unified symbol, empty when unavailable in time
+ */
+async function getLiquidity(id) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), LIQUIDITY_TIMEOUT_MS);
+  });
+
+  try {
+    const result = await Promise.race([liquidityCache.get(id, () => fetchLiquidity(id)), timeout]);
+    if (!result) {
+      console.log(`Liquidity: ${getExchange(id).name} still loading, serving rows without it`);
+      return {};
+    }
+    return result.value;
+
+  } catch (error) {
+    console.error(`❌ Liquidity: ${getExchange(id).name} failed:`, error.message);
+    return {};
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Add the liquidity fields to funding rows, null where unknown
+ * @param {Array<Object>} rates - Normalized funding rows of one exchange
+ * @param {Object<string, Object>} liquidity - Liquidity keyed by unified symbol
+ * @returns {Array<Object>} New rows with the liquidity fields
+ */
+function withLiquidity(rates, liquidity) {
+  return rates.map(item => {
+    const entry = liquidity[item.fullSymbol] || {};
+    const fields = {};
+    LIQUIDITY_FIELDS.forEach(field => {
+      fields[field] = entry[field] === undefined ? null : entry[field];
+    });
+    return { ...item, ...fields };
+  });
+}
+
+function scaleBetween(value, [worst, best]) {
+  return Math.min(1, Math.max(0, (value - worst) / (best - worst)));
+}
+
+/**
+ * Tradability score of one side from whichever liquidity fields it has
+ * @param {Object} side - Row or comparison side with the liquidity fields
+ * @returns {number|null} Score from 0 to 100, null without any liquidity data
+ */
+function liquidityScore(side) {
+  const parts = [];
+  if (side.volume24hUsd > 0) {
+    parts.push(scaleBetween(Math.log10(side.volume24hUsd), VOLUME_BOUNDS_USD.map(Math.log10)));
+  }
+  if (side.openInterestUsd > 0) {
+    parts.push(scaleBetween(Math.log10(side.openInterestUsd), OPEN_INTEREST_BOUNDS_USD.map(Math.log10)));
+  }
+  if (side.bidAskSpreadPct !== null && side.bidAskSpreadPct !== undefined) {
+    parts.push(scaleBetween(side.bidAskSpreadPct, SPREAD_BOUNDS_PCT));
+  }
+
+  if (parts.length === 0) return null;
+  return Math.round(parts.reduce((sum, part) => sum + part, 0) / parts.length * 100);
+}
+
+/**
+ * Tradability score of a comparison row: the score of its weaker side
+ * @param {Array<Object>} sides - Compared sides
+ * @returns {number|null} Score from 0 to 100, null when no side has liquidity data
+ */
+function tradabilityScore(sides) {
+  const scores = sides.map(side => side.liquidityScore).filter(score => score !== null && score !== undefined);
+  return scores.length > 0 ? Math.min(...scores) : null;
+}
+
+module.exports = {
+  LIQUIDITY_FIELDS,
+  getLiquidity,
+  withLiquidity,
+  liquidityScore,
+  tradabilityScore
+};
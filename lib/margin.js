@@ -0,0 +1,108 @@
+/**
+ * Margin types of perpetual contracts
+ *
+ * A venue can list the same underlying as a USDT-margined, a USDC-margined
+ * and a coin-margined (inverse) perpetual. Adapters pick swaps from the ccxt
+ * market metadata and tag every row with its marginType; rows keep the
+ * underlying as `symbol`, so comparisons join across margin types. A request
+ * selects margin types in order of preference and each venue contributes its
+ * contracts of the first listed margin type per underlying. Two contracts of
+ * that type on the same underlying, e.g. PEPE and 1000PEPE, are both kept for
+ * the comparison to resolve (see lib/comparison).
+ *
+ *   GET /api/funding-rates?margin=usdc,usdt  USDC perpetual where listed, else USDT
+ */
+
+const { readList } = require('./query');
+
+const MARGIN_TYPES = ['usdt', 'usdc', 'coin'];
+
+// USDT perpetuals only, as before margin types were tracked
+const DEFAULT_MARGIN_TYPES = ['usdt'];
+
+/**
+ * Margin type of a ccxt market
+ * @param {Object} [market] - ccxt market
+ * @returns {string|null} usdt, usdc or coin; null for anything but a perpetual swap
+ */
+function marketMarginType(market) {
+  if (!market || !market.swap) return null;
+  if (market.inverse) return 'coin';
+  if (!market.linear) return null;
+  if (market.settle === 'USDT') return 'usdt';
+  if (market.settle === 'USDC') return 'usdc';
+  return null;
+}
+
+/**
+ * Contract fields of a funding row taken from its ccxt market
+ * @param {Object} market - ccxt market
+ * @returns {{marginType: string|null, settleCurrency: string|null, quoteCurrency: string|null}} Contract fields
+ */
+function marketFields(market) {
+  return {
+    marginType: marketMarginType(market),
+    settleCurrency: market.settle || null,
+    quoteCurrency: market.quote || null
+  };
+}
+
+/**
+ * Key of a contract in per-symbol state; USDT contracts keep the plain
+ * symbol so state written before margin types were tracked stays valid
+ * @param {Object} item - Funding row or history record
+ * @returns {string} Symbol, with the margin type for non-USDT contracts, e.g. BTC:coin
+ */
+function contractKey(item) {
+  const marginType = item.marginType || 'usdt';
+  return marginType === 'usdt' ? item.symbol : `${item.symbol}:${marginType}`;
+}
+
+/**
+ * Keep the contracts of the most preferred margin type listed per symbol
+ * @param {Array<Object>} rates - Normalized funding rows of one exchange
+ * @param {Array<string>} marginTypes - Margin types in order of preference
+ * @returns {Array<Object>} Selected rows, in their original order
+ */
+function selectByMargin(rates, marginTypes) {
+  const rank = item => marginTypes.indexOf(item.marginType || 'usdt');
+  const best = {};
+
+  rates.forEach(item => {
+    if (rank(item) === -1) return;
+    if (best[item.symbol] === undefined || rank(item) < best[item.symbol]) {
+      best[item.symbol] = rank(item);
+    }
+  });
+
+  return rates.filter(item => rank(item) !== -1 && rank(item) === best[item.symbol]);
+}
+
+/**
+ * Read the `margin` query parameter, collecting a message when it is invalid
+ * @param {Object} query - Request query object
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {Array<string>} Margin types in order of preference
+ */
+function readMarginTypes(query, errors) {
+  const requested = readList(query, 'margin');
+  if (!requested) return DEFAULT_MARGIN_TYPES;
+
+  const marginTypes = [...new Set(requested.map(type => type.toLowerCase()))];
+  if (!marginTypes.every(type => MARGIN_TYPES.includes(type))) {
+    errors.push(`margin must be a list of: ${MARGIN_TYPES.join(', ')}`);
+    return DEFAULT_MARGIN_TYPES;
+  }
+
+  return marginTypes;
+}
+
+module.exports = {
+  MARGIN_TYPES,
+  DEFAULT_MARGIN_TYPES,
+  marketMarginType,
+  marketFields,
+  contractKey,
+  selectByMargin,
+  readMarginTypes
+};
@@ -0,0 +1,136 @@
+/**
+ * Prometheus text exposition of funding rates and fetch health
+ *
+ * Fetch counters live in memory, so they count the fetches made by this
+ * process (one warm serverless instance, or the long-running server).
+ */
+
+const { normalizedRates } = require('./normalize');
+
+// Outcome of exchange fetches keyed by exchange id
+const fetchStats = {};
+
+/**
+ * Record the outcome of one exchange fetch
+ * @param {string} id - Exchange id
+ * @param {Object} outcome - Fetch outcome
+ * @param {boolean} outcome.success - Whether the exchange returned rates
+ * @param {number} outcome.durationMs - Time the fetch took
+ */
+function recordExchangeFetch(id, { success, durationMs }) {
+  if (!fetchStats[id]) {
+    fetchStats[id] = { success: 0, failure: 0, lastDurationSeconds: null, lastSuccess: null };
+  }
+  const stats = fetchStats[id];
+
+  if (success) {
+    stats.success++;
+    stats.lastSuccess = Date.now();
+  } else {
+    stats.failure++;
+  }
+  stats.lastDurationSeconds = durationMs / 1000;
+}
+
+/**
+ * Escape a label value for the text exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Collects metric families and renders them in exposition format
+ * @returns {{add: Function, render: Function}} Metric writer
+ */
+function createWriter() {
+  const families = [];
+
+  return {
+    /**
+     * Add one sample, declaring the family on first use
+     * @param {string} name - Metric name
+     * @param {string} type - gauge or counter
+     * @param {string} help - HELP text
+     * @param {Object<string, *>} labels - Label values
+     * @param {number|null} value - Sample value, skipped when not a number
+     */
+    add(name, type, help, labels, value) {
+      let family = families.find(item => item.name === name);
+      if (!family) {
+        family = { name, type, help, samples: [] };
+        families.push(family);
+      }
+
+      const number = typeof value === 'string' ? parseFloat(value) : value;
+      if (number === null || number === undefined || !Number.isFinite(number)) return;
+
+      const labelText = Object.entries(labels)
+        .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+        .join(',');
+      family.samples.push(`${name}${labelText ? `{${labelText}}` : ''} ${number}`);
+    },
+
+    render() {
+      return families.map(family => [
+        `# HELP ${family.name} ${family.help}`,
+        `# TYPE ${family.name} ${family.type}`,
+        ...family.samples
+      ].join('\n')).join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Render funding rates, spreads and fetch health as Prometheus metrics
+ * @param {Object} snapshot - Data to expose
+ * @param {Object<string, Array>} snapshot.ratesByExchange - Normalized rows keyed by exchange id
+ * @param {Array} snapshot.comparisonTable - Comparison rows on `basis`
+ * @param {Array<string>} snapshot.exchangeIds - Exchange ids in request order
+ * @param {string} snapshot.basis - Comparison basis of the spread gauges
+ * @param {number} snapshot.duration - Snapshot fetch duration in ms
+ * @param {Object<string, Object>} snapshot.health - Health entries keyed by exchange id
+ * @returns {string} Metrics in text exposition format
+ */
+function renderMetrics({ ratesByExchange, comparisonTable, exchangeIds, basis, duration, health }) {
+  const writer = createWriter();
+
+  exchangeIds.forEach(id => {
+    (ratesByExchange[id] || []).forEach(item => {
+      const labels = { exchange: id, symbol: item.symbol };
+      const normalized = normalizedRates(item);
+      writer.add('funding_rate_percent', 'gauge', 'Funding rate per settlement in percent', labels, item.fundingRate);
+      writer.add('funding_rate_8h_percent', 'gauge', 'Funding rate per 8 hours in percent', labels, normalized.fundingRate8h);
+      writer.add('funding_interval_hours', 'gauge', 'Funding settlement interval in hours', labels, item.fundingIntervalHours);
+    });
+  });
+
+  comparisonTable.forEach(row => {
+    const labels = { symbol: row.symbol, basis: basis };
+    writer.add('funding_spread_percent', 'gauge', 'Funding rate difference between the compared exchanges in percent', labels, row.fundingRateDifference);
+    writer.add('funding_spread_abs_percent', 'gauge', 'Absolute funding rate difference between the compared exchanges in percent', labels, row.absoluteDifference);
+  });
+
+  writer.add('funding_snapshot_duration_seconds', 'gauge', 'Time taken to fetch the funding snapshot', {}, duration / 1000);
+
+  exchangeIds.forEach(id => {
+    const stats = fetchStats[id] || { success: 0, failure: 0, lastDurationSeconds: null, lastSuccess: null };
+    const labels = { exchange: id };
+    writer.add('funding_exchange_rates', 'gauge', 'Funding rates returned by the exchange', labels, (ratesByExchange[id] || []).length);
+    writer.add('funding_exchange_up', 'gauge', 'Whether the last exchange fetch succeeded', labels, health[id].status === 'ok' ? 1 : 0);
+    writer.add('funding_exchange_data_age_seconds', 'gauge', 'Age of the funding rates served for the exchange', labels, health[id].ageSeconds);
+    writer.add('funding_exchange_fetch_duration_seconds', 'gauge', 'Duration of the last exchange fetch', labels, stats.lastDurationSeconds);
+    writer.add('funding_exchange_last_success_timestamp_seconds', 'gauge', 'Unix time of the last successful exchange fetch', labels, stats.lastSuccess && stats.lastSuccess / 1000);
+    writer.add('funding_exchange_fetch_success_total', 'counter', 'Exchange fetches that returned funding rates', labels, stats.success);
+    writer.add('funding_exchange_fetch_failure_total', 'counter', 'Exchange fetches that failed or returned nothing', labels, stats.failure);
+  });
+
+  return writer.render();
+}
+
+module.exports = {
+  recordExchangeFetch,
+  renderMetrics
+};
@@ -0,0 +1,90 @@
+/**
+ * Funding rate normalization across settlement intervals
+ *
+ * Rates are percentages per settlement. Normalizing to a common period makes a
+ * 1H venue comparable with an 8H venue.
+ */
+
+// Hours covered by one unit of each comparison basis (raw is per settlement)
+const BASIS_HOURS = {
+  raw: null,
+  hourly: 1,
+  '8h': 8,
+  apr: 24 * 365
+};
+
+const BASES = Object.keys(BASIS_HOURS);
+
+const DEFAULT_BASIS = '8h';
+
+/**
+ * Round to a fixed number of decimals, keeping the value a number
+ * @param {number|null} value - Value to round
+ * @param {number} [digits] - Decimal places
+ * @returns {number|null} Rounded value, null when missing
+ */
+function roundTo(value, digits = 6) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  return Number(value.toFixed(digits));
+}
+
+/**
+ * Convert a per-settlement rate to a rate per `hours`
+ * @param {number} rate - Funding rate in percent per settlement
+ * @param {number} intervalHours - Settlement interval in hours
+ * @param {number} hours - Target period in hours
+ * @returns {number|null} Rate in percent per target period
+ */
+function scaleRate(rate, intervalHours, hours) {
+  if (rate === null || rate === undefined || isNaN(rate) || !intervalHours) return null;
+  return rate * hours / intervalHours;
+}
+
+/**
+ * Compute hourly, 8-hour and annualized figures for a normalized funding row
+ * @param {Object} item - Normalized funding rate row
+ * @returns {{fundingRateHourly: number|null, fundingRate8h: number|null, fundingRateApr: number|null}} Normalized rates in percent
+ */
+function normalizedRates(item) {
+  const rate = item.fundingRate === null || item.fundingRate === undefined ? null : parseFloat(item.fundingRate);
+
+  return {
+    fundingRateHourly: roundTo(scaleRate(rate, item.fundingIntervalHours, BASIS_HOURS.hourly)),
+    fundingRate8h: roundTo(scaleRate(rate, item.fundingIntervalHours, BASIS_HOURS['8h'])),
+    fundingRateApr: roundTo(scaleRate(rate, item.fundingIntervalHours, BASIS_HOURS.apr))
+  };
+}
+
+/**
+ * Get the rate of a normalized funding row on a comparison basis
+ * @param {Object} item - Normalized funding rate row
+ * @param {string} basis - One of BASES
+ * @returns {number|null} Rate in percent on that basis, null when the rate or its interval is unknown
+ */
+function rateOnBasis(item, basis) {
+  const rate = item.fundingRate === null || item.fundingRate === undefined ? NaN : parseFloat(item.fundingRate);
+  if (isNaN(rate)) return null;
+  if (basis === 'raw') return rate;
+  return scaleRate(rate, item.fundingIntervalHours, BASIS_HOURS[basis]);
+}
+
+/**
+ * Express a rate on a comparison basis as an 8-hour equivalent, so the fixed
+ * HIGH/MEDIUM thresholds mean the same thing on every basis
+ * @param {number} value - Rate in percent on `basis`
+ * @param {string} basis - One of BASES
+ * @returns {number} 8-hour equivalent rate in percent
+ */
+function toEightHourEquivalent(value, basis) {
+  if (basis === 'raw') return value;
+  return value * BASIS_HOURS['8h'] / BASIS_HOURS[basis];
+}
+
+module.exports = {
+  BASES,
+  DEFAULT_BASIS,
+  roundTo,
+  normalizedRates,
+  rateOnBasis,
+  toEightHourEquivalent
+};
@@ -0,0 +1,211 @@
+/**
+ * Cross-exchange funding arbitrage opportunities
+ *
+ * Each symbol listed on two or more venues becomes a delta-neutral plan: long
+ * on the venue with the lowest hourly funding rate (it pays the least, or gets
+ * paid), short on the venue with the highest. The plan is held until the next
+ * settlement both venues share, then closed.
+ *
+ * The expected return is funding minus fees. The gap between the two mark
+ * prices (basis) is reported on its own: it is only earned if the marks
+ * converge before the close, which nothing guarantees. The `convergence`
+ * option counts it in the expected return anyway.
+ */
+
+const { getClient } = require('./exchanges');
+const { rateOnBasis, roundTo } = require('./normalize');
+const { findPriceOutliers } = require('./symbols');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Give up looking for a shared settlement after a week
+const MAX_ALIGNMENT_HOURS = 7 * 24;
+
+// Holding period used when the venues' settlement times are unknown
+const FALLBACK_HORIZON_HOURS = 8;
+
+const DEFAULT_OPTIONS = {
+  notional: 1000,      // USD per leg
+  takerFee: 0.05,      // percent per fill
+  makerFee: 0.02,      // percent per fill
+  orderType: 'taker',  // which fee applies to entries and exits
+  minReturn: null,     // minimum expected return in percent
+  convergence: false   // count the mark price basis in the expected return
+};
+
+/**
+ * Find the first settlement both legs share
+ * @param {Object} longItem - Normalized funding row of the long leg
+ * @param {Object} shortItem - Normalized funding row of the short leg
+ * @returns {{time: number, longSettlements: number, shortSettlements: number}|null} Aligned settlement
+ */
+function findAlignedSettlement(longItem, shortItem) {
+  const longInterval = longItem.fundingIntervalHours * HOUR_MS;
+  const shortInterval = shortItem.fundingIntervalHours * HOUR_MS;
+  let longTime = longItem.nextFundingTime;
+  let shortTime = shortItem.nextFundingTime;
+
+  if (!longTime || !shortTime || !longInterval || !shortInterval) return null;
+
+  const limit = Math.max(longTime, shortTime) + MAX_ALIGNMENT_HOURS * HOUR_MS;
+  let longSettlements = 1;
+  let shortSettlements = 1;
+
+  // Settlement clocks can drift by a few seconds between venues
+  while (Math.abs(longTime - shortTime) >= 60 * 1000) {
+    if (Math.max(longTime, shortTime) > limit) return null;
+    if (longTime < shortTime) {
+      longTime += longInterval;
+      longSettlements++;
+    } else {
+      shortTime += shortInterval;
+      shortSettlements++;
+    }
+  }
+
+  return { time: Math.max(longTime, shortTime), longSettlements, shortSettlements };
+}
+
+/**
+ * Smallest order value, in USD, a venue accepts for a contract
+ * @param {string} exchangeId - Exchange id
+ * @param {Object} item - Normalized funding rate row
+ * @returns {number|null} Minimum order notional, null when unknown
+ */
+function minOrderNotional(exchangeId, item) {
+  const markets = getClient(exchangeId).markets;
+  const market = markets && markets[item.fullSymbol];
+  if (!market || !market.limits) return null;
+
+  const { cost, amount } = market.limits;
+  if (cost && cost.min) return cost.min;
+  if (amount && amount.min && item.markPrice) {
+    // Mark prices are per unit of the underlying, amounts are in venue contract units
+    return amount.min * (market.contractSize || 1) * item.markPrice * (item.priceMultiplier || 1);
+  }
+  return null;
+}
+
+/**
+ * Build a plan for one symbol
+ * @param {string} symbol - Base symbol
+ * @param {Array<{id: string, item: Object}>} listings - Venues listing the symbol
+ * @param {Object} options - Fee and sizing options
+ * @returns {Object} Opportunity
+ */
+function buildPlan(symbol, listings, options) {
+  let long = listings[0];
+  let short = listings[1];
+  listings.forEach(listing => {
+    if (rateOnBasis(listing.item, 'hourly') < rateOnBasis(long.item, 'hourly')) long = listing;
+    if (rateOnBasis(listing.item, 'hourly') > rateOnBasis(short.item, 'hourly')) short = listing;
+  });
+  if (long === short) short = listings.find(listing => listing !== long);
+
+  const longRate = parseFloat(long.item.fundingRate) || 0;
+  const shortRate = parseFloat(short.item.fundingRate) || 0;
+
+  const aligned = findAlignedSettlement(long.item, short.item);
+  const longSettlements = aligned ? aligned.longSettlements :
+    Math.max(1, Math.round(FALLBACK_HORIZON_HOURS / long.item.fundingIntervalHours));
+  const shortSettlements = aligned ? aligned.shortSettlements :
+    Math.max(1, Math.round(FALLBACK_HORIZON_HOURS / short.item.fundingIntervalHours));
+  const horizonHours = aligned ?
+    Math.max(0, (aligned.time - Date.now()) / HOUR_MS) :
+    FALLBACK_HORIZON_HOURS;
+
+  // The short leg collects its rate each settlement, the long leg pays its own
+  const fundingReturn = shortRate * shortSettlements - longRate * longSettlements;
+
+  // Open and close on both venues: four fills
+  const fee = options.orderType === 'maker' ? options.makerFee : options.takerFee;
+  const feeCost = 4 * fee;
+
+  // Selling the dearer mark and buying the cheaper one gains the gap if they converge
+  const longMark = parseFloat(long.item.markPrice);
+  const shortMark = parseFloat(short.item.markPrice);
+  const basis = longMark > 0 && shortMark > 0 ? (shortMark - longMark) / longMark * 100 : null;
+
+  const expectedReturn = fundingReturn - feeCost + (options.convergence ? basis || 0 : 0);
+
+  const minimums = [minOrderNotional(long.id, long.item), minOrderNotional(short.id, short.item)]
+    .filter(value => value !== null);
+
+  const leg = (listing, settlements) => ({
+    exchange: listing.id.toUpperCase(),
+    fullSymbol: listing.item.fullSymbol,
+    fundingRate: listing.item.fundingRate,
+    fundingIntervalHours: listing.item.fundingIntervalHours,
+    nextFundingDatetime: listing.item.nextFundingDatetime,
+    markPrice: listing.item.markPrice,
+    settlements: settlements
+  });
+
+  return {
+    symbol: symbol,
+    long: leg(long, longSettlements),
+    short: leg(short, shortSettlements),
+    alignedFundingDatetime: aligned ? new Date(aligned.time).toISOString() : null,
+    horizonHours: roundTo(horizonHours, 2),
+    fundingApr: roundTo(rateOnBasis(short.item, 'apr') - rateOnBasis(long.item, 'apr')),
+    fundingReturn: roundTo(fundingReturn),
+    feeCost: roundTo(feeCost),
+    basis: roundTo(basis),
+    expectedReturn: roundTo(expectedReturn),
+    notional: options.notional,
+    expectedPnl: roundTo(options.notional * expectedReturn / 100, 2),
+    minOrderNotional: minimums.length > 0 ? Math.max(...minimums) : null
+  };
+}
+
+/**
+ * Turn fetched funding rates into ranked arbitrage plans
+ *
+ * Venues the comparison reports as ambiguous for a symbol are left out of its
+ * plans: a venue listing two contracts under the symbol, or one whose mark
+ * price is far from the others (a different asset under the same ticker).
+ *
+ * @param {Object<string, Array>} ratesByExchange - Normalized rows keyed by exchange id
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Array<Object>} Opportunities, best expected return first
+ */
+function findOpportunities(ratesByExchange, exchangeIds, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  const listingsBySymbol = {};
+  exchangeIds.forEach(id => {
+    const seen = {};
+    (ratesByExchange[id] || []).forEach(item => {
+      seen[item.symbol] = (seen[item.symbol] || 0) + 1;
+    });
+    (ratesByExchange[id] || []).forEach(item => {
+      // Which of the venue's contracts the symbol means is unknown
+      if (seen[item.symbol] > 1) return;
+      // Legs are picked by hourly rate, which needs the rate and its interval
+      if (rateOnBasis(item, 'hourly') === null) return;
+      (listingsBySymbol[item.symbol] = listingsBySymbol[item.symbol] || []).push({ id, item });
+    });
+  });
+
+  const opportunities = Object.entries(listingsBySymbol)
+    .map(([symbol, listings]) => {
+      const outliers = findPriceOutliers(Object.fromEntries(listings.map(({ id, item }) => [id, item])));
+      return [symbol, listings.filter(({ id }) => !outliers.includes(id))];
+    })
+    .filter(([, listings]) => listings.length >= 2)
+    .map(([symbol, listings]) => buildPlan(symbol, listings, settings))
+    // A venue that won't accept an order this small makes the plan unexecutable
+    .filter(plan => plan.minOrderNotional === null || plan.minOrderNotional <= settings.notional)
+    .filter(plan => settings.minReturn === null || plan.expectedReturn >= settings.minReturn);
+
+  opportunities.sort((a, b) => b.expectedReturn - a.expectedReturn);
+
+  return opportunities;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  findAlignedSettlement,
+  findOpportunities
+};
@@ -0,0 +1,92 @@
+/**
+ * Query string parsing helpers shared by the API routes
+ */
+
+/**
+ * Read an optional numeric query parameter, collecting a message when it is invalid
+ * @param {Object} query - Request query object
+ * @param {string} name - Parameter name
+ * @param {Object} [options] - Parsing options
+ * @param {number|null} [options.defaultValue] - Value when the parameter is absent
+ * @param {number} [options.min] - Smallest accepted value
+ * @param {number} [options.max] - Largest accepted value
+ * @param {boolean} [options.integer] - Only accept whole numbers
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {number|null} Parsed value
+ */
+function readNumber(query, name, { defaultValue = null, min = -Infinity, max = Infinity, integer = false } = {}, errors) {
+  const raw = query[name];
+  if (raw === undefined || raw === '') return defaultValue;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    let bounds = '';
+    if (min > -Infinity && max < Infinity) bounds = ` between ${min} and ${max}`;
+    else if (min > -Infinity) bounds = ` >= ${min}`;
+    else if (max < Infinity) bounds = ` <= ${max}`;
+    errors.push(`${name} must be ${integer ? 'an integer' : 'a number'}${bounds}`);
+    return defaultValue;
+  }
+
+  return value;
+}
+
+/**
+ * Read an optional enumerated query parameter, collecting a message when it is invalid
+ * @param {Object} query - Request query object
+ * @param {string} name - Parameter name
+ * @param {Array<string>} allowed - Accepted values
+ * @param {string|null} defaultValue - Value when the parameter is absent
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {string|null} Parsed value
+ */
+function readEnum(query, name, allowed, defaultValue, errors) {
+  const raw = query[name];
+  if (raw === undefined || raw === '') return defaultValue;
+
+  const value = String(raw).toLowerCase();
+  if (!allowed.includes(value)) {
+    errors.push(`${name} must be one of: ${allowed.join(', ')}`);
+    return defaultValue;
+  }
+
+  return value;
+}
+
+/**
+ * Read an optional comma-separated query parameter
+ * @param {Object} query - Request query object
+ * @param {string} name - Parameter name
+ * @returns {Array<string>|null} Trimmed, non-empty items, or null when absent
+ */
+function readList(query, name) {
+  const raw = query[name];
+  if (raw === undefined || raw === '') return null;
+
+  return [].concat(raw)
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Send a 400 response listing validation messages
+ * @param {Object} res - Response object
+ * @param {Array<string>} errors - Validation messages
+ */
+function sendQueryErrors(res, errors) {
+  res.status(400).json({
+    success: false,
+    error: 'Invalid query parameters',
+    message: errors.join('; '),
+    errors: errors,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  readNumber,
+  readEnum,
+  readList,
+  sendQueryErrors
+};
@@ -0,0 +1,83 @@
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const openapi = require('../openapi.json');
+
+/**
+ * Runtime validation of API responses against the OpenAPI document
+ *
+ * openapi.json is the contract of the /api/v1 routes. Each versioned route
+ * validates its JSON payload before sending it, so a shape change that isn't
+ * reflected in the document fails loudly instead of reaching consumers.
+ */
+
+const SPEC_ID = 'openapi.json';
+
+// OpenAPI keywords like `example` are not JSON Schema, so strict mode is off
+const ajv = new Ajv2020({ strict: false, allErrors: true });
+addFormats(ajv);
+ajv.addSchema(openapi, SPEC_ID);
+
+const validators = {};
+
+/**
+ * Validate a payload against a schema from components.schemas
+ * @param {string} name - Schema name, e.g. FundingRatesResponse
+ * @param {*} payload - Value to validate
+ * @returns {Array<string>} Validation messages, empty when valid
+ */
+function validateSchema(name, payload) {
+  if (!validators[name]) {
+    validators[name] = ajv.getSchema(`${SPEC_ID}#/components/schemas/${name}`);
+    if (!validators[name]) throw new Error(`Unknown schema: ${name}`);
+  }
+
+  const validate = validators[name];
+  if (validate(payload)) return [];
+  return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+/**
+ * Wrap a Vercel handler so its JSON responses are validated before sending.
+ * Successful responses are checked against `schemaName`, errors against Error;
+ * a payload that fails is replaced by a 500.
+ * @param {Function} handler - Vercel handler
+ * @param {string} schemaName - Schema of the 200 response
+ * @returns {Function} Validating handler
+ */
+function withResponseValidation(handler, schemaName) {
+  return (req, res) => {
+    const status = res.status.bind(res);
+
+    res.status = code => {
+      const target = status(code);
+      return {
+        json: payload => {
+          const errors = validateSchema(code < 400 ? schemaName : 'Error', payload);
+          if (errors.length === 0) {
+            target.json(payload);
+            return;
+          }
+
+          console.error(`❌ ${req.url || schemaName} response failed validation:`, errors.slice(0, 10).join('; '));
+          res.setHeader('Cache-Control', 'no-store');
+          status(500).json({
+            success: false,
+            error: 'Response validation failed',
+            message: errors.slice(0, 10).join('; '),
+            timestamp: new Date().toISOString()
+          });
+        },
+        send: body => target.send(body),
+        end: (...args) => target.end(...args)
+      };
+    };
+
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  openapi,
+  validateSchema,
+  withResponseValidation
+};
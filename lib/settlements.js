@@ -0,0 +1,456 @@
+const fs = require('fs');
+const path = require('path');
+const { getExchange, getClientWithMarkets } = require('./exchanges');
+const { mapWithConcurrency } = require('./exchanges/common');
+const { roundTo } = require('./normalize');
+const { contractKey } = require('./margin');
+const { getDataDir, getStore } = require('./storage');
+const { envSeconds } = require('./cache');
+
+/**
+ * Predicted vs. settled funding
+ *
+ * The rate an exchange reports between settlements is a prediction for the
+ * upcoming one. The last prediction of every contract is kept in
+ * <data dir>/settlements/<exchange>/tracking.json; once a snapshot shows the
+ * settlement time has moved on, the settlement is pending. Pending settlements
+ * are captured after the snapshot is served: the rate that was actually
+ * settled is fetched from the exchange and stored as a `settlement` history
+ * record next to the prediction and the prediction error. A capture that
+ * doesn't finish, e.g. in a serverless function frozen after its response,
+ * leaves them pending for the next snapshot.
+ *
+ * The settled rates of the last 30 days are kept in
+ * <data dir>/settlements/<exchange>/settled.json, so every row can carry its
+ * realized funding over 24h/7d/30d. It is only rewritten when a capture adds
+ * to it; tracking.json only when a prediction or pending settlement changed.
+ *
+ * Adapters with a bulk settlement endpoint expose fetchSettledRates(client, since);
+ * contracts it doesn't cover, and those of the other adapters, are queried per
+ * contract through ccxt fetchFundingRateHistory. Contracts are keyed by
+ * contractKey, so a coin-margined BTC perpetual is tracked apart from BTC/USDT.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Windows of the realized funding fields on each row
+const REALIZED_WINDOWS = {
+  realizedFunding24h: DAY_MS,
+  realizedFunding7d: 7 * DAY_MS,
+  realizedFunding30d: 30 * DAY_MS
+};
+const RETENTION_MS = 30 * DAY_MS;
+
+// A settled rate belongs to a settlement when their times are this close
+const MATCH_WINDOW_MS = 5 * 60 * 1000;
+
+// Settlements the exchange never reports are given up after a day
+const PENDING_MAX_AGE_MS = DAY_MS;
+
+// Per-contract lookups for exchanges without a bulk endpoint, bounded per capture
+const MAX_SYMBOL_LOOKUPS = 25;
+const LOOKUP_CONCURRENCY = 4;
+
+// Time allowed for all settled rate requests of one capture
+const CAPTURE_TIMEOUT_MS = envSeconds('SETTLEMENT_CAPTURE_TIMEOUT_SECONDS', 15) * 1000;
+
+// Exchanges load in parallel; run state updates one at a time so none is lost
+let updateQueue = Promise.resolve();
+
+// Exchange id -> capture in flight, at most one per exchange
+const captures = {};
+
+function settlementDir() {
+  return path.join(getDataDir(), 'settlements');
+}
+
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function writeJsonFile(file, content) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(`${file}.tmp`, content);
+  await fs.promises.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Load the settlement state of one exchange
+ * @param {string} exchangeId - Exchange id
+ * @returns {Promise<{tracking: Object, settled: Object, savedTracking: string|null, settledChanged: boolean}>} Tracked contracts and their settled rates, keyed by contractKey
+ */
+async function loadSettlementState(exchangeId) {
+  const dir = path.join(settlementDir(), exchangeId);
+  const [tracking, settled] = await Promise.all([
+    readJsonFile(path.join(dir, 'tracking.json')),
+    readJsonFile(path.join(dir, 'settled.json'))
+  ]);
+  if (tracking) {
+    return { tracking, settled: settled || {}, savedTracking: JSON.stringify(tracking), settledChanged: false };
+  }
+
+  // Older versions kept every exchange in one state.json, settled rates inline
+  const legacy = await readJsonFile(path.join(settlementDir(), 'state.json')) || {};
+  const state = { tracking: {}, settled: {}, savedTracking: null, settledChanged: Boolean(legacy[exchangeId]) };
+  Object.entries(legacy[exchangeId] || {}).forEach(([key, { settled: rates, ...entry }]) => {
+    state.tracking[key] = entry;
+    state.settled[key] = rates || [];
+  });
+  return state;
+}
+
+/**
+ * Write the parts of an exchange's settlement state that changed since it was loaded
+ * @param {string} exchangeId - Exchange id
+ * @param {Object} state - State from loadSettlementState
+ */
+async function saveSettlementState(exchangeId, state) {
+  const dir = path.join(settlementDir(), exchangeId);
+
+  const tracking = JSON.stringify(state.tracking);
+  if (tracking !== state.savedTracking) {
+    await writeJsonFile(path.join(dir, 'tracking.json'), tracking);
+    state.savedTracking = tracking;
+  }
+
+  if (state.settledChanged) {
+    await writeJsonFile(path.join(dir, 'settled.json'), JSON.stringify(state.settled));
+    state.settledChanged = false;
+  }
+}
+
+/**
+ * Reject when a promise takes longer than `timeoutMs`
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeoutMs - Time allowed
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} The promise's outcome
+ */
+async function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), Math.max(0, timeoutMs));
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch settled rates for the contracts with pending settlements
+ * @param {string} exchangeId - Exchange id
+ * @param {Array<Object>} pending - Pending settlements with fullSymbol and settlementTime
+ * @param {number} deadline - Time in ms by which the requests give up
+ * @returns {Promise<Array<{fullSymbol: string, timestamp: number, fundingRate: number}>>} Settled rates in percent
+ */
+async function fetchSettledRates(exchangeId, pending, deadline) {
+  const adapter = getExchange(exchangeId);
+  const client = await getClientWithMarkets(exchangeId);
+  const since = Math.min(...pending.map(item => item.settlementTime)) - MATCH_WINDOW_MS;
+
+  let bulk = [];
+  if (typeof adapter.fetchSettledRates === 'function') {
+    bulk = await withTimeout(adapter.fetchSettledRates(client, since), deadline - Date.now(),
+      `${adapter.name} settled rates ${CAPTURE_TIMEOUT_MS / 1000}s timeout`);
+  }
+
+  // Contracts the bulk endpoint doesn't list, e.g. Binance COIN-M
+  const covered = new Set(bulk.map(item => item.fullSymbol));
+  const missing = pending.filter(item => !covered.has(item.fullSymbol));
+  if (missing.length === 0) return bulk;
+
+  return [...bulk, ...await fetchContractSettledRates(client, missing, since, deadline)];
+}
+
+/**
+ * Fetch settled rates one contract at a time, bounded per capture
+ * @param {Object} client - CCXT exchange instance
+ * @param {Array<Object>} pending - Pending settlements with fullSymbol
+ * @param {number} since - Start timestamp in ms
+ * @param {number} deadline - Time in ms after which no lookup starts and none is waited for
+ * @returns {Promise<Array<{fullSymbol: string, timestamp: number, fundingRate: number}>>} Settled rates in percent
+ */
+async function fetchContractSettledRates(client, pending, since, deadline) {
+  const fullSymbols = [...new Set(pending.map(item => item.fullSymbol))].slice(0, MAX_SYMBOL_LOOKUPS);
+
+  const pages = await mapWithConcurrency(fullSymbols, LOOKUP_CONCURRENCY, async fullSymbol => {
+    if (Date.now() > deadline) return [];
+    try {
+      const history = await withTimeout(client.fetchFundingRateHistory(fullSymbol, since, 10), deadline - Date.now(),
+        `${fullSymbol} settled rates timeout`);
+      return history.map(entry => ({
+        fullSymbol: fullSymbol,
+        timestamp: entry.timestamp,
+        fundingRate: roundTo(entry.fundingRate * 100)
+      }));
+    } catch (error) {
+      // Still pending, retried on the next snapshot
+      return [];
+    }
+  });
+
+  return pages.flat();
+}
+
+/**
+ * Sum the settled rates of a contract over each realized funding window
+ * @param {Array<Array>} settled - [time, rate, predictedRate] entries, oldest first
+ * @param {number} now - Current time in ms
+ * @returns {Object} realizedFunding24h/7d/30d in percent, null before the first settlement
+ */
+function realizedFunding(settled, now) {
+  const totals = {};
+  Object.entries(REALIZED_WINDOWS).forEach(([field, windowMs]) => {
+    if (!settled || settled.length === 0) {
+      totals[field] = null;
+      return;
+    }
+    const sum = settled
+      .filter(([time]) => time > now - windowMs)
+      .reduce((total, [, rate]) => total + rate, 0);
+    totals[field] = roundTo(sum);
+  });
+  return totals;
+}
+
+/**
+ * Add the settlement fields to a funding row
+ * @param {Object} item - Normalized funding rate row
+ * @param {Array<Array>} [settled] - [time, rate, predictedRate] entries of the contract, oldest first
+ * @param {number} now - Current time in ms
+ * @returns {Object} Row with predicted, last settled and realized funding fields
+ */
+function withSettlementFields(item, settled = [], now) {
+  const last = settled.length > 0 ? settled[settled.length - 1] : null;
+
+  return {
+    ...item,
+    predictedFundingRate: item.fundingRate,
+    lastSettledFundingRate: last ? last[1] : null,
+    lastSettlementTime: last ? last[0] : null,
+    lastSettlementDatetime: last ? new Date(last[0]).toISOString() : null,
+    lastPredictedFundingRate: last ? last[2] : null,
+    predictionError: last && last[2] !== null ? roundTo(last[1] - last[2]) : null,
+    ...realizedFunding(settled, now)
+  };
+}
+
+/**
+ * Track predictions of one exchange's snapshot and add the settlement fields
+ * to its rows. Settlements that happened since the last snapshot are captured
+ * in the background, so exchange requests never hold up the snapshot.
+ * @param {string} exchangeId - Exchange id
+ * @param {Array<Object>} rates - Normalized funding rate rows
+ * @param {number} [now] - Snapshot time in ms
+ * @returns {Promise<Array<Object>>} Rows with settlement fields
+ */
+async function trackSettlements(exchangeId, rates, now = Date.now()) {
+  const update = updateQueue.then(() => recordSettlements(exchangeId, rates, now));
+  updateQueue = update;
+  const { rows, pending } = await update;
+
+  if (pending > 0 && !captures[exchangeId]) {
+    captures[exchangeId] = captureSettlements(exchangeId).finally(() => {
+      delete captures[exchangeId];
+    });
+  }
+
+  return rows;
+}
+
+async function recordSettlements(exchangeId, rates, now) {
+  let state = { tracking: {}, settled: {} };
+  let pending = 0;
+
+  try {
+    state = await loadSettlementState(exchangeId);
+    const known = state.tracking;
+
+    // A settlement happened when the next funding time of a contract moved past it
+    rates.forEach(item => {
+      if (!item.nextFundingTime || item.fundingRate === null) return;
+
+      const key = contractKey(item);
+      const entry = known[key] = known[key] || { pending: [] };
+      if (entry.settlementTime && entry.settlementTime <= now && entry.settlementTime < item.nextFundingTime &&
+          !entry.pending.some(other => other.settlementTime === entry.settlementTime)) {
+        entry.pending.push({ settlementTime: entry.settlementTime, predictedRate: entry.predictedRate });
+      }
+
+      entry.fullSymbol = item.fullSymbol;
+      entry.symbol = item.symbol;
+      entry.marginType = item.marginType;
+      entry.predictedRate = item.fundingRate;
+      entry.settlementTime = item.nextFundingTime;
+    });
+
+    Object.values(known).forEach(entry => {
+      entry.pending = entry.pending.filter(item => now - item.settlementTime < PENDING_MAX_AGE_MS);
+      pending += entry.pending.length;
+    });
+
+    await saveSettlementState(exchangeId, state);
+
+  } catch (error) {
+    console.error('Settlements: failed to track settlements:', error.message);
+  }
+
+  return {
+    rows: rates.map(item => withSettlementFields(item, state.settled[contractKey(item)], now)),
+    pending
+  };
+}
+
+/**
+ * Fetch the settled rates of an exchange's pending settlements and record the
+ * ones the exchange reports. Failures are logged, the settlements stay pending.
+ * @param {string} exchangeId - Exchange id
+ * @returns {Promise<void>} Settles once the capture is recorded or given up
+ */
+async function captureSettlements(exchangeId) {
+  const name = getExchange(exchangeId).name;
+
+  try {
+    const { tracking } = await loadSettlementState(exchangeId);
+    const pending = [];
+    Object.entries(tracking).forEach(([key, entry]) => {
+      entry.pending.forEach(item => pending.push({ ...item, key, fullSymbol: entry.fullSymbol }));
+    });
+    if (pending.length === 0) return;
+
+    let settledRates;
+    try {
+      settledRates = await fetchSettledRates(exchangeId, pending, Date.now() + CAPTURE_TIMEOUT_MS);
+    } catch (error) {
+      console.log(`Settlements: ${name} settled rates unavailable, ${pending.length} still pending:`, error.message);
+      return;
+    }
+
+    // Snapshots may have updated the state meanwhile, apply to the current one
+    const apply = updateQueue.then(() => recordSettledRates(exchangeId, settledRates));
+    updateQueue = apply;
+    await apply;
+
+  } catch (error) {
+    console.error(`Settlements: ${name} capture failed:`, error.message);
+  }
+}
+
+async function recordSettledRates(exchangeId, settledRates) {
+  const name = getExchange(exchangeId).name;
+  const state = await loadSettlementState(exchangeId);
+  const records = [];
+  let pending = 0;
+
+  Object.entries(state.tracking).forEach(([key, entry]) => {
+    pending += entry.pending.length;
+    entry.pending = entry.pending.filter(item => {
+      const match = settledRates.find(settled => settled.fullSymbol === entry.fullSymbol &&
+        Math.abs(settled.timestamp - item.settlementTime) <= MATCH_WINDOW_MS);
+      if (!match) return true;
+
+      const predictedRate = item.predictedRate === undefined ? null : item.predictedRate;
+      const settled = state.settled[key] = state.settled[key] || [];
+      settled.push([match.timestamp, match.fundingRate, predictedRate]);
+      settled.sort((a, b) => a[0] - b[0]);
+
+      records.push({
+        timestamp: match.timestamp,
+        source: 'settlement',
+        exchange: exchangeId,
+        // State written before margin types were tracked has no symbol, its key is the symbol
+        symbol: entry.symbol || key,
+        marginType: entry.marginType || 'usdt',
+        fullSymbol: entry.fullSymbol,
+        fundingRate: match.fundingRate,
+        fundingTimestamp: match.timestamp,
+        predictedFundingRate: predictedRate,
+        predictionError: predictedRate === null ? null : roundTo(match.fundingRate - predictedRate)
+      });
+      return false;
+    });
+  });
+
+  if (records.length > 0) {
+    await getStore().append(records);
+
+    // Drop what the realized funding windows no longer cover while the file is rewritten anyway
+    const now = Date.now();
+    Object.entries(state.settled).forEach(([key, settled]) => {
+      state.settled[key] = settled.filter(([time]) => now - time < RETENTION_MS);
+      if (state.settled[key].length === 0) delete state.settled[key];
+    });
+    state.settledChanged = true;
+    await saveSettlementState(exchangeId, state);
+  }
+  console.log(`Settlements: ${name} captured ${records.length}/${pending} settlements`);
+}
+
+/**
+ * Wait for the settlement captures in flight
+ * @returns {Promise<void>} Settles once every capture is recorded or given up
+ */
+async function waitForSettlementCaptures() {
+  await Promise.all(Object.values(captures));
+}
+
+/**
+ * Build the realized funding series of one contract from stored settlement records
+ * @param {Array<Object>} records - Settlement history records, oldest first
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Series with cumulative funding, realized funding windows and prediction error stats
+ */
+function buildRealizedSeries(records, now = Date.now()) {
+  const hasPrediction = record => record.predictedFundingRate !== undefined && record.predictedFundingRate !== null;
+
+  // Backfilled and captured records of the same settlement: keep the one with a prediction
+  const byTime = new Map();
+  records.forEach(record => {
+    const existing = byTime.get(record.timestamp);
+    if (!existing || (!hasPrediction(existing) && hasPrediction(record))) {
+      byTime.set(record.timestamp, record);
+    }
+  });
+
+  let cumulative = 0;
+  const series = [...byTime.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(record => {
+      cumulative += record.fundingRate;
+      const predicted = hasPrediction(record) ? record.predictedFundingRate : null;
+      return {
+        timestamp: record.timestamp,
+        datetime: new Date(record.timestamp).toISOString(),
+        fundingRate: roundTo(record.fundingRate),
+        predictedFundingRate: predicted,
+        predictionError: predicted === null ? null : roundTo(record.fundingRate - predicted),
+        cumulativeFunding: roundTo(cumulative)
+      };
+    });
+
+  const errors = series.filter(point => point.predictionError !== null).map(point => Math.abs(point.predictionError));
+
+  return {
+    settlements: series.length,
+    ...realizedFunding(series.map(point => [point.timestamp, point.fundingRate]), now),
+    predictionsScored: errors.length,
+    meanAbsPredictionError: errors.length > 0 ? roundTo(errors.reduce((sum, error) => sum + error, 0) / errors.length) : null,
+    series: series
+  };
+}
+
+module.exports = {
+  REALIZED_WINDOWS,
+  trackSettlements,
+  waitForSettlementCaptures,
+  realizedFunding,
+  buildRealizedSeries
+};
@@ -0,0 +1,211 @@
+/**
+ * Fetch a funding rate snapshot across the selected exchanges
+ */
+
+const { getExchange, fetchFundingRates } = require('./exchanges');
+const { saveSnapshot } = require('./history');
+const { detectIntervalChanges } = require('./intervals');
+const { trackSettlements } = require('./settlements');
+const { evaluateAlerts } = require('./alerts');
+const { createCache, envSeconds } = require('./cache');
+const { recordExchangeFetch } = require('./metrics');
+const { DEFAULT_MARGIN_TYPES, selectByMargin } = require('./margin');
+const { getLiquidity, withLiquidity } = require('./liquidity');
+const {
+  emptyResultError,
+  classifyError,
+  isRetryable,
+  canRequest,
+  recordSuccess,
+  recordFailure,
+  describeHealth
+} = require('./health');
+
+// Per-exchange fetch budget including retries, within the 30s Vercel maxDuration
+const EXCHANGE_TIMEOUT_MS = 20000;
+
+// Attempts per fetch for transient failures, spaced 1s, 2s, ... apart
+const RETRY_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+// Funding rates are served from cache for this long, then stale while refreshing
+const CACHE_TTL_SECONDS = envSeconds('FUNDING_CACHE_TTL_SECONDS', 60);
+const CACHE_STALE_SECONDS = envSeconds('FUNDING_CACHE_STALE_SECONDS', 300);
+
+const ratesCache = createCache({
+  ttlMs: CACHE_TTL_SECONDS * 1000,
+  staleMs: CACHE_STALE_SECONDS * 1000
+});
+
+/**
+ * Fetch one exchange once, giving up after `timeoutMs`
+ * @param {string} id - Exchange id
+ * @param {number} timeoutMs - Time allowed for this attempt
+ * @returns {Promise<Array>} Array of funding rate data
+ */
+async function fetchOnce(id, timeoutMs) {
+  const name = getExchange(id).name;
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${name} ${Math.round(timeoutMs / 1000)}s timeout`);
+      error.errorClass = 'timeout';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fetchFundingRates(id), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch one exchange through its circuit breaker, retrying transient failures
+ * with backoff while the time budget allows, and record the outcome
+ * @param {string} id - Exchange id
+ * @returns {Promise<Array>} Array of funding rate data; rejects when the exchange is down
+ */
+async function fetchExchange(id) {
+  const name = getExchange(id).name;
+
+  if (!canRequest(id)) {
+    const error = new Error(`${name} circuit open, serving last good snapshot`);
+    error.errorClass = 'circuit-open';
+    console.log(error.message);
+    throw error;
+  }
+
+  const startTime = Date.now();
+  const deadline = startTime + EXCHANGE_TIMEOUT_MS;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      console.log(`Fetching ${name} data${attempt > 1 ? ` (attempt ${attempt})` : ''}...`);
+      const rates = await fetchOnce(id, deadline - Date.now());
+      if (rates.length === 0) {
+        throw emptyResultError(`${name} returned no funding rates`);
+      }
+
+      console.log(`✅ ${name} success: ${rates.length} rates`);
+      recordSuccess(id, Date.now() - startTime);
+      recordExchangeFetch(id, { success: true, durationMs: Date.now() - startTime });
+      return rates;
+
+    } catch (error) {
+      const errorClass = classifyError(error);
+      console.error(`❌ ${name} failed (${errorClass}):`, error.message);
+
+      const delay = RETRY_DELAY_MS * 2 ** (attempt - 1);
+      if (attempt < RETRY_ATTEMPTS && isRetryable(errorClass) && Date.now() + delay < deadline - RETRY_DELAY_MS) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      recordFailure(id, error, Date.now() - startTime);
+      recordExchangeFetch(id, { success: false, durationMs: Date.now() - startTime });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Fetch one exchange, persist what it returned and add its settlement fields.
+ * Throws when the exchange is down, so the cache keeps serving the previous rates instead.
+ * @param {string} id - Exchange id
+ * @returns {Promise<{rates: Array, intervalChanges: Array<Object>, alerted: boolean}>} Cache entry value
+ */
+async function loadExchange(id) {
+  const fetchedAt = Date.now();
+  const fetched = await fetchExchange(id);
+
+  // Keep the snapshot for the history endpoint
+  await saveSnapshot({ [id]: fetched }, fetchedAt);
+  const intervalChanges = await detectIntervalChanges({ [id]: fetched }, fetchedAt);
+
+  // Track predictions and add realized funding to the rows; settlements since
+  // the last snapshot are captured in the background, outside the fetch budget
+  const rates = await trackSettlements(id, fetched, fetchedAt);
+
+  // alerted flips once the interval changes have been passed to the alert rules
+  return { rates, intervalChanges, alerted: false };
+}
+
+/**
+ * Get funding rates for all selected exchanges in parallel, each from its own
+ * cache entry so one slow venue doesn't hold back or invalidate the others.
+ * Fresh loads are stored in history and checked for interval changes; alert
+ * rules are evaluated against the combined snapshot in the background, so a
+ * slow sink doesn't hold back the response. An exchange that is down
+ * serves its last good rates, and its health entry says so.
+ *
+ * The cache holds every perpetual of an exchange; the returned rows are one
+ * contract per symbol, picked by margin type preference, with the liquidity
+ * fields added. Alert rules always see the default USDT selection so a
+ * request can't flip their state.
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @param {Object} [options] - Snapshot options
+ * @param {boolean} [options.fresh] - Bypass the cache
+ * @param {Array<string>} [options.marginTypes] - Margin types in order of preference
+ * @returns {Promise<{ratesByExchange: Object<string, Array>, intervalChanges: Array<Object>, cache: Object<string, Object>, health: Object<string, Object>, startTime: number, duration: number}>} Snapshot
+ */
+async function fetchSnapshot(exchangeIds, { fresh = false, marginTypes = DEFAULT_MARGIN_TYPES } = {}) {
+  const startTime = Date.now();
+  console.log(`=== Starting exchange data fetch: ${exchangeIds.join(', ')}${fresh ? ' (fresh)' : ''} ===`);
+
+  // Liquidity has its own cache and loads alongside the rates
+  const [results, liquidity] = await Promise.all([
+    Promise.all(exchangeIds.map(id =>
+      ratesCache.get(id, () => loadExchange(id), { fresh }).catch(() => null)
+    )),
+    Promise.all(exchangeIds.map(id => getLiquidity(id)))
+  ]);
+
+  const ratesByExchange = {};
+  const alertRates = {};
+  const cache = {};
+  const health = {};
+  const intervalChanges = [];
+  exchangeIds.forEach((id, index) => {
+    const result = results[index];
+    const rates = result ? result.value.rates : [];
+    ratesByExchange[id] = withLiquidity(selectByMargin(rates, marginTypes), liquidity[index]);
+    alertRates[id] = selectByMargin(rates, DEFAULT_MARGIN_TYPES);
+    cache[id] = result ?
+      { status: result.status, ageSeconds: Math.round((startTime - result.fetchedAt) / 1000) } :
+      { status: 'error', ageSeconds: null };
+    health[id] = describeHealth(id, {
+      hasData: Boolean(result),
+      fetchedAt: result ? result.fetchedAt : null,
+      // Older than the cache serves while refreshes succeed
+      maxAgeMs: (CACHE_TTL_SECONDS + CACHE_STALE_SECONDS) * 1000
+    });
+
+    if (result && !result.value.alerted) {
+      result.value.alerted = true;
+      intervalChanges.push(...result.value.intervalChanges);
+    }
+  });
+
+  console.log(`=== Final counts: ${exchangeIds.map(id => `${getExchange(id).name}=${ratesByExchange[id].length} (${cache[id].status}, ${health[id].status})`).join(', ')} ===`);
+
+  // Sinks are dispatched off the response path; evaluateAlerts never rejects
+  evaluateAlerts(alertRates, exchangeIds, { now: startTime, intervalChanges });
+
+  return {
+    ratesByExchange,
+    intervalChanges,
+    cache,
+    health,
+    startTime,
+    duration: Date.now() - startTime
+  };
+}
+
+module.exports = {
+  CACHE_TTL_SECONDS,
+  CACHE_STALE_SECONDS,
+  fetchSnapshot
+};
@@ -0,0 +1,75 @@
+const os = require('os');
+const path = require('path');
+const { createJsonlStore } = require('./jsonl');
+const { createMemoryStore } = require('./memory');
+
+/**
+ * Funding history storage
+ *
+ * A store is any object with:
+ *   append(records)  - persist history records, resolves to the number written
+ *   query(filter)    - resolve to records matching { symbol, exchange, from, to, source, marginType },
+ *                      oldest first, at most filter.limit of them when given; every
+ *                      symbol when filter.symbol is omitted
+ *
+ * The backend is chosen with FUNDING_STORE (jsonl or memory, default jsonl).
+ * JSONL files go to FUNDING_HISTORY_DIR, defaulting to <data dir>/history.
+ */
+
+/**
+ * Directory for files this app writes: FUNDING_DATA_DIR, else ./data locally
+ * and the writable temp directory on Vercel
+ * @returns {string} Data directory
+ */
+function getDataDir() {
+  return process.env.FUNDING_DATA_DIR ||
+    (process.env.VERCEL ? path.join(os.tmpdir(), 'funding-data') : path.join(process.cwd(), 'data'));
+}
+
+const factories = {
+  jsonl: () => createJsonlStore({
+    dir: process.env.FUNDING_HISTORY_DIR || path.join(getDataDir(), 'history')
+  }),
+  memory: () => createMemoryStore()
+};
+
+let store = null;
+
+/**
+ * Register an additional storage backend
+ * @param {string} type - Backend name used in FUNDING_STORE
+ * @param {Function} factory - Returns a store
+ */
+function registerStore(type, factory) {
+  factories[type] = factory;
+}
+
+/**
+ * Get the configured store, creating it on first use
+ * @returns {Object} Funding history store
+ */
+function getStore() {
+  if (!store) {
+    const type = process.env.FUNDING_STORE || 'jsonl';
+    if (!factories[type]) {
+      throw new Error(`Unknown funding store: ${type}`);
+    }
+    store = factories[type]();
+  }
+  return store;
+}
+
+/**
+ * Replace the active store
+ * @param {Object} newStore - Funding history store
+ */
+function setStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  getDataDir,
+  registerStore,
+  getStore,
+  setStore
+};
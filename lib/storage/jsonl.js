@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Append-only JSONL funding history store
+ *
+ * Records are written to `<dir>/<exchange>/<YYYY-MM-DD>.jsonl`, one file per
+ * exchange per UTC day, so range queries only read the days they cover. Files
+ * are streamed line by line, and a query with a limit stops after the day
+ * that completes it.
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Root directory for the JSONL files
+ * @returns {Object} Funding history store
+ */
+function createJsonlStore({ dir }) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function fileFor(exchange, timestamp) {
+    const day = new Date(timestamp).toISOString().slice(0, 10);
+    return path.join(dir, exchange, `${day}.jsonl`);
+  }
+
+  /**
+   * Append records to the store
+   * @param {Array<Object>} records - History records with exchange and timestamp
+   * @returns {Promise<number>} Number of records written
+   */
+  async function append(records) {
+    const byFile = {};
+    records.forEach(record => {
+      const file = fileFor(record.exchange, record.timestamp);
+      (byFile[file] = byFile[file] || []).push(JSON.stringify(record));
+    });
+
+    for (const [file, lines] of Object.entries(byFile)) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, lines.join('\n') + '\n');
+    }
+
+    return records.length;
+  }
+
+  /**
+   * Query records for a symbol, oldest first
+   * @param {Object} filter - Query filter
+   * @param {string} [filter.symbol] - Base symbol, e.g. BTC, every symbol when omitted
+   * @param {string} [filter.exchange] - Exchange id, all exchanges when omitted
+   * @param {number} [filter.from] - Inclusive start timestamp in ms
+   * @param {number} [filter.to] - Inclusive end timestamp in ms
+   * @param {string} [filter.source] - Record source, e.g. snapshot or settlement
+   * @param {string} [filter.marginType] - usdt, usdc or coin; records written before margin types count as usdt
+   * @param {number} [filter.limit] - Return at most this many records, the oldest
+   * @returns {Promise<Array<Object>>} Matching records
+   */
+  async function query({ symbol, exchange, from, to, source, marginType, limit }) {
+    let exchanges = exchange ? [exchange] : [];
+    if (!exchange) {
+      try {
+        exchanges = await fs.promises.readdir(dir);
+      } catch (error) {
+        return [];
+      }
+    }
+
+    // Day files of every exchange by day; a day holds only records of that day
+    const days = {};
+    for (const id of exchanges.sort()) {
+      let files;
+      try {
+        files = (await fs.promises.readdir(path.join(dir, id))).filter(file => file.endsWith('.jsonl'));
+      } catch (error) {
+        continue;
+      }
+
+      files.forEach(file => {
+        // Skip whole days outside the requested range
+        const day = file.replace('.jsonl', '');
+        const dayStart = Date.parse(day);
+        if (from && dayStart + DAY_MS <= from) return;
+        if (to && dayStart > to) return;
+        (days[day] = days[day] || []).push(path.join(dir, id, file));
+      });
+    }
+
+    // Records are written with JSON.stringify, so other symbols and sources are skipped without parsing
+    const needles = [];
+    if (symbol) needles.push(`"symbol":${JSON.stringify(symbol)}`);
+    if (source) needles.push(`"source":${JSON.stringify(source)}`);
+    const result = [];
+
+    for (const day of Object.keys(days).sort()) {
+      const matches = [];
+      for (const file of days[day]) {
+        const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+        for await (const line of lines) {
+          if (!line || !needles.every(needle => line.includes(needle))) continue;
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (error) {
+            continue; // Ignore a partially written line
+          }
+          if (symbol && record.symbol !== symbol) continue;
+          if (from && record.timestamp < from) continue;
+          if (to && record.timestamp > to) continue;
+          if (source && record.source !== source) continue;
+          if (marginType && (record.marginType || 'usdt') !== marginType) continue;
+          matches.push(record);
+        }
+      }
+
+      matches.sort((a, b) => a.timestamp - b.timestamp);
+      result.push(...matches);
+      if (limit && result.length >= limit) break;
+    }
+
+    return limit ? result.slice(0, limit) : result;
+  }
+
+  return { type: 'jsonl', append, query };
+}
+
+module.exports = { createJsonlStore };
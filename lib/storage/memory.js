@@ -0,0 +1,38 @@
+/**
+ * In-memory funding history store, for local runs and short-lived processes
+ * @returns {Object} Funding history store
+ */
+function createMemoryStore() {
+  const records = [];
+
+  /**
+   * Append records to the store
+   * @param {Array<Object>} newRecords - History records with exchange and timestamp
+   * @returns {Promise<number>} Number of records written
+   */
+  async function append(newRecords) {
+    records.push(...newRecords);
+    return newRecords.length;
+  }
+
+  /**
+   * Query records for a symbol, oldest first
+   * @param {Object} filter - Same filter as the JSONL store
+   * @returns {Promise<Array<Object>>} Matching records
+   */
+  async function query({ symbol, exchange, from, to, source, marginType, limit }) {
+    const result = records
+      .filter(record => (!symbol || record.symbol === symbol) &&
+        (!exchange || record.exchange === exchange) &&
+        (!marginType || (record.marginType || 'usdt') === marginType) &&
+        (!from || record.timestamp >= from) &&
+        (!to || record.timestamp <= to) &&
+        (!source || record.source === source))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    return limit ? result.slice(0, limit) : result;
+  }
+
+  return { type: 'memory', append, query };
+}
+
+module.exports = { createMemoryStore };
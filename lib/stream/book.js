@@ -0,0 +1,119 @@
+const { EventEmitter } = require('events');
+const { scalePrice } = require('../symbols');
+
+/**
+ * In-memory book of normalized funding rate rows, keyed by exchange and symbol
+ *
+ * Emits 'change' with the exchange id and the symbols whose rows changed.
+ *
+ * @returns {Object} Funding book
+ */
+function createFundingBook() {
+  const emitter = new EventEmitter();
+  const rows = {};
+  // Venue symbol -> resolved symbol per exchange, streams report venue symbols
+  const aliases = {};
+
+  /**
+   * Replace every row of an exchange with a fresh snapshot. Of two contracts
+   * resolving to the same symbol the one without a multiplier is kept, as in
+   * the comparison.
+   * @param {string} exchangeId - Exchange id
+   * @param {Array<Object>} items - Normalized funding rate rows
+   */
+  function load(exchangeId, items) {
+    const previous = rows[exchangeId] || {};
+    const next = {};
+    const venueSymbols = {};
+    items.forEach(item => {
+      const existing = next[item.symbol];
+      if (existing && (existing.priceMultiplier || 1) <= (item.priceMultiplier || 1)) return;
+      next[item.symbol] = item;
+    });
+    Object.values(next).forEach(item => {
+      venueSymbols[item.venueSymbol || item.symbol] = item.symbol;
+    });
+    rows[exchangeId] = next;
+    aliases[exchangeId] = venueSymbols;
+
+    const changed = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    changed.forEach(symbol => {
+      if (JSON.stringify(previous[symbol]) === JSON.stringify(next[symbol])) changed.delete(symbol);
+    });
+
+    if (changed.size > 0) emitter.emit('change', exchangeId, [...changed]);
+  }
+
+  /**
+   * Merge streamed partial rows into existing ones. Symbols missing from the
+   * last snapshot are ignored until the next snapshot brings their metadata.
+   * Partials use the venue symbol and per-contract prices, which are mapped
+   * and scaled like the snapshot rows.
+   * @param {string} exchangeId - Exchange id
+   * @param {Array<Object>} partials - Rows with a symbol and the fields that changed
+   */
+  function patch(exchangeId, partials) {
+    const book = rows[exchangeId];
+    if (!book) return;
+
+    const changed = [];
+    partials.forEach(partial => {
+      const symbol = aliases[exchangeId][partial.symbol] || partial.symbol;
+      const current = book[symbol];
+      if (!current) return;
+
+      // Undefined means unchanged, so only scale prices the partial carries
+      const multiplier = current.priceMultiplier || 1;
+      const scale = price => price === undefined ? undefined : scalePrice(price, multiplier);
+      const resolved = {
+        ...partial,
+        symbol: symbol,
+        markPrice: scale(partial.markPrice),
+        indexPrice: scale(partial.indexPrice)
+      };
+
+      let dirty = false;
+      const updated = { ...current };
+      Object.entries(resolved).forEach(([key, value]) => {
+        if (value !== undefined && updated[key] !== value) {
+          updated[key] = value;
+          dirty = true;
+        }
+      });
+
+      if (dirty) {
+        book[symbol] = updated;
+        changed.push(symbol);
+      }
+    });
+
+    if (changed.length > 0) emitter.emit('change', exchangeId, changed);
+  }
+
+  /**
+   * Get rows for some exchanges, optionally limited to some symbols
+   * @param {Array<string>} exchangeIds - Exchange ids
+   * @param {Array<string>} [symbols] - Symbols to include, all when omitted
+   * @returns {Object<string, Array>} Normalized rows keyed by exchange id
+   */
+  function getRates(exchangeIds, symbols) {
+    const ratesByExchange = {};
+    exchangeIds.forEach(id => {
+      const book = rows[id] || {};
+      ratesByExchange[id] = symbols ?
+        symbols.map(symbol => book[symbol]).filter(Boolean) :
+        Object.values(book);
+    });
+    return ratesByExchange;
+  }
+
+  return {
+    load,
+    patch,
+    getRates,
+    on: (event, listener) => emitter.on(event, listener),
+    off: (event, listener) => emitter.off(event, listener)
+  };
+}
+
+module.exports = { createFundingBook };
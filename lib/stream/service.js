@@ -0,0 +1,98 @@
+const { getExchange, fetchFundingRates } = require('../exchanges');
+const { createFundingBook } = require('./book');
+const { detectIntervalChanges } = require('../intervals');
+const { evaluateAlerts } = require('../alerts');
+const { getFixtureMode } = require('../fixtures');
+const { DEFAULT_MARGIN_TYPES, selectByMargin } = require('../margin');
+
+// Full REST snapshot cadence; it refreshes intervals and listings for streaming venues
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+// REST polling cadence for venues without a stream
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Pause before resubscribing after a stream error
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Keep a funding book up to date from exchange streams, falling back to REST
+ * polling for exchanges whose adapter has no watchFundingRates
+ * @param {Array<string>} exchangeIds - Exchange ids to follow
+ * @returns {{book: Object, exchangeIds: Array<string>, stop: Function}} Running stream service
+ */
+function startFundingStream(exchangeIds) {
+  const book = createFundingBook();
+  const timers = [];
+  const streamClients = [];
+  let running = true;
+
+  async function refresh(id) {
+    let rates;
+    try {
+      // The book holds one contract per symbol, like the streams report
+      rates = selectByMargin(await fetchFundingRates(id), DEFAULT_MARGIN_TYPES);
+    } catch (error) {
+      // Keep the rows the book already has until the exchange is back
+      console.error(`❌ ${getExchange(id).name} refresh failed:`, error.message);
+      return;
+    }
+
+    if (running && rates.length > 0) {
+      book.load(id, rates);
+      const intervalChanges = await detectIntervalChanges({ [id]: rates });
+      await evaluateAlerts(book.getRates(exchangeIds), exchangeIds, { intervalChanges });
+    }
+  }
+
+  /**
+   * Refresh from a timer: a failure after the fetch (interval tracking, alert
+   * delivery) is logged so the next tick still runs
+   * @param {string} id - Exchange id
+   * @returns {Promise<void>} Settles once the refresh is done
+   */
+  function scheduledRefresh(id) {
+    return refresh(id).catch(error => {
+      console.error(`❌ ${getExchange(id).name} refresh failed:`, error.message);
+    });
+  }
+
+  async function watch(id) {
+    const adapter = getExchange(id);
+    const client = adapter.createStreamClient();
+    streamClients.push(client);
+
+    while (running) {
+      try {
+        const partials = await adapter.watchFundingRates(client);
+        book.patch(id, partials);
+      } catch (error) {
+        if (!running) break;
+        console.error(`❌ ${adapter.name} stream error:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+      }
+    }
+  }
+
+  exchangeIds.forEach(id => {
+    // Websocket streams can't be replayed, fixtures only cover REST
+    const streaming = typeof getExchange(id).watchFundingRates === 'function' && !getFixtureMode();
+    const interval = streaming ? SNAPSHOT_INTERVAL_MS : POLL_INTERVAL_MS;
+
+    scheduledRefresh(id).then(() => {
+      if (streaming && running) watch(id);
+    });
+    timers.push(setInterval(() => scheduledRefresh(id), interval));
+
+    console.log(`${getExchange(id).name}: ${streaming ? 'streaming' : `polling every ${interval / 1000}s`}`);
+  });
+
+  async function stop() {
+    running = false;
+    timers.forEach(clearInterval);
+    await Promise.all(streamClients.map(client => client.close().catch(() => {})));
+  }
+
+  return { book, exchangeIds, stop };
+}
+
+module.exports = { startFundingStream };
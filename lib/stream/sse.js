@@ -0,0 +1,90 @@
+const { parseExchangeList } = require('../exchanges');
+const { buildComparisonTable } = require('../comparison');
+const { BASES, DEFAULT_BASIS } = require('../normalize');
+
+// Changed symbols are batched and pushed at most this often per client
+const FLUSH_INTERVAL_MS = 1000;
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Create a Server-Sent Events handler for a running stream service
+ *
+ * GET /api/stream?exchanges=&basis=
+ * Sends a `snapshot` event with the full comparison table, then `rows` events
+ * with `{ rows, removed }` for symbols whose comparison changed.
+ *
+ * @param {Object} service - Stream service from startFundingStream
+ * @returns {Function} Request handler
+ */
+function createStreamHandler(service) {
+  return function streamHandler(req, res) {
+    const query = req.query || {};
+    const { ids, unknown } = query.exchanges ?
+      parseExchangeList(query.exchanges) :
+      { ids: service.exchangeIds, unknown: [] };
+    const basis = query.basis ? String(query.basis).toLowerCase() : DEFAULT_BASIS;
+
+    const unavailable = [...unknown, ...ids.filter(id => !service.exchangeIds.includes(id))];
+    let message = null;
+    if (unavailable.length > 0) {
+      message = `Exchanges not streamed: ${unavailable.join(', ')}`;
+    } else if (!BASES.includes(basis)) {
+      message = `basis must be one of: ${BASES.join(', ')}`;
+    }
+
+    if (message) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        message: message,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const { comparisonTable } = buildComparisonTable(service.book.getRates(ids), ids, basis);
+    send('snapshot', { timestamp: new Date().toISOString(), basis, tableData: comparisonTable });
+
+    const dirty = new Set();
+    const onChange = (exchangeId, symbols) => {
+      if (ids.includes(exchangeId)) symbols.forEach(symbol => dirty.add(symbol));
+    };
+    service.book.on('change', onChange);
+
+    const flushTimer = setInterval(() => {
+      if (dirty.size === 0) return;
+      const symbols = [...dirty];
+      dirty.clear();
+
+      const { comparisonTable: rows } = buildComparisonTable(service.book.getRates(ids, symbols), ids, basis);
+      const present = new Set(rows.map(row => row.symbol));
+      send('rows', {
+        timestamp: new Date().toISOString(),
+        rows: rows,
+        removed: symbols.filter(symbol => !present.has(symbol))
+      });
+    }, FLUSH_INTERVAL_MS);
+
+    const heartbeatTimer = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      service.book.off('change', onChange);
+      clearInterval(flushTimer);
+      clearInterval(heartbeatTimer);
+    });
+  };
+}
+
+module.exports = { createStreamHandler };
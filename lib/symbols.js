@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Symbol resolution across venues
+ *
+ * Venues list the same underlying under different tickers: Binance trades
+ * PEPE as 1000PEPE (one contract unit is 1000 PEPE) while MEXC lists PEPE.
+ * Each row gets a canonical `symbol` used as the join key, the `venueSymbol`
+ * the exchange itself uses, and a `priceMultiplier`; mark and index prices
+ * are divided by the multiplier so they are quoted per unit of the underlying.
+ *
+ * Overrides are read from the SYMBOL_MAP environment variable (JSON) or from
+ * the file named by SYMBOL_MAP_FILE (default ./symbol-map.json). See
+ * symbol-map.example.json. Keys are exchange ids, or "*" for every exchange:
+ *
+ *   { "binance": { "1000SATS": { "symbol": "SATS", "multiplier": 1000 } },
+ *     "mexc": { "NEIROETH": "NEIROETH" } }
+ *
+ * A string value only renames the symbol and keeps a multiplier of 1. The
+ * map is read once per process; restart to pick up changes.
+ */
+
+// Multiplier prefixes, longest first so 1000000 wins over 1000
+const MULTIPLIER_PREFIXES = [
+  ['1000000', 1000000],
+  ['100000', 100000],
+  ['10000', 10000],
+  ['1000', 1000],
+  ['1M', 1000000]
+];
+
+// Mark prices further apart than this ratio are treated as different assets
+const MAX_PRICE_RATIO = 1.2;
+
+// Override map, read on first use
+let symbolOverrides = null;
+
+/**
+ * Read the symbol override map, or an empty one when none is set up
+ * @returns {Object<string, Object>} Overrides keyed by exchange id, then venue symbol
+ */
+function readSymbolOverrides() {
+  let raw = process.env.SYMBOL_MAP;
+
+  if (!raw) {
+    const file = process.env.SYMBOL_MAP_FILE || path.join(process.cwd(), 'symbol-map.json');
+    if (!fs.existsSync(file)) return {};
+    raw = fs.readFileSync(file, 'utf8');
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('Symbols: ignoring invalid symbol map:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Symbol override map, read from its source on the first call only
+ * @returns {Object<string, Object>} Overrides keyed by exchange id, then venue symbol
+ */
+function loadSymbolOverrides() {
+  if (!symbolOverrides) symbolOverrides = readSymbolOverrides();
+  return symbolOverrides;
+}
+
+/**
+ * Split a multiplier prefix off a base asset, e.g. 1000PEPE -> PEPE x1000
+ * @param {string} base - Base asset as listed by the venue
+ * @returns {{underlying: string, multiplier: number}} Underlying asset and price multiplier
+ */
+function parseMultiplier(base) {
+  for (const [prefix, multiplier] of MULTIPLIER_PREFIXES) {
+    const rest = base.slice(prefix.length);
+    // The rest must look like a ticker, so 1INCH or 1000 alone stay untouched
+    if (base.startsWith(prefix) && /^[A-Z][A-Z0-9]*$/.test(rest)) {
+      return { underlying: rest, multiplier };
+    }
+  }
+  return { underlying: base, multiplier: 1 };
+}
+
+/**
+ * Divide a price by the contract multiplier
+ * @param {number|string|null} price - Price per contract unit
+ * @param {number} multiplier - Price multiplier
+ * @returns {number|string|null} Price per unit of the underlying, null when missing
+ */
+function scalePrice(price, multiplier) {
+  if (price === null || price === undefined) return null;
+  if (multiplier === 1) return price;
+  const value = parseFloat(price);
+  return Number.isFinite(value) ? value / multiplier : price;
+}
+
+/**
+ * Give each funding row of an exchange its canonical symbol and contract metadata
+ * @param {string} exchangeId - Exchange id
+ * @param {Array<Object>} rows - Normalized funding rate rows from the adapter
+ * @param {Object} [markets] - ccxt markets of the exchange, keyed by unified symbol
+ * @param {Object} [overrides] - Override map, loaded from the config when omitted
+ * @returns {Array<Object>} Rows with symbol, venueSymbol, underlying, priceMultiplier and contractSize
+ */
+function resolveSymbols(exchangeId, rows, markets = {}, overrides = loadSymbolOverrides()) {
+  const venueOverrides = { ...(overrides['*'] || {}), ...(overrides[exchangeId] || {}) };
+
+  return rows.map(row => {
+    const market = (markets || {})[row.fullSymbol];
+    const venueSymbol = row.venueSymbol || row.symbol;
+    const base = String((market && market.base) || venueSymbol).toUpperCase();
+
+    let { underlying, multiplier } = parseMultiplier(base);
+    let symbolSource = multiplier === 1 ? 'exchange' : 'prefix';
+
+    const override = venueOverrides[venueSymbol];
+    if (override) {
+      underlying = typeof override === 'string' ? override : override.symbol || underlying;
+      multiplier = typeof override === 'string' ? 1 : override.multiplier || 1;
+      symbolSource = 'override';
+    }
+
+    return {
+      ...row,
+      symbol: underlying,
+      venueSymbol: venueSymbol,
+      underlying: underlying,
+      priceMultiplier: multiplier,
+      contractSize: market && market.contractSize !== undefined ? market.contractSize : null,
+      symbolSource: symbolSource,
+      markPrice: scalePrice(row.markPrice, multiplier),
+      indexPrice: scalePrice(row.indexPrice, multiplier)
+    };
+  });
+}
+
+/**
+ * Find venues whose mark price is too far from the others to be the same asset
+ * @param {Object<string, Object>} itemsByExchange - Rows of one symbol keyed by exchange id
+ * @returns {Array<string>} Exchange ids to leave out of the comparison
+ */
+function findPriceOutliers(itemsByExchange) {
+  const priced = Object.entries(itemsByExchange)
+    .map(([id, item]) => [id, parseFloat(item.markPrice)])
+    .filter(([, price]) => Number.isFinite(price) && price > 0);
+  if (priced.length < 2) return [];
+
+  const prices = priced.map(([, price]) => price).sort((a, b) => a - b);
+  const middle = Math.floor(prices.length / 2);
+  const median = prices.length % 2 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+
+  return priced
+    .filter(([, price]) => price / median > MAX_PRICE_RATIO || median / price > MAX_PRICE_RATIO)
+    .map(([id]) => id);
+}
+
+module.exports = {
+  parseMultiplier,
+  resolveSymbols,
+  findPriceOutliers,
+  scalePrice
+};
@@ -0,0 +1,184 @@
+/**
+ * Filtering, sorting and pagination of comparison table rows
+ *
+ * GET /api/funding-rates?symbols=BTC,ETH&minAbsDiff=0.01&category=HIGH,MEDIUM&categoryBy=fixed|adaptive
+ *   &interval=1,4&minScore=50&sort=absDiff|difference|symbol|<exchange>Rate|nextFunding|score|zScore
+ *   &order=asc|desc&limit=&offset=
+ *
+ * categoryBy picks the category the filter matches: the fixed differenceCategory
+ * or the adaptiveCategory of lib/analytics. zScore sorts by the absolute z-score.
+ */
+
+const { readNumber, readEnum, readList } = require('./query');
+
+const CATEGORIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Row field the category filter matches for each categoryBy value
+const CATEGORY_FIELDS = {
+  fixed: 'differenceCategory',
+  adaptive: 'adaptiveCategory'
+};
+
+// Field of a comparison side holding the rate on each basis
+const BASIS_FIELDS = {
+  raw: 'fundingRate',
+  hourly: 'fundingRateHourly',
+  '8h': 'fundingRate8h',
+  apr: 'fundingRateApr'
+};
+
+const MAX_LIMIT = 10000;
+
+/**
+ * Read a number from a row field, treating null as missing
+ * @param {*} value - Row field
+ * @returns {number|null} Parsed number
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Sort keys accepted for the selected exchanges, e.g. binanceRate
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {Array<string>} Sort keys
+ */
+function sortKeys(exchangeIds) {
+  return ['difference', 'absDiff', 'symbol', 'nextFunding', 'score', 'zScore', ...exchangeIds.map(id => `${id}Rate`)];
+}
+
+/**
+ * Read the table query parameters, collecting a message for each invalid one
+ * @param {Object} query - Request query object
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {Object} Parsed table query
+ */
+function parseTableQuery(query, exchangeIds, errors) {
+  const symbols = readList(query, 'symbols');
+
+  const categories = readList(query, 'category');
+  const unknownCategories = (categories || []).filter(category => !CATEGORIES.includes(category.toUpperCase()));
+  if (unknownCategories.length > 0) {
+    errors.push(`category must be a list of: ${CATEGORIES.join(', ')}`);
+  }
+
+  const intervals = readList(query, 'interval');
+  if (intervals && !intervals.every(hours => Number(hours) > 0)) {
+    errors.push('interval must be a list of positive hours, e.g. 1,4,8');
+  }
+
+  // Sort keys are matched case-insensitively so absdiff and absDiff both work
+  const keys = sortKeys(exchangeIds);
+  let sort = 'difference';
+  if (query.sort !== undefined && query.sort !== '') {
+    sort = keys.find(key => key.toLowerCase() === String(query.sort).toLowerCase());
+    if (!sort) errors.push(`sort must be one of: ${keys.join(', ')}`);
+  }
+
+  const include = readList(query, 'include') || [];
+  if (include.some(part => part.toLowerCase() !== 'raw')) {
+    errors.push('include must be: raw');
+  }
+
+  return {
+    symbols: symbols && symbols.map(symbol => symbol.split('/')[0].toUpperCase()),
+    minAbsDiff: readNumber(query, 'minAbsDiff', { min: 0 }, errors),
+    minScore: readNumber(query, 'minScore', { min: 0, max: 100 }, errors),
+    categories: categories && categories.map(category => category.toUpperCase()),
+    categoryBy: readEnum(query, 'categoryBy', Object.keys(CATEGORY_FIELDS), 'fixed', errors),
+    intervals: intervals && intervals.map(Number),
+    sort: sort,
+    order: readEnum(query, 'order', ['asc', 'desc'], 'asc', errors),
+    limit: readNumber(query, 'limit', { min: 1, max: MAX_LIMIT, integer: true }, errors),
+    offset: readNumber(query, 'offset', { defaultValue: 0, min: 0, integer: true }, errors),
+    includeRaw: include.length > 0
+  };
+}
+
+/**
+ * Get the value a row is sorted by
+ * @param {Object} row - Comparison row
+ * @param {string} sort - Sort key
+ * @param {string} basis - Comparison basis
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {number|string|null} Sort value, null when the row has none
+ */
+function sortValue(row, sort, basis, exchangeIds) {
+  if (sort === 'symbol') return row.symbol;
+  if (sort === 'difference') return toNumber(row.fundingRateDifference);
+  if (sort === 'absDiff') return toNumber(row.absoluteDifference);
+  if (sort === 'score') return row.tradabilityScore;
+  if (sort === 'zScore') return toNumber(row.spreadZScore) === null ? null : Math.abs(row.spreadZScore);
+
+  if (sort === 'nextFunding') {
+    // Soonest settlement among the venues listing the symbol
+    const times = exchangeIds
+      .map(id => Date.parse(row[id].nextFundingDatetime))
+      .filter(Number.isFinite);
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  const id = sort.slice(0, -'Rate'.length);
+  return toNumber(row[id][BASIS_FIELDS[basis]]);
+}
+
+/**
+ * Filter, sort and paginate comparison rows
+ *
+ * Rows without a value for the sort key go last in either order.
+ *
+ * @param {Array} rows - Comparison rows
+ * @param {Object} tableQuery - Parsed table query from parseTableQuery
+ * @param {string} basis - Comparison basis the rows were built on
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @returns {{rows: Array, pagination: Object}} Page of rows and pagination details
+ */
+function applyTableQuery(rows, tableQuery, basis, exchangeIds) {
+  const { symbols, minAbsDiff, minScore, categories, categoryBy, intervals, sort, order, limit, offset } = tableQuery;
+
+  const filtered = rows.filter(row => {
+    if (symbols && !symbols.includes(row.symbol)) return false;
+    if (categories && !categories.includes(row[CATEGORY_FIELDS[categoryBy]])) return false;
+    if (minAbsDiff !== null) {
+      const absDiff = toNumber(row.absoluteDifference);
+      if (absDiff === null || absDiff < minAbsDiff) return false;
+    }
+    // Rows without liquidity data can't show they are tradable
+    if (minScore !== null && (row.tradabilityScore === null || row.tradabilityScore < minScore)) return false;
+    if (intervals && !exchangeIds.some(id => intervals.includes(row[id].fundingIntervalHours))) return false;
+    return true;
+  });
+
+  const direction = order === 'desc' ? -1 : 1;
+  const sorted = filtered
+    .map(row => ({ row, value: sortValue(row, sort, basis, exchangeIds) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        if (a.value === b.value) return 0;
+        return a.value === null ? 1 : -1;
+      }
+      if (sort === 'symbol') return direction * a.value.localeCompare(b.value);
+      return direction * (a.value - b.value);
+    })
+    .map(entry => entry.row);
+
+  const page = sorted.slice(offset, limit === null ? undefined : offset + limit);
+
+  return {
+    rows: page,
+    pagination: {
+      total: sorted.length,
+      offset: offset,
+      limit: limit,
+      returned: page.length
+    }
+  };
+}
+
+module.exports = {
+  BASIS_FIELDS,
+  parseTableQuery,
+  applyTableQuery
+};
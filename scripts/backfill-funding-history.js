@@ -0,0 +1,43 @@
+/**
+ * Backfill past funding settlements into the history store
+ *
+ * Usage:
+ *   node scripts/backfill-funding-history.js <exchange> <SYMBOL,SYMBOL,...> [since] [until]
+ *
+ * `since` and `until` accept epoch milliseconds or ISO dates; `since` defaults
+ * to 30 days ago.
+ */
+const { backfillFundingHistory, parseTime } = require('../lib/history');
+
+(async () => {
+  const [exchangeId, symbolList, sinceArg, untilArg] = process.argv.slice(2);
+
+  if (!exchangeId || !symbolList) {
+    console.error('Usage: node scripts/backfill-funding-history.js <exchange> <SYMBOL,SYMBOL,...> [since] [until]');
+    process.exit(1);
+  }
+
+  let since = parseTime(sinceArg);
+  let until = parseTime(untilArg);
+
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    console.error('since and until must be epoch milliseconds or ISO dates');
+    process.exit(1);
+  }
+
+  since = since || Date.now() - 30 * 24 * 60 * 60 * 1000;
+  until = until || Date.now();
+
+  try {
+    const imported = await backfillFundingHistory({
+      exchangeId: exchangeId.toLowerCase(),
+      symbols: symbolList.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean),
+      since,
+      until
+    });
+    console.log('Backfill complete:', imported);
+  } catch (error) {
+    console.error('Backfill failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,50 @@
+/**
+ * Backtest a funding carry strategy from the command line
+ *
+ * Usage:
+ *   node scripts/backtest.js [name=value ...]
+ *
+ * Takes the same parameters as GET /api/backtest, e.g.
+ *   node scripts/backtest.js long=mexc short=binance symbols=BTC,ETH,SOL topN=2 rebalanceHours=8 days=30
+ * Prints a summary, the per-symbol PnL and, with json=1, the full result.
+ */
+const { parseBacktestQuery, runBacktest } = require('../lib/backtest');
+
+const query = {};
+process.argv.slice(2).forEach(arg => {
+  const [name, ...rest] = arg.split('=');
+  query[name] = rest.join('=');
+});
+
+const errors = [];
+const options = parseBacktestQuery(query, errors);
+
+if (errors.length > 0) {
+  console.error('Usage: node scripts/backtest.js [name=value ...]');
+  errors.forEach(message => console.error(`  ${message}`));
+  process.exit(1);
+}
+
+(async () => {
+  try {
+    const result = await runBacktest(options);
+
+    if (['1', 'true'].includes(String(query.json))) {
+      console.log(JSON.stringify(result, null, 2));
+      process.exit(0);
+    }
+
+    const { parameters, summary } = result;
+    console.log(`\nLong ${parameters.long} / short ${parameters.short}, top ${parameters.topN} of ${parameters.symbols.length} symbols, ` +
+      `rebalanced every ${parameters.rebalanceHours}h, ${parameters.from} to ${parameters.to}`);
+    if (result.missing.length > 0) {
+      console.log(`No settlements on one venue for: ${result.missing.join(', ')}`);
+    }
+    console.table([summary]);
+    console.table(result.symbols);
+    process.exit(0);
+  } catch (error) {
+    console.error('Backtest failed:', error.message);
+    process.exit(1);
+  }
+})();
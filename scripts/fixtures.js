@@ -0,0 +1,54 @@
+/**
+ * Record exchange responses into fixtures, or run the pipeline offline from them
+ *
+ * Usage:
+ *   node scripts/fixtures.js record [exchanges] [basis]
+ *   node scripts/fixtures.js replay [exchanges] [basis]
+ *
+ * Both run the /api/funding-rates handler once and print its response. Record
+ * hits the live exchanges and saves every response under ./fixtures (or
+ * FUNDING_FIXTURES_DIR); replay serves them back without network access.
+ * History, interval and alert state go to a throwaway directory so runs don't
+ * affect each other or the real data directory.
+ *
+ * `npm test` replays the recording committed under ./fixtures, with the edge
+ * cases in fixtures/scenarios layered on top, and checks its exact values.
+ * Record into another FUNDING_FIXTURES_DIR unless the tests change with it.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const [mode, exchanges, basis] = process.argv.slice(2);
+
+if (!['record', 'replay'].includes(mode)) {
+  console.error('Usage: node scripts/fixtures.js <record|replay> [exchanges] [basis]');
+  process.exit(1);
+}
+
+// Must be set before the handler loads, the cache reads its settings on require
+process.env.FUNDING_FIXTURES = mode;
+process.env.FUNDING_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'funding-fixtures-'));
+process.env.FUNDING_STORE = 'memory';
+
+const handler = require('../api/funding-rates');
+
+(async () => {
+  let status = null;
+  const res = {
+    setHeader: () => {},
+    status: (code) => {
+      status = code;
+      return {
+        json: (data) => console.log(JSON.stringify(data, null, 2)),
+        end: () => {}
+      };
+    }
+  };
+
+  await handler({ method: 'GET', headers: {}, query: { exchanges, basis } }, res);
+
+  fs.rmSync(process.env.FUNDING_DATA_DIR, { recursive: true, force: true });
+  console.error(`${mode === 'record' ? 'Recorded' : 'Replayed'} with status ${status}`);
+  process.exit(status === 200 ? 0 : 1);
+})();
@@ -0,0 +1,385 @@
+/**
+ * Query and watch funding spreads from the command line
+ *
+ * Usage:
+ *   node scripts/funding.js snapshot [options]
+ *   node scripts/funding.js watch [options] [--every seconds]
+ *   node scripts/funding.js history SYMBOL [--exchange id] [--days n] [--source snapshot|settlement] [--margin usdt|usdc|coin]
+ *   node scripts/funding.js export --format csv|ndjson|json [options]
+ *
+ * Options take the same names as the /api/funding-rates parameters, as
+ * --name value, --name=value or kebab-case (--min-abs-diff 0.01):
+ *   --exchanges binance,mexc --basis raw|hourly|8h|apr --margin usdt,usdc,coin --symbols BTC,ETH
+ *   --minAbsDiff 0.01 --minScore 50 --category HIGH,MEDIUM --categoryBy fixed|adaptive --interval 1,4
+ *   --sort absDiff|score|zScore
+ *   --order desc --limit 20 --fresh --verbose
+ *
+ * Account mode adds your positions and funding PnL from read-only API keys (see lib/account):
+ *   --account --account-days 30
+ *
+ * Threshold checks for cron jobs and shell scripts (snapshot and export):
+ *   --fail-above 0.05  exit 2 when any listed row's absolute difference is >= 0.05
+ *
+ * Exit codes: 0 ok, 1 usage error or an exchange down, 2 threshold breached.
+ */
+const { getExchange, parseExchangeList } = require('../lib/exchanges');
+const { BASES, DEFAULT_BASIS } = require('../lib/normalize');
+const { readNumber, readEnum } = require('../lib/query');
+const { BASIS_FIELDS, parseTableQuery } = require('../lib/table-query');
+const { FORMATS, toCsv, toNdjson } = require('../lib/formats');
+const { getStore } = require('../lib/storage');
+const { MARGIN_TYPES, readMarginTypes } = require('../lib/margin');
+const { buildFundingTable } = require('../lib/funding-table');
+const { DEFAULT_ACCOUNT_DAYS, MAX_ACCOUNT_DAYS, describeAccounts } = require('../lib/account');
+const { waitForAlerts } = require('../lib/alerts');
+
+const COMMANDS = ['snapshot', 'watch', 'history', 'export'];
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_THRESHOLD = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Output goes through print, console.log is redirected below
+const print = console.log.bind(console);
+
+// Flags that don't take a value
+const SWITCHES = ['fresh', 'verbose', 'help', 'account'];
+
+/**
+ * Split the arguments into positionals and --name value options
+ * @param {Array<string>} args - Command-line arguments after the script name
+ * @returns {{positionals: Array<string>, options: Object}} Parsed arguments, option names in camelCase
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, ...rest] = arg.slice(2).split('=');
+    const name = flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (rest.length > 0) {
+      options[name] = rest.join('=');
+    } else if (SWITCHES.includes(name) || i + 1 >= args.length || args[i + 1].startsWith('--')) {
+      options[name] = 'true';
+    } else {
+      options[name] = args[++i];
+    }
+  }
+
+  return { positionals, options };
+}
+
+function usage(errors = []) {
+  console.error('Usage: node scripts/funding.js <snapshot|watch|history|export> [options]');
+  errors.forEach(message => console.error(`  ${message}`));
+  console.error('See the header of scripts/funding.js for the options.');
+  process.exit(EXIT_ERROR);
+}
+
+/**
+ * Read the options shared by snapshot, watch and export
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} errors - Validation messages are pushed here
+ * @returns {Object} Exchange ids, basis, table query and threshold
+ */
+function parseTableOptions(options, errors) {
+  const { ids: exchangeIds, unknown } = parseExchangeList(options.exchanges);
+  if (unknown.length > 0) errors.push(`Unknown exchanges: ${unknown.join(', ')}`);
+  if (exchangeIds.length === 0) errors.push('No exchanges selected');
+
+  return {
+    exchangeIds,
+    basis: readEnum(options, 'basis', BASES, DEFAULT_BASIS, errors),
+    marginTypes: readMarginTypes(options, errors),
+    tableQuery: parseTableQuery(options, exchangeIds, errors),
+    failAbove: readNumber(options, 'failAbove', { min: 0 }, errors),
+    fresh: options.fresh === 'true',
+    account: options.account === 'true',
+    accountDays: readNumber(options, 'accountDays', { defaultValue: DEFAULT_ACCOUNT_DAYS, min: 1, max: MAX_ACCOUNT_DAYS, integer: true }, errors)
+  };
+}
+
+/**
+ * Fetch a snapshot and build the filtered, sorted comparison rows with
+ * lib/funding-table, like /api/funding-rates
+ * @param {Object} settings - Parsed table options
+ * @returns {Promise<{rows: Array<Object>, down: Array<string>, account: Object|null, timestamp: string}>} Table rows, exchanges that are down and the account summary
+ */
+async function loadTable(settings) {
+  const { rows, down, health, accounts } = await buildFundingTable(settings);
+
+  let summary = null;
+  if (accounts) {
+    summary = describeAccounts(accounts, settings.accountDays);
+    Object.entries(summary.exchanges)
+      .filter(([, entry]) => entry.status !== 'ok')
+      .forEach(([id, entry]) => console.error(`❌ ${getExchange(id).name} account: ${entry.status}${entry.error ? ` (${entry.error})` : ''}`));
+  }
+
+  down.forEach(id => console.error(`❌ ${getExchange(id).name} is down: ${health[id].errorClass} (${health[id].error})`));
+
+  return { rows, down, account: summary, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Rows whose absolute difference reaches the threshold
+ * @param {Array<Object>} rows - Comparison rows
+ * @param {number|null} failAbove - Threshold on the comparison basis, null for none
+ * @returns {Array<Object>} Breaching rows
+ */
+function breachingRows(rows, failAbove) {
+  if (failAbove === null) return [];
+  return rows.filter(row => row.absoluteDifference !== null && parseFloat(row.absoluteDifference) >= failAbove);
+}
+
+function formatRate(value) {
+  return value === null || value === undefined ? '-' : `${Number(value).toFixed(4)}%`;
+}
+
+function formatUsd(value) {
+  return value === null || value === undefined ? '-' : `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+function formatNext(side) {
+  if (!side.nextFundingDatetime) return '-';
+  const minutes = Math.max(0, Math.round((Date.parse(side.nextFundingDatetime) - Date.now()) / 60000));
+  return `${side.fundingIntervalHours}H ${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Render rows as an aligned text table
+ * @param {Array<Array<string>>} cells - Header row followed by data rows
+ * @param {Array<boolean>} numeric - Right-align each column
+ * @param {Set<number>} [highlight] - Indexes of data rows to highlight
+ * @returns {string} Table text
+ */
+function renderTable(cells, numeric, highlight = new Set()) {
+  const widths = cells[0].map((cell, column) => Math.max(...cells.map(row => row[column].length)));
+  // Colors only make sense on a terminal, not in a pipe or cron mail
+  const color = process.stdout.isTTY;
+
+  return cells.map((row, index) => {
+    const line = row
+      .map((cell, column) => numeric[column] ? cell.padStart(widths[column]) : cell.padEnd(widths[column]))
+      .join('  ');
+    if (index === 0) return color ? `\x1b[1m${line}\x1b[0m` : `  ${line}`;
+    if (highlight.has(index - 1)) return color ? `\x1b[33m${line}\x1b[0m` : `* ${line}`;
+    return color ? line : `  ${line}`;
+  }).join('\n');
+}
+
+/**
+ * Text cells of the comparison table
+ * @param {Array<Object>} rows - Comparison rows
+ * @param {Array<string>} exchangeIds - Exchange ids in request order
+ * @param {string} basis - Comparison basis
+ * @param {boolean} [account] - Add the net exposure and funding PnL columns
+ * @returns {{cells: Array<Array<string>>, numeric: Array<boolean>}} Header and row cells
+ */
+function tableCells(rows, exchangeIds, basis, account = false) {
+  const names = exchangeIds.map(id => getExchange(id).name);
+  const accountHeader = account ? ['Exposure', 'Funding PnL'] : [];
+  const header = ['Symbol', 'Margin', ...names, 'Difference', 'Better', 'Category', 'Z', 'Adaptive', 'Score', ...accountHeader, ...names.map(name => `${name} Next`)];
+  const numeric = [false, false, ...names.map(() => true), true, false, false, true, false, true, ...accountHeader.map(() => true), ...names.map(() => true)];
+
+  const cells = rows.map(row => [
+    row.symbol,
+    exchangeIds.map(id => row[id].marginType || '-').join('/'),
+    ...exchangeIds.map(id => formatRate(row[id][BASIS_FIELDS[basis]])),
+    formatRate(row.fundingRateDifference),
+    row.favorableExchange || '-',
+    row.differenceCategory || '-',
+    row.spreadZScore === null ? '-' : row.spreadZScore.toFixed(2),
+    row.adaptiveCategory || '-',
+    row.tradabilityScore === null ? '-' : String(row.tradabilityScore),
+    // Next settlement columns stay last, watch compares the cells before them
+    ...(account ? [formatUsd(row.account && row.account.netExposureUsd), formatUsd(row.account && row.account.fundingPnlUsd)] : []),
+    ...exchangeIds.map(id => formatNext(row[id]))
+  ]);
+
+  return { cells: [header, ...cells], numeric };
+}
+
+function printSummary(rows, basis, timestamp, breaching) {
+  print(`\n${rows.length} rows on the ${basis} basis at ${new Date(timestamp).toLocaleString()}`);
+  if (breaching.length > 0) {
+    print(`❌ ${breaching.length} above threshold: ${breaching.map(row => row.symbol).join(', ')}`);
+  }
+}
+
+/**
+ * Exit code for a finished snapshot or export
+ * @param {Array<string>} down - Exchanges that are down
+ * @param {Array<Object>} breaching - Rows above the threshold
+ * @returns {number} Exit code
+ */
+function exitCode(down, breaching) {
+  if (breaching.length > 0) return EXIT_THRESHOLD;
+  return down.length > 0 ? EXIT_ERROR : EXIT_OK;
+}
+
+function printAccount(summary) {
+  Object.entries(summary.exchanges).forEach(([id, entry]) => {
+    if (entry.status !== 'ok') return;
+    print(`${getExchange(id).name} account: ${entry.openPositions} positions, ${formatUsd(entry.exposureUsd)} exposure, ` +
+      `${formatUsd(entry.fundingPnlUsd)} funding over ${summary.days} days`);
+  });
+}
+
+async function snapshotCommand(settings) {
+  const { rows, down, account, timestamp } = await loadTable(settings);
+  const breaching = breachingRows(rows, settings.failAbove);
+
+  const { cells, numeric } = tableCells(rows, settings.exchangeIds, settings.basis, settings.account);
+  const breachingIndexes = new Set(breaching.map(row => rows.indexOf(row)));
+  print(renderTable(cells, numeric, breachingIndexes));
+  printSummary(rows, settings.basis, timestamp, breaching);
+  if (account) printAccount(account);
+
+  return exitCode(down, breaching);
+}
+
+async function exportCommand(settings, format) {
+  const { rows, down, account, timestamp } = await loadTable(settings);
+  const breaching = breachingRows(rows, settings.failAbove);
+
+  if (format === 'csv') {
+    process.stdout.write(toCsv(rows, settings.exchangeIds));
+  } else if (format === 'ndjson') {
+    process.stdout.write(toNdjson(rows, settings.exchangeIds));
+  } else {
+    print(JSON.stringify({
+      timestamp: timestamp,
+      basis: settings.basis,
+      marginTypes: settings.marginTypes,
+      exchanges: settings.exchangeIds.map(id => ({ id, name: getExchange(id).name })),
+      ...(account ? { account } : {}),
+      tableData: rows
+    }, null, 2));
+  }
+
+  return exitCode(down, breaching);
+}
+
+/**
+ * Refresh the table every few seconds until interrupted, highlighting rows
+ * that are new or changed since the previous refresh
+ */
+async function watchCommand(settings, everySeconds) {
+  let previous = new Map();
+
+  for (;;) {
+    try {
+      // Later refreshes bypass the cache, it would otherwise serve the same rows
+      const { rows, timestamp } = await loadTable({ ...settings, fresh: settings.fresh || previous.size > 0 });
+      const { cells, numeric } = tableCells(rows, settings.exchangeIds, settings.basis, settings.account);
+
+      const changed = new Set();
+      const current = new Map();
+      rows.forEach((row, index) => {
+        const key = cells[index + 1].slice(0, -settings.exchangeIds.length).join('|');
+        current.set(row.symbol, key);
+        if (previous.size > 0 && previous.get(row.symbol) !== key) changed.add(index);
+      });
+      previous = current;
+
+      if (process.stdout.isTTY) process.stdout.write('\x1b[2J\x1b[H');
+      print(renderTable(cells, numeric, changed));
+      printSummary(rows, settings.basis, timestamp, breachingRows(rows, settings.failAbove));
+      print(`${changed.size} changed, refreshing every ${everySeconds}s (Ctrl+C to stop)`);
+    } catch (error) {
+      console.error('❌ Refresh failed:', error.message);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, everySeconds * 1000));
+  }
+}
+
+async function historyCommand(symbol, options) {
+  const errors = [];
+  const exchange = options.exchange ? String(options.exchange).toLowerCase() : null;
+  const days = readNumber(options, 'days', { defaultValue: 7, min: 0, max: 365 }, errors);
+  const source = readEnum(options, 'source', ['snapshot', 'settlement'], null, errors);
+  const marginType = readEnum(options, 'margin', MARGIN_TYPES, 'usdt', errors);
+  if (!symbol) errors.push('history needs a SYMBOL, e.g. history BTC');
+  if (exchange && !getExchange(exchange)) errors.push(`Unknown exchange: ${exchange}`);
+  if (errors.length > 0) usage(errors);
+
+  const now = Date.now();
+  const records = await getStore().query({
+    symbol: symbol.split('/')[0].toUpperCase(),
+    exchange,
+    from: now - days * DAY_MS,
+    to: now,
+    source,
+    marginType
+  });
+
+  if (options.format === 'json') {
+    print(JSON.stringify(records, null, 2));
+    return EXIT_OK;
+  }
+
+  const cells = [
+    ['Time', 'Exchange', 'Rate', 'Interval', 'Source'],
+    ...records.map(record => [
+      new Date(record.timestamp).toLocaleString(),
+      record.exchange,
+      formatRate(record.fundingRate),
+      record.fundingIntervalHours ? `${record.fundingIntervalHours}H` : '-',
+      record.source || 'snapshot'
+    ])
+  ];
+  print(renderTable(cells, [false, false, true, true, false]));
+  print(`\n${records.length} records over the last ${days} days`);
+  return EXIT_OK;
+}
+
+const { positionals, options } = parseArgs(process.argv.slice(2));
+const [command, ...commandArgs] = positionals;
+
+if (!COMMANDS.includes(command) || options.help) {
+  usage(command && !COMMANDS.includes(command) ? [`Unknown command: ${command}`] : []);
+}
+
+// The fetch path logs its progress; keep stdout for the table or export
+console.log = (...args) => {
+  if (options.verbose === 'true') console.error(...args);
+};
+
+async function run() {
+  if (command === 'history') {
+    return historyCommand(commandArgs[0], options);
+  }
+
+  const errors = [];
+  const settings = parseTableOptions(options, errors);
+  const format = command === 'export' ? readEnum(options, 'format', FORMATS, null, errors) : null;
+  const everySeconds = readNumber(options, 'every', { defaultValue: 60, min: 10 }, errors);
+  if (command === 'export' && !format) errors.push(`export needs --format ${FORMATS.join('|')}`);
+  if (errors.length > 0) usage(errors);
+
+  if (command === 'export') return exportCommand(settings, format);
+  if (command === 'watch') return watchCommand(settings, everySeconds);
+  return snapshotCommand(settings);
+}
+
+(async () => {
+  try {
+    const code = await run();
+    // Alerts of the snapshot go out in the background; let them finish
+    await waitForAlerts();
+    process.exit(code);
+  } catch (error) {
+    console.error('❌ Failed:', error.message);
+    process.exit(EXIT_ERROR);
+  }
+})();
@@ -0,0 +1,106 @@
+/**
+ * Long-running server
+ *
+ * Serves the dashboard and the /api routes like `vercel dev`, and adds
+ * /api/stream, a Server-Sent Events feed backed by exchange WebSocket streams.
+ *
+ * Usage:
+ *   PORT=3000 HOST=127.0.0.1 STREAM_EXCHANGES=binance,mexc node server.js
+ *
+ * It listens on localhost only unless HOST says otherwise.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseExchangeList } = require('./lib/exchanges');
+const { startFundingStream } = require('./lib/stream/service');
+const { createStreamHandler } = require('./lib/stream/sse');
+
+const PORT = parseInt(process.env.PORT) || 3000;
+const HOST = process.env.HOST || '127.0.0.1';
+
+/**
+ * Add the Vercel helpers the API handlers rely on to a Node request/response
+ * @param {Object} req - Node request
+ * @param {Object} res - Node response
+ * @param {URL} url - Parsed request URL
+ */
+function adaptVercel(req, res, url) {
+  req.query = Object.fromEntries(url.searchParams);
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = data => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+  };
+  res.send = body => {
+    res.end(body);
+  };
+}
+
+/**
+ * Load the Vercel handler for an /api route, if there is one
+ * @param {string} pathname - Request path
+ * @returns {Function|null} Handler
+ */
+function findApiHandler(pathname) {
+  const match = pathname.match(/^\/api\/((?:v1\/)?[a-z0-9-]+)$/);
+  if (!match) return null;
+  const file = path.join(__dirname, 'api', `${match[1]}.js`);
+  return fs.existsSync(file) ? require(file) : null;
+}
+
+const { ids: streamExchanges, unknown } = parseExchangeList(process.env.STREAM_EXCHANGES);
+if (unknown.length > 0) {
+  console.error(`Unknown exchanges in STREAM_EXCHANGES: ${unknown.join(', ')}`);
+  process.exit(1);
+}
+
+const service = startFundingStream(streamExchanges);
+const streamHandler = createStreamHandler(service);
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  adaptVercel(req, res, url);
+
+  try {
+    if (url.pathname === '/' || url.pathname === '/index.html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      fs.createReadStream(path.join(__dirname, 'public', 'index.html')).pipe(res);
+      return;
+    }
+
+    if (url.pathname === '/api/stream') {
+      streamHandler(req, res);
+      return;
+    }
+
+    const handler = findApiHandler(url.pathname);
+    if (handler) {
+      await handler(req, res);
+      return;
+    }
+
+    res.status(404).json({ error: 'Not found' });
+
+  } catch (error) {
+    console.error('Error in server:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+    }
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Funding rate server listening on http://${HOST}:${PORT} (streaming ${streamExchanges.join(', ')})`);
+});
+
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    server.close();
+    await service.stop();
+    process.exit(0);
+  });
+});
@@ -0,0 +1,114 @@
+const { callHandler } = require('./helpers');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { getExchange } = require('../lib/exchanges');
+const { getDataDir } = require('../lib/storage');
+const { checkAccountAccess, fetchAccounts, describeAccounts } = require('../lib/account');
+const handler = require('../api/v1/funding-rates');
+
+/**
+ * Account calls go to a mock transport: the signed Binance endpoints are
+ * answered by the test, the markets still come from the recording.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const KEY = 'test-api-key-7f3a';
+
+const secretsFile = path.join(getDataDir(), 'secrets.json');
+process.env.ACCOUNT_SECRETS_FILE = secretsFile;
+
+afterEach(() => {
+  fs.rmSync(secretsFile, { force: true });
+  delete process.env.ACCOUNT_TOKEN;
+});
+
+// USDⓈ-M funding income, ascending like the venue pages it
+let income = [];
+const served = [];
+
+function answerSigned(url) {
+  served.push(url.pathname);
+  if (url.pathname === '/fapi/v1/income') {
+    const startTime = Number(url.searchParams.get('startTime'));
+    const limit = Number(url.searchParams.get('limit'));
+    return income.filter(entry => entry.time >= startTime).slice(0, limit);
+  }
+  // COIN-M income, positions and anything else signed: nothing held
+  return [];
+}
+
+const binance = getExchange('binance');
+const createClient = binance.createClient;
+binance.createClient = () => {
+  const client = createClient();
+  let fetchMarkets = client.fetch.bind(client);
+  // The fixture store wraps whatever fetch it finds; signed requests are answered in front of it
+  Object.defineProperty(client, 'fetch', {
+    get: () => async (url, method, headers, body) => {
+      const parsed = new URL(url);
+      return parsed.searchParams.has('signature') ? answerSigned(parsed) : fetchMarkets(url, method, headers, body);
+    },
+    set: value => {
+      fetchMarkets = value;
+    }
+  });
+  return client;
+};
+
+test('a malformed secrets file is a config-error without any of its text', async () => {
+  fs.writeFileSync(secretsFile, `{ "binance": { "apiKey": "${KEY}", "secret": "oops" `);
+  process.env.ACCOUNT_TOKEN = 'token-1';
+
+  const { status, headers, body } = await callHandler(handler, { exchanges: 'binance,mexc', account: '1' }, { authorization: 'Bearer token-1' });
+
+  assert.equal(status, 200);
+  assert.equal(headers['access-control-allow-origin'], undefined);
+  assert.equal(body.account.exchanges.binance.status, 'config-error');
+  assert.equal(body.account.exchanges.binance.error, 'secrets.json is not valid JSON');
+  assert.equal(body.account.exchanges.mexc.status, 'config-error');
+  assert.ok(!JSON.stringify(body).includes(KEY));
+});
+
+test('account mode is refused when the server has no token', async () => {
+  assert.equal(checkAccountAccess({ headers: {} }).status, 403);
+
+  const { status, headers, body } = await callHandler(handler, { exchanges: 'binance', account: '1' });
+  assert.equal(status, 403);
+  assert.equal(body.success, false);
+  assert.equal(headers['access-control-allow-origin'], undefined);
+});
+
+test('the bearer token must match exactly', () => {
+  process.env.ACCOUNT_TOKEN = 'token-1';
+  const request = authorization => ({ headers: authorization === undefined ? {} : { authorization } });
+
+  assert.equal(checkAccountAccess(request('Bearer token-1')), null);
+  assert.equal(checkAccountAccess(request('Bearer token-2')).status, 401);
+  assert.equal(checkAccountAccess(request('Bearer token-1x')).status, 401);
+  assert.equal(checkAccountAccess(request()).status, 401);
+});
+
+test('funding payments are paged until the whole window is covered', async () => {
+  fs.writeFileSync(secretsFile, JSON.stringify({ binance: { apiKey: KEY, secret: 'test-secret' } }));
+  const since = Math.floor((Date.now() - 30 * DAY) / DAY) * DAY;
+  // 2500 payments, in pairs settled in the same millisecond so pages split them
+  income = Array.from({ length: 2500 }, (_, index) => ({
+    symbol: 'BTCUSDT',
+    incomeType: 'FUNDING_FEE',
+    income: '0.5',
+    asset: 'USDT',
+    time: since + Math.floor(index / 2) * 60 * 1000,
+    tranId: String(index + 1)
+  }));
+
+  const accounts = await fetchAccounts(['binance'], { days: 30 });
+
+  assert.equal(accounts.binance.status, 'ok');
+  assert.equal(served.filter(pathname => pathname === '/fapi/v1/income').length, 3);
+  const summary = describeAccounts(accounts, 30).exchanges.binance;
+  assert.equal(summary.fundingPayments, 2500);
+  assert.equal(summary.fundingPnlUsd, 1250);
+});
@@ -0,0 +1,211 @@
+const { callHandler } = require('./helpers');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+
+// Keep a sink that never answers short
+process.env.ALERT_SINK_TIMEOUT_SECONDS = '0.2';
+
+const { sendToSink } = require('../lib/alerts/sinks');
+const { evaluateAlerts, waitForAlerts, loadAlertState } = require('../lib/alerts');
+const { validateSchema } = require('../lib/schema');
+const alertsHandler = require('../api/v1/alerts');
+const fundingRatesHandler = require('../api/v1/funding-rates');
+
+/**
+ * Sinks are exercised against local servers: an HTTP server that answers with
+ * the status set for its path, or never for /hang, and a minimal SMTP server
+ * for email.
+ */
+
+const requests = [];
+const statuses = {};
+const mails = [];
+let httpUrl;
+let smtpPort;
+let rejectRecipients = false;
+let httpServer;
+let smtpServer;
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+before(async () => {
+  httpServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (req.url === '/hang') return;
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(statuses[req.url] || 200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  httpUrl = `http://127.0.0.1:${await listen(httpServer)}`;
+
+  smtpServer = net.createServer(socket => {
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost ESMTP');
+    socket.on('data', chunk => {
+      chunk.toString().split('\r\n').filter(Boolean).forEach(line => {
+        if (data !== null) {
+          if (line === '.') {
+            mails.push(data.join('\n'));
+            data = null;
+            reply('250 queued');
+          } else {
+            data.push(line);
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          reply('250 localhost');
+        } else if (/^RCPT/i.test(line)) {
+          reply(rejectRecipients ? '550 no such user' : '250 ok');
+        } else if (/^DATA/i.test(line)) {
+          data = [];
+          reply('354 go ahead');
+        } else if (/^QUIT/i.test(line)) {
+          reply('221 bye');
+          socket.end();
+        } else {
+          reply('250 ok');
+        }
+      });
+    });
+  });
+  smtpPort = await listen(smtpServer);
+});
+
+after(() => {
+  httpServer.closeAllConnections();
+  httpServer.close();
+  smtpServer.close();
+});
+
+beforeEach(() => {
+  requests.length = 0;
+  mails.length = 0;
+  Object.keys(statuses).forEach(key => delete statuses[key]);
+  rejectRecipients = false;
+});
+
+const alert = { ruleId: 'btc', key: 'btc:binance:BTC', symbol: 'BTC', text: '[btc] BTC funding 0.01%' };
+
+test('webhook, slack, discord and telegram post the alert in their own shape', async () => {
+  const sinks = {
+    hook: { type: 'webhook', url: `${httpUrl}/hook`, headers: { 'X-Token': 'secret' } },
+    slack: { type: 'slack', url: `${httpUrl}/slack` },
+    discord: { type: 'discord', url: `${httpUrl}/discord` },
+    telegram: { type: 'telegram', apiUrl: httpUrl, token: 'env:TEST_TELEGRAM_TOKEN', chatId: 42 }
+  };
+  process.env.TEST_TELEGRAM_TOKEN = '123:abc';
+
+  for (const [name, sink] of Object.entries(sinks)) {
+    assert.deepEqual(await sendToSink(name, sink, alert), { sink: name, ok: true });
+  }
+
+  const byPath = Object.fromEntries(requests.map(request => [request.path, request]));
+  assert.deepEqual(byPath['/hook'].body, { alert });
+  assert.equal(byPath['/hook'].headers['x-token'], 'secret');
+  assert.deepEqual(byPath['/slack'].body, { text: alert.text });
+  assert.deepEqual(byPath['/discord'].body, { content: alert.text });
+  assert.deepEqual(byPath['/bot123:abc/sendMessage'].body, { chat_id: 42, text: alert.text });
+});
+
+test('a non-2xx answer is a failed delivery', async () => {
+  statuses['/slack'] = 500;
+  statuses['/bot123:abc/sendMessage'] = 401;
+
+  assert.deepEqual(await sendToSink('slack', { type: 'slack', url: `${httpUrl}/slack` }, alert),
+    { sink: 'slack', ok: false, error: 'HTTP 500' });
+  assert.deepEqual(await sendToSink('telegram', { type: 'telegram', apiUrl: httpUrl, token: '123:abc', chatId: 42 }, alert),
+    { sink: 'telegram', ok: false, error: 'HTTP 401' });
+  assert.equal((await sendToSink('hook', { type: 'webhook' }, alert)).error, 'url is not configured');
+});
+
+test('a sink that never answers fails the delivery after the timeout', async () => {
+  const started = Date.now();
+  assert.deepEqual(await sendToSink('slack', { type: 'slack', url: `${httpUrl}/hang` }, alert),
+    { sink: 'slack', ok: false, error: '0.2s timeout' });
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('email is sent over SMTP and a refused recipient fails the delivery', async () => {
+  const sink = { type: 'email', smtpUrl: `smtp://127.0.0.1:${smtpPort}`, from: 'alerts@example.com', to: 'desk@example.com' };
+
+  assert.deepEqual(await sendToSink('mail', sink, alert), { sink: 'mail', ok: true });
+  assert.equal(mails.length, 1);
+  assert.match(mails[0], /Subject: Funding alert: btc BTC/);
+
+  rejectRecipients = true;
+  const failed = await sendToSink('mail', sink, alert);
+  assert.equal(failed.ok, false);
+  assert.match(failed.error, /550/);
+});
+
+const rates = { binance: [{ symbol: 'BTC', fullSymbol: 'BTC/USDT:USDT', fundingRate: 0.01, fundingIntervalHours: 8 }] };
+
+function configure(ruleId, sinkPath) {
+  process.env.ALERT_CONFIG = JSON.stringify({
+    rules: [{ id: ruleId, type: 'rate', exchange: 'binance', operator: '>', threshold: 0, cooldownMinutes: 60, sinks: [ruleId] }],
+    sinks: { [ruleId]: { type: 'webhook', url: `${httpUrl}${sinkPath}` } }
+  });
+}
+
+test('an alert is delivered again only after its cooldown', async () => {
+  configure('cooldown', '/cooldown');
+  const start = Date.parse('2026-01-01T00:00:00Z');
+
+  assert.equal((await evaluateAlerts(rates, ['binance'], { now: start })).length, 1);
+  assert.equal((await evaluateAlerts(rates, ['binance'], { now: start + 30 * 60 * 1000 })).length, 0);
+  assert.equal((await evaluateAlerts(rates, ['binance'], { now: start + 61 * 60 * 1000 })).length, 1);
+  assert.equal(requests.length, 2);
+});
+
+test('a failed delivery is recorded on its sink and retried on the next snapshot', async () => {
+  configure('failing', '/failing');
+  statuses['/failing'] = 503;
+  const start = Date.parse('2026-01-02T00:00:00Z');
+
+  const [first] = await evaluateAlerts(rates, ['binance'], { now: start });
+  assert.deepEqual(first.deliveries, [{ sink: 'failing', ok: false, error: 'HTTP 503' }]);
+  await evaluateAlerts(rates, ['binance'], { now: start + 60 * 1000 });
+  assert.equal(requests.length, 2);
+
+  const state = await loadAlertState();
+  assert.equal(state.sinks.failing.failures, 2);
+  assert.equal(state.lastFired['failing:binance:BTC'], undefined);
+
+  const { status, body } = await callHandler(alertsHandler);
+  assert.equal(status, 200);
+  assert.deepEqual(validateSchema('AlertsResponse', body), []);
+  const [sink] = body.sinks;
+  assert.equal(sink.delivery.lastError, 'HTTP 503');
+  assert.equal(sink.delivery.lastDelivery, null);
+
+  // Once the sink is back the alert goes out and its cooldown starts
+  delete statuses['/failing'];
+  assert.equal((await evaluateAlerts(rates, ['binance'], { now: start + 2 * 60 * 1000 })).length, 1);
+  assert.equal((await evaluateAlerts(rates, ['binance'], { now: start + 3 * 60 * 1000 })).length, 0);
+  assert.equal((await loadAlertState()).sinks.failing.failures, 0);
+});
+
+test('a snapshot is served without waiting for its alerts to be delivered', async () => {
+  process.env.ALERT_CONFIG = JSON.stringify({
+    rules: [{ id: 'slow', type: 'rate', exchange: 'binance', operator: '>', threshold: -100, sinks: ['slow'] }],
+    sinks: { slow: { type: 'webhook', url: `${httpUrl}/hang` } }
+  });
+
+  const { status } = await callHandler(fundingRatesHandler, { exchanges: 'binance,mexc', fresh: '1' });
+  assert.equal(status, 200);
+  assert.equal((await loadAlertState()).sinks.slow, undefined);
+
+  await waitForAlerts();
+  const state = await loadAlertState();
+  assert.equal(state.sinks.slow.lastError, '0.2s timeout');
+  process.env.ALERT_CONFIG = JSON.stringify({ rules: [], sinks: {} });
+});
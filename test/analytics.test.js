@@ -0,0 +1,56 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getStore } = require('../lib/storage');
+const { loadAnalyticsHistory, withSpreadAnalytics } = require('../lib/analytics');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.now();
+
+const settlement = (exchange, timestamp, fundingRate, extra = {}) => ({
+  timestamp,
+  source: 'settlement',
+  exchange,
+  symbol: 'BTC',
+  marginType: 'usdt',
+  fullSymbol: 'BTC/USDT:USDT',
+  fundingRate,
+  fundingTimestamp: timestamp,
+  ...extra
+});
+
+test('spread analytics are built from the captured and backfilled settlements in the store', async () => {
+  const times = Array.from({ length: 12 }, (_, index) => NOW - (12 - index) * 8 * HOUR);
+  await getStore().append([
+    // Backfilled, then captured with its prediction
+    ...times.map((time, index) => settlement('binance', time, 0.01 + index * 0.001)),
+    settlement('binance', times[11], 0.021, { predictedFundingRate: 0.02 }),
+    ...times.map((time, index) => settlement('mexc', time, 0.02 + (index % 3) * 0.005)),
+    // Outside the 7 day window, not a settlement, another contract
+    settlement('binance', NOW - 8 * 24 * HOUR, 0.5),
+    { ...settlement('binance', times[0], 0.5), source: 'snapshot' },
+    settlement('binance', times[0], -0.01, { marginType: 'coin', fullSymbol: 'BTC/USD:BTC' })
+  ]);
+
+  const history = await loadAnalyticsHistory(['binance', 'mexc']);
+
+  const binance = history.binance.BTC;
+  assert.equal(binance.length, 12);
+  assert.deepEqual(binance[binance.length - 1], [times[11], 0.021, 0.02]);
+  assert.ok(binance.every(([, rate]) => rate !== 0.5));
+  assert.deepEqual(history.binance['BTC:coin'], [[times[0], -0.01, null]]);
+
+  const side = (fundingRate8h) => ({ marginType: 'usdt', fundingIntervalHours: 8, fundingRate8h });
+  const [row] = withSpreadAnalytics([{
+    symbol: 'BTC',
+    comparedExchanges: ['binance', 'mexc'],
+    differenceCategory: 'LOW',
+    binance: side(0.01),
+    mexc: side(0.05)
+  }], history, ['binance', 'mexc'], NOW);
+
+  assert.ok(row.spreadSamples >= 10);
+  assert.notEqual(row.spreadZScore, null);
+  assert.notEqual(row.binance.fundingRate8hMean, null);
+});
@@ -0,0 +1,106 @@
+const { callHandler } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Give the exchange source next to no time
+process.env.BACKTEST_EXCHANGE_TIMEOUT_SECONDS = '0.001';
+
+const { getStore } = require('../lib/storage');
+const { withIntervals, maxDrawdown, sharpeRatio, simulate } = require('../lib/backtest');
+const { validateSchema } = require('../lib/schema');
+const handler = require('../api/v1/backtest');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+const series = (rate, times) => times.map(timestamp => ({ timestamp, fundingRate: rate, fundingIntervalHours: 8 }));
+
+test('a gap longer than the interval is missing settlements, not a longer interval', () => {
+  const settlements = [0, 8, 24, 32].map(hours => ({ timestamp: T0 + hours * HOUR, fundingRate: 0.01 }));
+
+  assert.deepEqual(withIntervals(settlements).map(entry => entry.fundingIntervalHours), [8, 8, 8, 8]);
+  assert.deepEqual(withIntervals(settlements, 4).map(entry => entry.fundingIntervalHours), [4, 4, 4, 4]);
+  assert.equal(withIntervals(settlements.slice(0, 1))[0].fundingIntervalHours, 8);
+});
+
+test('max drawdown is the largest fall from a peak', () => {
+  assert.deepEqual(maxDrawdown([{ equity: 100 }, { equity: 120 }, { equity: 90 }, { equity: 130 }]), { percent: 25, usd: 30 });
+  assert.deepEqual(maxDrawdown([{ equity: 100 }, { equity: 110 }]), { percent: 0, usd: 0 });
+});
+
+test('the Sharpe ratio is annualized and needs some variance', () => {
+  assert.equal(sharpeRatio([0.01], 8), null);
+  assert.equal(sharpeRatio([0.01, 0.01], 8), null);
+  assert.ok(Math.abs(sharpeRatio([0.01, 0.03], 8) - Math.sqrt(2) * Math.sqrt(24 * 365 / 8)) < 1e-9);
+});
+
+test('the carry collects the spread between settlements and pays two fills per leg change', () => {
+  const times = [8, 16, 24].map(hours => T0 + hours * HOUR);
+  const result = simulate({
+    mexc: { BTC: series(0.01, times) },
+    binance: { BTC: series(0.03, times) }
+  }, {
+    long: 'mexc',
+    short: 'binance',
+    topN: 1,
+    rebalanceHours: 8,
+    notional: 1000,
+    takerFee: 0.05,
+    slippage: 0.02,
+    minSpread: 0,
+    from: T0,
+    to: T0 + 24 * HOUR
+  });
+
+  // Entered at the 8h rebalance, so the settlements at 16h and 24h are collected
+  assert.equal(result.summary.fundingPnl, 0.4);
+  assert.equal(result.summary.feeCost, 2);
+  assert.equal(result.summary.rebalanceCost, 0.8);
+  assert.equal(result.summary.totalPnl, -2.4);
+  assert.equal(result.summary.fills, 4);
+  assert.equal(result.summary.rebalances, 3);
+  assert.deepEqual(result.symbols.map(item => [item.symbol, item.settlements, item.hoursHeld]), [['BTC', 4, 16]]);
+});
+
+test('the handler replays stored settlements', async () => {
+  const record = (exchange, symbol, timestamp, fundingRate) => ({
+    timestamp,
+    source: 'settlement',
+    exchange,
+    symbol,
+    marginType: 'usdt',
+    fullSymbol: `${symbol}/USDT:USDT`,
+    fundingRate,
+    fundingTimestamp: timestamp
+  });
+  const times = Array.from({ length: 9 }, (_, index) => T0 + index * 8 * HOUR);
+  await getStore().append([
+    ...times.map(time => record('binance', 'BTC', time, 0.03)),
+    // A missed capture on MEXC leaves a 16h gap
+    ...times.filter((_, index) => index !== 4).map(time => record('mexc', 'BTC', time, 0.01))
+  ]);
+
+  const { status, body } = await callHandler(handler, {
+    symbols: 'BTC', topN: '1', from: new Date(T0).toISOString(), to: new Date(T0 + 64 * HOUR).toISOString()
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(validateSchema('BacktestResponse', body), []);
+  assert.equal(body.settlementsLoaded, 17);
+  assert.deepEqual(body.missing, []);
+  assert.ok(body.summary.fundingPnl > 0);
+  // The missed capture doesn't halve the MEXC rate at the next rebalance
+  assert.ok(body.rebalances.slice(1).every(rebalance => rebalance.held.length === 1 && rebalance.held[0].hourlySpread === 0.0025));
+});
+
+test('the exchange source takes fewer symbols and days and gives up at its deadline', async () => {
+  const symbols = Array.from({ length: 21 }, (_, index) => `S${index}`).join(',');
+  const tooMany = await callHandler(handler, { source: 'exchange', symbols });
+  assert.equal(tooMany.status, 400);
+  assert.equal((await callHandler(handler, { source: 'exchange', symbols: 'BTC', days: '31' })).status, 400);
+  assert.equal((await callHandler(handler, { symbols: 'BTC', days: '31' })).status, 200);
+
+  const { status, body } = await callHandler(handler, { source: 'exchange', symbols: 'BTC' });
+  assert.equal(status, 504);
+  assert.deepEqual(validateSchema('Error', body), []);
+});
@@ -0,0 +1,54 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCache } = require('../lib/cache');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('concurrent loads of a key share one call', async () => {
+  const cache = createCache({ ttlMs: 1000 });
+  let calls = 0;
+  const loader = async () => {
+    const call = ++calls;
+    await sleep(10);
+    return call;
+  };
+
+  const results = await Promise.all([cache.get('a', loader), cache.get('a', loader), cache.get('b', loader)]);
+
+  assert.equal(calls, 2);
+  assert.deepEqual(results.map(result => [result.value, result.status]), [[1, 'miss'], [1, 'miss'], [2, 'miss']]);
+});
+
+test('a value is a hit within the TTL, stale while it refreshes, a miss after', async () => {
+  const cache = createCache({ ttlMs: 50, staleMs: 500 });
+  let version = 0;
+  const loader = async () => ++version;
+
+  assert.equal((await cache.get('key', loader)).status, 'miss');
+  assert.deepEqual(await cache.get('key', loader).then(({ value, status }) => [value, status]), [1, 'hit']);
+
+  await sleep(70);
+  // Past the TTL the old value is served and the refresh runs behind it
+  assert.deepEqual(await cache.get('key', loader).then(({ value, status }) => [value, status]), [1, 'stale']);
+  await sleep(5);
+  assert.deepEqual(await cache.get('key', loader).then(({ value, status }) => [value, status]), [2, 'hit']);
+
+  await sleep(600);
+  assert.deepEqual(await cache.get('key', loader).then(({ value, status }) => [value, status]), [3, 'miss']);
+  assert.deepEqual(await cache.get('key', loader, { fresh: true }).then(({ value, status }) => [value, status]), [4, 'fresh']);
+});
+
+test('a failed load serves the last value however old, or throws without one', async () => {
+  const cache = createCache({ ttlMs: 0 });
+  const failing = async () => {
+    throw new Error('venue down');
+  };
+
+  await assert.rejects(cache.get('key', failing), /venue down/);
+
+  await cache.get('key', async () => 'cached');
+  const { value, status } = await cache.get('key', failing);
+  assert.deepEqual([value, status], ['cached', 'stale']);
+});
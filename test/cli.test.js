@@ -0,0 +1,34 @@
+const { callHandler } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const handler = require('../api/funding-rates');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'funding.js');
+
+// The script runs with the replay settings of the test helpers
+function runCli(args) {
+  const result = spawnSync(process.execPath, [SCRIPT, ...args], { env: process.env, encoding: 'utf8', timeout: 60000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('the CLI exports the same table as the API', async () => {
+  const query = { exchanges: 'binance,mexc', sort: 'score', minScore: '50' };
+  const { body } = await callHandler(handler, query);
+  const { status, stdout } = runCli(['export', '--format', 'json', '--exchanges', 'binance,mexc', '--sort', 'score', '--min-score', '50']);
+
+  assert.equal(status, 0);
+  assert.ok(body.tableData.length > 0);
+  const exported = JSON.parse(stdout);
+  assert.deepEqual(exported.tableData.map(row => row.symbol), body.tableData.map(row => row.symbol));
+  assert.deepEqual(exported.tableData.map(row => row.score), body.tableData.map(row => row.score));
+});
+
+test('the CLI exits 1 when an exchange is down', () => {
+  const { status, stderr } = runCli(['snapshot', '--exchanges', 'binance,bybit']);
+
+  assert.equal(status, 1);
+  assert.match(stderr, /Bybit is down/);
+});
@@ -0,0 +1,101 @@
+const { useScenario, callHandler } = require('./helpers');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildComparisonTable } = require('../lib/comparison');
+const { rateOnBasis } = require('../lib/normalize');
+const { selectByMargin } = require('../lib/margin');
+const { evaluateRule } = require('../lib/alerts/rules');
+const handler = require('../api/funding-rates');
+
+afterEach(() => useScenario());
+
+const row = (exchange, symbol, fundingRate, fundingIntervalHours = 8) => ({
+  exchange: exchange.toUpperCase(),
+  symbol,
+  fullSymbol: `${symbol}/USDT:USDT`,
+  fundingRate,
+  fundingIntervalHours,
+  fundingIntervalSource: 'fundingInfo',
+  nextFundingTime: null,
+  markPrice: null,
+  marginType: 'usdt'
+});
+
+test('a rate that is missing, or has no interval to scale by, is unknown on every basis', () => {
+  assert.equal(rateOnBasis(row('binance', 'BTC', null), 'raw'), null);
+  assert.equal(rateOnBasis(row('binance', 'BTC', null), '8h'), null);
+  assert.equal(rateOnBasis(row('binance', 'BTC', 0.01, null), 'hourly'), null);
+  assert.equal(rateOnBasis(row('binance', 'BTC', 0.01, null), 'raw'), 0.01);
+  assert.equal(rateOnBasis(row('binance', 'BTC', 0, 4), '8h'), 0);
+  assert.equal(rateOnBasis(row('binance', 'BTC', 0.01, 4), '8h'), 0.02);
+});
+
+test('a venue without a rate is not compared as if it were 0%', () => {
+  const { comparisonTable } = buildComparisonTable({
+    binance: [row('binance', 'BTC', null), row('binance', 'ETH', 0.01)],
+    mexc: [row('mexc', 'BTC', 0.2), row('mexc', 'ETH', 0.02)]
+  }, ['binance', 'mexc']);
+
+  assert.deepEqual(comparisonTable.map(item => item.symbol), ['ETH']);
+});
+
+test('with three venues the two with a rate are compared', () => {
+  const { comparisonTable } = buildComparisonTable({
+    binance: [row('binance', 'BTC', 0.01)],
+    mexc: [row('mexc', 'BTC', null)],
+    bybit: [row('bybit', 'BTC', 0.03)]
+  }, ['binance', 'mexc', 'bybit']);
+
+  assert.equal(comparisonTable.length, 1);
+  const [btc] = comparisonTable;
+  assert.deepEqual(btc.comparedExchanges, ['binance', 'bybit']);
+  assert.equal(btc.fundingRateDifference, 0.02);
+  assert.equal(btc.differenceCategory, 'LOW');
+  assert.equal(btc.favorableExchange, 'BINANCE');
+  assert.equal(btc.mexc.fundingRate, null);
+});
+
+test('spread and rate alerts skip venues without a rate', () => {
+  const ratesByExchange = {
+    binance: [row('binance', 'BTC', null)],
+    mexc: [row('mexc', 'BTC', 0.2)]
+  };
+  const spread = { id: 'spread', type: 'spread', operator: '>', threshold: 0.1 };
+  const rate = { id: 'rate', type: 'rate', operator: '<', threshold: 0.1 };
+
+  assert.deepEqual(evaluateRule(spread, ratesByExchange, ['binance', 'mexc'], []), []);
+  assert.deepEqual(evaluateRule(rate, ratesByExchange, ['binance', 'mexc'], []), []);
+});
+
+test('a rate an exchange did not report leaves its symbol out of the recorded comparison', async () => {
+  // MEXC answers fundingRate: null for ETH
+  useScenario('mexc-null-rate');
+  const { status, body } = await callHandler(handler, { exchanges: 'binance,mexc', fresh: '1' });
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.commonCoins, 2);
+  assert.deepEqual(body.tableData.map(item => item.symbol).sort(), ['BTC', 'SOL']);
+  assert.equal(body.summary.differenceStats.highDifferences, 0);
+});
+
+test('a venue listing PEPE and 1000PEPE is compared on the contract without a multiplier', () => {
+  const binance = [
+    { ...row('binance', 'PEPE', 0.05), venueSymbol: '1000PEPE', priceMultiplier: 1000 },
+    { ...row('binance', 'PEPE', 0.01), venueSymbol: 'PEPE', priceMultiplier: 1 },
+    { ...row('binance', 'PEPE', 0.02), marginType: 'coin' }
+  ];
+  const selected = selectByMargin(binance, ['usdt', 'coin']);
+  assert.deepEqual(selected.map(item => item.venueSymbol), ['1000PEPE', 'PEPE']);
+
+  const { comparisonTable, symbolReport } = buildComparisonTable({
+    binance: selected,
+    mexc: [row('mexc', 'PEPE', 0.03)]
+  }, ['binance', 'mexc']);
+
+  assert.equal(comparisonTable.length, 1);
+  assert.equal(comparisonTable[0].binance.fundingRate, 0.01);
+  assert.deepEqual(symbolReport.ambiguous, [
+    { symbol: 'PEPE', reason: 'duplicate', exchanges: ['binance'], venueSymbols: ['1000PEPE', 'PEPE'] }
+  ]);
+});
@@ -0,0 +1,77 @@
+const { useScenario, callHandler } = require('./helpers');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateSchema } = require('../lib/schema');
+
+/**
+ * Contract of the /api/v1 routes: responses built from the recorded exchange
+ * data must match openapi.json. The v1 handlers validate every payload and
+ * answer 500 when it doesn't, so the status is checked too.
+ */
+
+afterEach(() => useScenario());
+
+const v1 = name => require(`../api/v1/${name}`);
+
+async function assertContract(name, query, schema) {
+  const { status, body } = await callHandler(v1(name), query);
+  assert.notEqual(status, 500, body && body.message);
+  assert.deepEqual(validateSchema(status < 400 ? schema : 'Error', body), []);
+  return { status, body };
+}
+
+test('funding rates match FundingRatesResponse', async () => {
+  const { status } = await assertContract('funding-rates', { fresh: '1' }, 'FundingRatesResponse');
+  assert.equal(status, 200);
+});
+
+test('funding rates of every margin type on every basis match FundingRatesResponse', async () => {
+  for (const basis of ['raw', 'hourly', '8h', 'apr']) {
+    const { status } = await assertContract('funding-rates', { margin: 'usdt,usdc,coin', basis, include: 'raw' }, 'FundingRatesResponse');
+    assert.equal(status, 200);
+  }
+});
+
+test('edge case scenarios match FundingRatesResponse', async () => {
+  for (const scenario of ['no-common-coins', 'mexc-null-rate', 'mexc-fallback']) {
+    useScenario(scenario);
+    const { status } = await assertContract('funding-rates', { fresh: '1' }, 'FundingRatesResponse');
+    assert.equal(status, 200, scenario);
+  }
+});
+
+test('a venue that is down still matches FundingRatesResponse', async () => {
+  const { status, body } = await assertContract('funding-rates', { exchanges: 'binance,gate' }, 'FundingRatesResponse');
+  assert.equal(status, 200);
+  assert.equal(body.success, false);
+});
+
+test('opportunities match OpportunitiesResponse', async () => {
+  const { status, body } = await assertContract('opportunities', {}, 'OpportunitiesResponse');
+  assert.equal(status, 200);
+  assert.ok(body.opportunities.length > 0);
+});
+
+test('opportunities with a venue down match OpportunitiesResponse', async () => {
+  const { status, body } = await assertContract('opportunities', { exchanges: 'binance,mexc,gate' }, 'OpportunitiesResponse');
+  assert.equal(status, 200);
+  assert.equal(body.success, false);
+});
+
+test('recorded history matches FundingHistoryResponse', async () => {
+  await callHandler(v1('funding-rates'), { fresh: '1' });
+  const { status, body } = await assertContract('funding-history', { symbol: 'BTC' }, 'FundingHistoryResponse');
+  assert.equal(status, 200);
+  assert.ok(body.count > 0);
+});
+
+test('realized funding matches RealizedFundingResponse', async () => {
+  const { status } = await assertContract('realized-funding', { symbol: 'BTC' }, 'RealizedFundingResponse');
+  assert.equal(status, 200);
+});
+
+test('query errors match Error', async () => {
+  const { status } = await assertContract('funding-rates', { exchanges: 'nowhere' }, 'FundingRatesResponse');
+  assert.equal(status, 400);
+});
@@ -0,0 +1,65 @@
+const { callHandler } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toCsv, toNdjson } = require('../lib/formats');
+const handler = require('../api/funding-rates');
+
+const side = fields => ({ venueSymbol: 'BTCUSDT', fundingRate: '0.0100', fundingIntervalHours: 8, ...fields });
+
+test('CSV quotes separators, quotes and line breaks and leaves nulls empty', () => {
+  const row = {
+    symbol: 'BTC',
+    binance: side({ venueSymbol: 'BTC,"PERP"' }),
+    mexc: side({ venueSymbol: 'BTC\nUSDT', fundingRate: null }),
+    comparedExchanges: ['binance', 'mexc'],
+    fundingRateDifference: '0.0100'
+  };
+
+  const csv = toCsv([row], ['binance', 'mexc']);
+  const header = csv.slice(0, csv.indexOf('\n'));
+  const line = csv.slice(header.length + 1);
+  const columns = header.split(',');
+
+  assert.equal(columns[0], 'symbol');
+  assert.ok(columns.includes('binanceFundingRate') && columns.includes('mexcFundingRate') && columns.includes('spreadZScore'));
+  assert.ok(!columns.includes('accountNetExposureUsd'));
+  assert.ok(line.startsWith('BTC,"BTC,""PERP""",,,,0.0100,'));
+  assert.ok(line.includes(',"BTC\nUSDT",,,,,'));
+  assert.ok(line.includes(',binance/mexc,0.0100,'));
+  assert.ok(line.endsWith(',\n'));
+});
+
+test('account columns appear only for rows overlaid with account data', () => {
+  const row = {
+    symbol: 'BTC',
+    binance: side({ account: { position: { side: 'short', notionalUsd: 500 }, fundingPnlUsd: 1.5 } }),
+    mexc: side(),
+    comparedExchanges: ['binance', 'mexc'],
+    account: { netExposureUsd: -500, grossExposureUsd: 500, fundingPnlUsd: 1.5 }
+  };
+
+  const flat = JSON.parse(toNdjson([row], ['binance', 'mexc']));
+  assert.equal(flat.binancePositionSide, 'short');
+  assert.equal(flat.binancePositionNotionalUsd, 500);
+  assert.equal(flat.mexcPositionSide, null);
+  assert.equal(flat.accountNetExposureUsd, -500);
+  assert.match(toCsv([row], ['binance', 'mexc']).split('\n')[0], /,accountFundingPnlUsd$/);
+});
+
+test('CSV and NDJSON exports hold the same rows and columns', async () => {
+  const query = { exchanges: 'binance,mexc', sort: 'symbol' };
+  const csv = await callHandler(handler, { ...query, format: 'csv' });
+  const ndjson = await callHandler(handler, { ...query, format: 'ndjson' });
+
+  assert.equal(csv.status, 200);
+  assert.equal(csv.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.equal(ndjson.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+
+  const lines = ndjson.body.trimEnd().split('\n').map(line => JSON.parse(line));
+  const [header, ...rows] = csv.body.trimEnd().split('\n');
+  assert.ok(lines.length > 0);
+  assert.equal(rows.length, lines.length);
+  assert.deepEqual(header.split(','), Object.keys(lines[0]));
+  assert.deepEqual(rows.map(line => line.split(',')[0]), lines.map(flat => flat.symbol));
+});
@@ -0,0 +1,58 @@
+const { useScenario, callHandler } = require('./helpers');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const handler = require('../api/funding-rates');
+
+afterEach(() => useScenario());
+
+test('common coins are compared across the venues', async () => {
+  const { status, body } = await callHandler(handler, { exchanges: 'binance,mexc', fresh: '1' });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.summary.commonCoins, 3);
+  assert.deepEqual(body.summary.symbolMapping.unmatched, { binance: ['DOGE'], mexc: ['XRP'] });
+  assert.deepEqual(body.tableData.map(row => row.symbol).sort(), ['BTC', 'ETH', 'SOL']);
+
+  // SOL settles every 4h on Binance, so its 8h equivalent doubles
+  const sol = body.tableData.find(row => row.symbol === 'SOL');
+  assert.equal(sol.binance.fundingRate8h, -0.04);
+  assert.equal(sol.fundingRateDifference, 0.05);
+  assert.equal(sol.differenceCategory, 'MEDIUM');
+  assert.equal(sol.favorableExchange, 'BINANCE');
+});
+
+test('without common coins each venue is shown on its own', async () => {
+  // MEXC only lists XRP, which Binance doesn't
+  useScenario('no-common-coins');
+  const { status, body } = await callHandler(handler, { exchanges: 'binance,mexc', fresh: '1' });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.summary.commonCoins, 0);
+  assert.equal(body.summary.differenceStats.lowDifferences, 0);
+  assert.deepEqual(body.tableData.filter(row => row.comparedExchanges[0] === 'mexc').map(row => row.symbol), ['XRP']);
+  assert.deepEqual(body.tableData.filter(row => row.comparedExchanges[0] === 'binance').map(row => row.symbol), ['BTC', 'DOGE', 'ETH', 'SOL']);
+
+  body.tableData.forEach(row => {
+    const [id] = row.comparedExchanges;
+    assert.equal(row.favorableExchange, `${id.toUpperCase()}_ONLY`);
+    assert.equal(row.fundingRateDifference, null);
+    assert.equal(row.differenceCategory, null);
+    assert.equal(row.spreadZScore, null);
+  });
+});
+
+test('a venue that is down is reported instead of showing the others on their own', async () => {
+  // Nothing is recorded for Bybit, so it fails like an unreachable exchange
+  const { status, body, headers } = await callHandler(handler, { exchanges: 'binance,bybit' });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, false);
+  assert.equal(body.error, 'Exchange unavailable');
+  assert.match(body.message, /^Bybit: /);
+  assert.equal(body.health.bybit.status, 'down');
+  assert.deepEqual(body.tableData, []);
+  assert.match(headers['cache-control'], /no-store/);
+});
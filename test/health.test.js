@@ -0,0 +1,61 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { canRequest, recordSuccess, recordFailure, describeHealth } = require('../lib/health');
+
+const MINUTE = 60 * 1000;
+
+test('a half-open breaker lets a single trial through', t => {
+  let now = Date.parse('2026-01-01T00:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const failure = new Error('fetch failed');
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal(canRequest('binance'), true);
+    recordFailure('binance', failure, 100);
+  }
+  assert.equal(canRequest('binance'), false);
+
+  now += MINUTE;
+  assert.equal(canRequest('binance'), true);
+  assert.equal(canRequest('binance'), false);
+  assert.equal(describeHealth('binance', { hasData: false, fetchedAt: null, maxAgeMs: MINUTE }).circuit, 'half-open');
+
+  // The failed trial doubles the cooldown
+  recordFailure('binance', failure, 100);
+  now += MINUTE - 1;
+  assert.equal(canRequest('binance'), false);
+  now += 1;
+  assert.equal(canRequest('binance'), true);
+  recordSuccess('binance', 100);
+  assert.equal(canRequest('binance'), true);
+  assert.equal(canRequest('binance'), true);
+});
+
+test('a trial that never reports back frees the slot', t => {
+  let now = Date.parse('2026-01-01T00:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+
+  for (let attempt = 0; attempt < 3; attempt++) recordFailure('mexc', new Error('fetch failed'), 100);
+  now += MINUTE;
+  assert.equal(canRequest('mexc'), true);
+  now += MINUTE - 1;
+  assert.equal(canRequest('mexc'), false);
+  now += 1;
+  assert.equal(canRequest('mexc'), true);
+});
+
+test('stale depends on the age of the served rates, not on the last error', () => {
+  const now = Date.now();
+  recordFailure('bybit', new Error('ECONNRESET'), 100);
+
+  const fresh = describeHealth('bybit', { hasData: true, fetchedAt: now - 1000, maxAgeMs: MINUTE });
+  assert.equal(fresh.status, 'ok');
+  assert.equal(fresh.errorClass, 'network');
+  assert.equal(describeHealth('bybit', { hasData: true, fetchedAt: now - 2 * MINUTE, maxAgeMs: MINUTE }).status, 'stale');
+
+  recordSuccess('bybit', 100);
+  assert.equal(describeHealth('bybit', { hasData: true, fetchedAt: now - 2 * MINUTE, maxAgeMs: MINUTE }).status, 'stale');
+  assert.equal(describeHealth('bybit', { hasData: false, fetchedAt: null, maxAgeMs: MINUTE }).status, 'down');
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Shared setup of the test suite
+ *
+ * Tests run the real pipeline offline: every exchange request is replayed
+ * from the recording under fixtures/ (FUNDING_FIXTURES=replay), history and
+ * state go to a throwaway data directory and no alert configuration is picked
+ * up. Require this before anything from lib or api, the caches and stores
+ * read their settings on first use.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+process.env.FUNDING_FIXTURES = 'replay';
+process.env.FUNDING_FIXTURES_DIR = FIXTURES_DIR;
+process.env.FUNDING_STORE = 'memory';
+process.env.FUNDING_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'funding-test-'));
+process.env.ALERT_CONFIG = JSON.stringify({ rules: [], sinks: {} });
+delete process.env.VERCEL;
+
+process.on('exit', () => {
+  fs.rmSync(process.env.FUNDING_DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Replay a scenario on top of the recording. Scenarios under
+ * fixtures/scenarios hold only the responses that differ from it.
+ * @param {string} [scenario] - Scenario directory name, none for the plain recording
+ */
+function useScenario(scenario) {
+  process.env.FUNDING_FIXTURES_DIR = scenario ?
+    [path.join(FIXTURES_DIR, 'scenarios', scenario), FIXTURES_DIR].join(path.delimiter) :
+    FIXTURES_DIR;
+}
+
+/**
+ * Call a Vercel handler with a GET request
+ * @param {Function} handler - Vercel handler
+ * @param {Object} [query] - Query parameters
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<{status: number, headers: Object<string, string>, body: *}>} Response
+ */
+async function callHandler(handler, query = {}, headers = {}) {
+  const response = { status: null, headers: {}, body: null };
+  const res = {
+    setHeader: (name, value) => {
+      response.headers[name.toLowerCase()] = value;
+    },
+    status: code => {
+      response.status = code;
+      return {
+        json: data => {
+          response.body = data;
+        },
+        send: data => {
+          response.body = data;
+        },
+        end: () => {}
+      };
+    }
+  };
+
+  await handler({ method: 'GET', url: '/test', headers, query }, res);
+  return response;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  useScenario,
+  callHandler
+};
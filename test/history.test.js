@@ -0,0 +1,106 @@
+const { callHandler } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createJsonlStore } = require('../lib/storage/jsonl');
+const { createMemoryStore } = require('../lib/storage/memory');
+const { setStore } = require('../lib/storage');
+const { saveSnapshot } = require('../lib/history');
+const handler = require('../api/v1/funding-history');
+
+const DAY = 24 * 60 * 60 * 1000;
+const T = Date.parse('2026-01-01T00:00:00Z');
+
+const record = (exchange, symbol, timestamp, fundingRate = 0.01) => ({
+  timestamp,
+  source: 'snapshot',
+  exchange,
+  symbol,
+  marginType: 'usdt',
+  fullSymbol: `${symbol}/USDT:USDT`,
+  fundingRate
+});
+
+const rates = symbol => [{ symbol, fullSymbol: `${symbol}/USDT:USDT`, fundingRate: 0.01, marginType: 'usdt' }];
+
+test('the jsonl store reads days across exchanges oldest first and stops at the limit', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'funding-jsonl-'));
+  try {
+    const store = createJsonlStore({ dir });
+    await store.append([
+      record('mexc', 'BTC', T + DAY + 1),
+      record('binance', 'BTC', T + 2),
+      record('binance', 'ETH', T + 1),
+      record('mexc', 'BTC', T + 1),
+      record('binance', 'BTC', T + 2 * DAY),
+      { ...record('binance', 'ETH', T + 3), source: 'settlement' }
+    ]);
+    // A line cut short by a crash is skipped
+    fs.appendFileSync(path.join(dir, 'binance', '2026-01-01.jsonl'), '{"symbol":"BTC","timest');
+
+    const all = await store.query({ symbol: 'BTC' });
+    assert.deepEqual(all.map(item => [item.exchange, item.timestamp]), [
+      ['mexc', T + 1], ['binance', T + 2], ['mexc', T + DAY + 1], ['binance', T + 2 * DAY]
+    ]);
+
+    const first = await store.query({ symbol: 'BTC', limit: 3 });
+    assert.deepEqual(first, all.slice(0, 3));
+
+    const ranged = await store.query({ symbol: 'BTC', exchange: 'binance', from: T + DAY });
+    assert.deepEqual(ranged.map(item => item.timestamp), [T + 2 * DAY]);
+
+    const settlements = await store.query({ exchange: 'binance', source: 'settlement' });
+    assert.deepEqual(settlements.map(item => [item.symbol, item.timestamp]), [['ETH', T + 3]]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('snapshots are recorded once per period per exchange', async () => {
+  setStore(createMemoryStore());
+  const start = Date.parse('2026-02-01T00:00:00Z');
+
+  assert.equal(await saveSnapshot({ binance: rates('BTC') }, start), 1);
+  assert.equal(await saveSnapshot({ binance: rates('BTC') }, start + 60 * 1000), 0);
+  assert.equal(await saveSnapshot({ binance: rates('BTC'), mexc: rates('BTC') }, start + 2 * 60 * 1000), 1);
+  assert.equal(await saveSnapshot({ binance: rates('BTC') }, start + 15 * 60 * 1000), 1);
+});
+
+test('funding history pages through records sharing a timestamp without gaps or repeats', async () => {
+  const store = createMemoryStore();
+  const records = [
+    record('binance', 'BTC', T), record('mexc', 'BTC', T), record('bybit', 'BTC', T),
+    record('binance', 'BTC', T + 1), record('mexc', 'BTC', T + 1),
+    record('binance', 'BTC', T + 2)
+  ];
+  await store.append(records);
+  setStore(store);
+
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const { status, body } = await callHandler(handler, { symbol: 'BTC', limit: '2', cursor });
+    assert.equal(status, 200, body.message);
+    assert.ok(body.count <= 2);
+    Object.values(body.series).flat().sort((a, b) => a.timestamp - b.timestamp).forEach(item => seen.push(item));
+    cursor = body.pagination.nextCursor;
+    assert.equal(body.pagination.hasMore, cursor !== null);
+    pages++;
+  } while (cursor);
+
+  assert.equal(pages, 3);
+  assert.equal(seen.length, records.length);
+  assert.deepEqual(new Set(seen), new Set(records));
+});
+
+test('funding history rejects a bad limit or cursor', async () => {
+  for (const query of [{ limit: '0' }, { limit: '10001' }, { cursor: 'abc' }]) {
+    const { status, body } = await callHandler(handler, { symbol: 'BTC', ...query });
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  }
+});
@@ -0,0 +1,85 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fetchFundingRates, getClientWithMarkets } = require('../lib/exchanges');
+const {
+  calculateFundingInterval,
+  getFundingIntervalForSymbol,
+  parseIntervalHours
+} = require('../lib/exchanges/common');
+const { detectIntervalChanges } = require('../lib/intervals');
+
+const byContract = rows => Object.fromEntries(rows.map(row => [`${row.symbol}:${row.marginType}`, row]));
+
+test('interval strings parse into whole hours', () => {
+  assert.equal(parseIntervalHours('8h'), 8);
+  assert.equal(parseIntervalHours('480m'), 8);
+  assert.equal(parseIntervalHours('30m'), 1);
+  assert.equal(parseIntervalHours('0m'), null);
+  assert.equal(parseIntervalHours('8H'), null);
+  assert.equal(parseIntervalHours(8), null);
+  assert.equal(parseIntervalHours(undefined), null);
+});
+
+test('interval between two funding times rounds to hours', () => {
+  assert.equal(calculateFundingInterval(1000, 1000 + 4 * 60 * 60 * 1000 + 5000), 4);
+  assert.equal(calculateFundingInterval(null, 1000), null);
+  assert.equal(calculateFundingInterval(1000, undefined), null);
+});
+
+test('binance intervals come from fundingInfo, defaulting to 8h for contracts it does not list', async () => {
+  const rows = byContract(await fetchFundingRates('binance'));
+
+  assert.equal(rows['SOL:usdt'].fundingIntervalHours, 4);
+  assert.equal(rows['SOL:usdt'].fundingIntervalSource, 'fundingInfo');
+  assert.equal(rows['BTC:usdt'].fundingIntervalHours, 8);
+  assert.equal(rows['BTC:usdt'].fundingIntervalSource, 'fundingInfo');
+  assert.equal(rows['BTC:usdc'].fundingIntervalSource, 'fundingInfo');
+});
+
+test('binance COIN-M intervals come from settlement history, which a missed settlement does not skew', async () => {
+  const rows = byContract(await fetchFundingRates('binance'));
+
+  // Recorded gaps are 8h, 16h, 8h and 8h
+  assert.equal(rows['BTC:coin'].fundingIntervalHours, 8);
+  assert.equal(rows['BTC:coin'].fundingIntervalSource, 'history');
+
+  // A single settlement has no gap to measure, so the 8h guess is flagged
+  assert.equal(rows['ETH:coin'].fundingIntervalHours, 8);
+  assert.equal(rows['ETH:coin'].fundingIntervalSource, 'default');
+});
+
+test('history intervals are measured the same whatever order ccxt returns', async () => {
+  const client = await getClientWithMarkets('binance');
+  assert.equal(await getFundingIntervalForSymbol(client, 'BTC/USD:BTC'), 8);
+
+  const hour = 60 * 60 * 1000;
+  const newestFirst = { fetchFundingRateHistory: async () => [16, 12, 8, 4].map(hours => ({ timestamp: hours * hour })) };
+  assert.equal(await getFundingIntervalForSymbol(newestFirst, 'X'), 4);
+
+  const failing = { fetchFundingRateHistory: async () => { throw new Error('down'); } };
+  assert.equal(await getFundingIntervalForSymbol(failing, 'X'), null);
+});
+
+test('mexc intervals come from collectCycle', async () => {
+  const rows = byContract(await fetchFundingRates('mexc'));
+
+  assert.equal(rows['XRP:usdt'].fundingIntervalHours, 4);
+  assert.equal(rows['XRP:usdt'].fundingIntervalSource, 'collectCycle');
+  assert.equal(rows['BTC:usdt'].fundingIntervalHours, 8);
+});
+
+test('interval changes are recorded once, and fallback guesses never count as one', async () => {
+  const row = { symbol: 'SOL', marginType: 'usdt', fundingIntervalHours: 8, fundingIntervalSource: 'fundingInfo' };
+
+  assert.deepEqual(await detectIntervalChanges({ binance: [row] }), []);
+
+  const changes = await detectIntervalChanges({ binance: [{ ...row, fundingIntervalHours: 4 }] });
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].fromHours, 8);
+  assert.equal(changes[0].toHours, 4);
+
+  assert.deepEqual(await detectIntervalChanges({ binance: [{ ...row, fundingIntervalHours: 4 }] }), []);
+  assert.deepEqual(await detectIntervalChanges({ binance: [{ ...row, fundingIntervalSource: 'default' }] }), []);
+});
@@ -0,0 +1,40 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { withLiquidity, liquidityScore, tradabilityScore } = require('../lib/liquidity');
+
+test('the liquidity score averages the volume, open interest and spread scores it has', () => {
+  assert.equal(liquidityScore({ volume24hUsd: 1e9, openInterestUsd: 5e8, bidAskSpreadPct: 0.01 }), 100);
+  // Volume and open interest are scored on a log scale
+  assert.equal(liquidityScore({ volume24hUsd: 1e7, openInterestUsd: 1e5, bidAskSpreadPct: 0.5 }), 17);
+  assert.equal(liquidityScore({ volume24hUsd: 1e7, openInterestUsd: null, bidAskSpreadPct: 0.255 }), 50);
+  // Out of range values are clamped
+  assert.equal(liquidityScore({ volume24hUsd: 1e12, openInterestUsd: 10, bidAskSpreadPct: 5 }), 33);
+  assert.equal(liquidityScore({ volume24hUsd: 0, openInterestUsd: null, bidAskSpreadPct: null }), null);
+  assert.equal(liquidityScore({}), null);
+});
+
+test('a row is as tradable as its weaker side', () => {
+  assert.equal(tradabilityScore([{ liquidityScore: 80 }, { liquidityScore: 35 }]), 35);
+  assert.equal(tradabilityScore([{ liquidityScore: 0 }, { liquidityScore: null }]), 0);
+  assert.equal(tradabilityScore([{ liquidityScore: null }, {}]), null);
+});
+
+test('rows get every liquidity field, null where the venue has none', () => {
+  const rows = withLiquidity([
+    { symbol: 'BTC', fullSymbol: 'BTC/USDT:USDT' },
+    { symbol: 'ETH', fullSymbol: 'ETH/USDT:USDT' }
+  ], { 'BTC/USDT:USDT': { volume24hUsd: 5e9, bidAskSpreadPct: 0.001 } });
+
+  assert.deepEqual(rows[0], {
+    symbol: 'BTC',
+    fullSymbol: 'BTC/USDT:USDT',
+    volume24hUsd: 5e9,
+    openInterestUsd: null,
+    bidAskSpreadPct: 0.001,
+    maxLeverage: null,
+    maxOrderUsd: null
+  });
+  assert.equal(rows[1].volume24hUsd, null);
+});
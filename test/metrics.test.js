@@ -0,0 +1,50 @@
+const { callHandler } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { recordExchangeFetch, renderMetrics } = require('../lib/metrics');
+const handler = require('../api/metrics');
+
+test('metrics are grouped in families with escaped labels and without missing samples', () => {
+  recordExchangeFetch('binance', { success: true, durationMs: 1500 });
+  recordExchangeFetch('binance', { success: false, durationMs: 500 });
+
+  const text = renderMetrics({
+    ratesByExchange: {
+      binance: [{ symbol: 'A"B\\C', fundingRate: '0.0100', fundingIntervalHours: 4 }],
+      mexc: [{ symbol: 'BTC', fundingRate: null, fundingIntervalHours: 8 }]
+    },
+    comparisonTable: [],
+    exchangeIds: ['binance', 'mexc'],
+    basis: '8h',
+    duration: 250,
+    health: { binance: { status: 'ok', ageSeconds: 3 }, mexc: { status: 'down', ageSeconds: null } }
+  });
+  const lines = text.split('\n');
+
+  assert.ok(text.endsWith('\n'));
+  assert.equal(lines.filter(line => line === '# TYPE funding_rate_percent gauge').length, 1);
+  assert.ok(lines.includes('funding_rate_percent{exchange="binance",symbol="A\\"B\\\\C"} 0.01'));
+  assert.ok(lines.includes('funding_rate_8h_percent{exchange="binance",symbol="A\\"B\\\\C"} 0.02'));
+  assert.ok(!lines.some(line => line.startsWith('funding_rate_percent{exchange="mexc"')));
+  assert.ok(lines.includes('funding_snapshot_duration_seconds 0.25'));
+  assert.ok(lines.includes('funding_exchange_up{exchange="mexc"} 0'));
+  assert.ok(lines.includes('funding_exchange_fetch_success_total{exchange="binance"} 1'));
+  assert.ok(lines.includes('funding_exchange_fetch_failure_total{exchange="binance"} 1'));
+  assert.ok(lines.includes('funding_exchange_fetch_duration_seconds{exchange="binance"} 0.5'));
+  assert.ok(lines.includes('# TYPE funding_exchange_fetch_success_total counter'));
+});
+
+test('the metrics route serves the exposition format uncached', async () => {
+  const { status, headers, body } = await callHandler(handler, { exchanges: 'binance,mexc' });
+
+  assert.equal(status, 200);
+  assert.equal(headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8');
+  assert.equal(headers['cache-control'], 'no-store');
+  assert.match(body, /^funding_exchange_up\{exchange="binance"\} 1$/m);
+  assert.match(body, /^funding_spread_abs_percent\{symbol="[A-Z0-9]+",basis="8h"\} \d/m);
+  // Every sample line is a name, optional labels and a number
+  body.split('\n').filter(line => line && !line.startsWith('#')).forEach(line => {
+    assert.match(line, /^[a-z_0-9]+(\{[^}]*\})? -?[\d.e+-]+$/);
+  });
+});
@@ -0,0 +1,37 @@
+const { useScenario } = require('./helpers');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fetchFundingRates } = require('../lib/exchanges');
+
+afterEach(() => useScenario());
+
+test('mexc rates come from the bulk contract endpoint, priced from the contract ticker', async () => {
+  const rows = await fetchFundingRates('mexc');
+
+  assert.deepEqual(rows.map(row => row.symbol), ['BTC', 'ETH', 'SOL', 'XRP']);
+  rows.forEach(row => assert.equal(row.dataSource, 'rest'));
+
+  const btc = rows.find(row => row.symbol === 'BTC');
+  assert.equal(btc.fundingRate, 0.03);
+  assert.equal(btc.markPrice, 87005.5);
+  assert.equal(btc.fullSymbol, 'BTC/USDT:USDT');
+  assert.equal(btc.nextFundingDatetime, '2026-01-01T08:00:00.000Z');
+  // The settlement the rate is paid at, like every other adapter
+  assert.equal(btc.fundingTimestamp, btc.nextFundingTime);
+  assert.equal(btc.fundingDatetime, '2026-01-01T08:00:00.000Z');
+});
+
+test('mexc falls back to per-contract ccxt requests when the bulk endpoint refuses', async () => {
+  // funding_rate answers success: false; XRP's own request has no response either
+  useScenario('mexc-fallback');
+  const rows = await fetchFundingRates('mexc');
+
+  assert.deepEqual(rows.map(row => row.symbol), ['BTC', 'ETH', 'SOL']);
+  rows.forEach(row => {
+    assert.equal(row.dataSource, 'ccxt-symbol');
+    assert.equal(row.fundingIntervalSource, 'collectCycle');
+    assert.notEqual(row.markPrice, null);
+  });
+  assert.equal(rows[0].fundingRate, 0.03);
+});
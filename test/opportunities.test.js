@@ -0,0 +1,72 @@
+const { callHandler } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findOpportunities } = require('../lib/opportunities');
+const handler = require('../api/opportunities');
+
+test('the mark price basis is reported apart from the expected return', async () => {
+  const { status, body } = await callHandler(handler, { exchanges: 'binance,mexc' });
+
+  assert.equal(status, 200);
+  assert.equal(body.parameters.convergence, false);
+  body.opportunities.forEach(plan => {
+    assert.ok(Math.abs(plan.expectedReturn - (plan.fundingReturn - plan.feeCost)) < 1e-5);
+  });
+  assert.ok(body.opportunities.some(plan => plan.basis !== null && plan.basis !== 0));
+});
+
+test('convergence counts the basis in the expected return', async () => {
+  const { status, body } = await callHandler(handler, { exchanges: 'binance,mexc', convergence: '1' });
+
+  assert.equal(status, 200);
+  assert.equal(body.parameters.convergence, true);
+  body.opportunities.forEach(plan => {
+    assert.ok(Math.abs(plan.expectedReturn - (plan.fundingReturn - plan.feeCost + (plan.basis || 0))) < 1e-5);
+  });
+});
+
+test('a venue that is down is reported and the response is not cached', async () => {
+  // Nothing is recorded for Bybit, so it fails like an unreachable exchange
+  const { status, body, headers } = await callHandler(handler, { exchanges: 'binance,mexc,bybit' });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, false);
+  assert.equal(body.error, 'Exchange unavailable');
+  assert.match(body.message, /^Bybit: /);
+  assert.equal(body.health.bybit.status, 'down');
+  assert.ok(body.opportunities.length > 0);
+  assert.match(headers['cache-control'], /no-store/);
+});
+
+test('every venue down is an outage', async () => {
+  const { status, body } = await callHandler(handler, { exchanges: 'bybit,gate' });
+
+  assert.equal(status, 503);
+  assert.equal(body.success, false);
+  assert.equal(body.error, 'Exchange unavailable');
+});
+
+test('venues that are ambiguous for a symbol are left out of its plans', () => {
+  const row = (symbol, fundingRate, markPrice, extra = {}) => ({
+    symbol,
+    fullSymbol: `${symbol}/USDT:USDT`,
+    fundingRate,
+    fundingIntervalHours: 8,
+    nextFundingTime: null,
+    markPrice,
+    ...extra
+  });
+  const plans = findOpportunities({
+    binance: [row('BTC', 0.01, 60000), row('NEIRO', 0.01, 0.0012), row('PEPE', 0.01, 0.00001)],
+    mexc: [
+      row('BTC', 0.2, 60010),
+      // Another asset trading under the same ticker
+      row('NEIRO', 0.5, 0.09),
+      row('PEPE', 0.3, 0.00001, { venueSymbol: 'PEPE' }),
+      row('PEPE', 0.4, 0.00001, { venueSymbol: '1000PEPE', priceMultiplier: 1000 })
+    ]
+  }, ['binance', 'mexc']);
+
+  assert.deepEqual(plans.map(plan => plan.symbol), ['BTC']);
+});
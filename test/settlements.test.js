@@ -0,0 +1,104 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// Keep a capture that never answers short
+process.env.SETTLEMENT_CAPTURE_TIMEOUT_SECONDS = '0.2';
+
+const { getExchange } = require('../lib/exchanges');
+const { getDataDir, getStore } = require('../lib/storage');
+const { trackSettlements, waitForSettlementCaptures } = require('../lib/settlements');
+
+const HOUR = 60 * 60 * 1000;
+const T1 = Math.floor(Date.now() / HOUR) * HOUR;
+
+const btc = (fundingRate, nextFundingTime) => [{
+  symbol: 'BTC',
+  fullSymbol: 'BTC/USDT:USDT',
+  marginType: 'usdt',
+  fundingRate,
+  nextFundingTime
+}];
+
+const stateFile = (exchange, name) => path.join(getDataDir(), 'settlements', exchange, name);
+
+// The settled rates endpoint is answered by the test
+const binance = getExchange('binance');
+let answerSettledRates = () => new Promise(() => {});
+binance.fetchSettledRates = () => answerSettledRates();
+
+test('settlements are captured after the snapshot, and files are only rewritten when they change', async () => {
+  await trackSettlements('binance', btc(0.01, T1), T1 - HOUR);
+  assert.ok(fs.existsSync(stateFile('binance', 'tracking.json')));
+  assert.ok(!fs.existsSync(stateFile('binance', 'settled.json')));
+
+  // The settlement at T1 has happened; the snapshot doesn't wait for its rate
+  let answer;
+  answerSettledRates = () => new Promise(resolve => {
+    answer = resolve;
+  });
+  const [pending] = await trackSettlements('binance', btc(0.02, T1 + 8 * HOUR), T1 + 60 * 1000);
+  assert.equal(pending.lastSettledFundingRate, null);
+  for (let i = 0; i < 100 && !answer; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  answer([{ fullSymbol: 'BTC/USDT:USDT', timestamp: T1, fundingRate: 0.012 }]);
+  await waitForSettlementCaptures();
+
+  const [record] = await getStore().query({ symbol: 'BTC', source: 'settlement' });
+  assert.equal(record.fundingRate, 0.012);
+  assert.equal(record.predictedFundingRate, 0.01);
+  assert.equal(record.predictionError, 0.002);
+
+  const [settled] = await trackSettlements('binance', btc(0.02, T1 + 8 * HOUR), T1 + 2 * 60 * 1000);
+  assert.equal(settled.lastSettledFundingRate, 0.012);
+  assert.equal(settled.realizedFunding24h, 0.012);
+
+  // Rewrite both files in another layout: a snapshot that changes nothing leaves them alone
+  ['tracking.json', 'settled.json'].forEach(name => {
+    const file = stateFile('binance', name);
+    fs.writeFileSync(file, JSON.stringify(JSON.parse(fs.readFileSync(file, 'utf8')), null, 2));
+  });
+  await trackSettlements('binance', btc(0.02, T1 + 8 * HOUR), T1 + 3 * 60 * 1000);
+  assert.match(fs.readFileSync(stateFile('binance', 'tracking.json'), 'utf8'), /\n/);
+  assert.match(fs.readFileSync(stateFile('binance', 'settled.json'), 'utf8'), /\n/);
+
+  // A new prediction rewrites the tracking file only
+  await trackSettlements('binance', btc(0.03, T1 + 8 * HOUR), T1 + 4 * 60 * 1000);
+  assert.doesNotMatch(fs.readFileSync(stateFile('binance', 'tracking.json'), 'utf8'), /\n/);
+  assert.match(fs.readFileSync(stateFile('binance', 'settled.json'), 'utf8'), /\n/);
+});
+
+test('a capture that gets no answer gives up and leaves the settlement pending', async () => {
+  const T2 = T1 + 8 * HOUR;
+  answerSettledRates = () => new Promise(() => {});
+
+  const started = Date.now();
+  await trackSettlements('binance', btc(0.01, T2 + 8 * HOUR), T2 + 60 * 1000);
+  await waitForSettlementCaptures();
+  assert.ok(Date.now() - started < 5000);
+
+  const tracking = JSON.parse(fs.readFileSync(stateFile('binance', 'tracking.json'), 'utf8'));
+  assert.deepEqual(tracking.BTC.pending.map(item => item.settlementTime), [T2]);
+});
+
+test('state of the single state.json is carried over per exchange', async () => {
+  const legacy = {
+    mexc: {
+      ETH: { settled: [[T1, 0.005, 0.004]], pending: [], fullSymbol: 'ETH/USDT:USDT', symbol: 'ETH', marginType: 'usdt', predictedRate: 0.01, settlementTime: T1 + 8 * HOUR }
+    }
+  };
+  fs.mkdirSync(path.join(getDataDir(), 'settlements'), { recursive: true });
+  fs.writeFileSync(path.join(getDataDir(), 'settlements', 'state.json'), JSON.stringify(legacy));
+
+  const rows = [{ symbol: 'ETH', fullSymbol: 'ETH/USDT:USDT', marginType: 'usdt', fundingRate: 0.01, nextFundingTime: T1 + 8 * HOUR }];
+  const [eth] = await trackSettlements('mexc', rows, T1 + HOUR);
+
+  assert.equal(eth.lastSettledFundingRate, 0.005);
+  assert.equal(eth.lastPredictedFundingRate, 0.004);
+  assert.deepEqual(JSON.parse(fs.readFileSync(stateFile('mexc', 'settled.json'), 'utf8')), { ETH: [[T1, 0.005, 0.004]] });
+  assert.equal(JSON.parse(fs.readFileSync(stateFile('mexc', 'tracking.json'), 'utf8')).ETH.settled, undefined);
+});
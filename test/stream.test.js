@@ -0,0 +1,34 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Alert delivery fails on every refresh; the service destructures it on load
+const alerts = require('../lib/alerts');
+let evaluations = 0;
+alerts.evaluateAlerts = async () => {
+  evaluations++;
+  throw new Error('alert delivery failed');
+};
+
+const { startFundingStream } = require('../lib/stream/service');
+
+test('a refresh that fails after the fetch is logged, not left unhandled', async () => {
+  const rejections = [];
+  const onRejection = reason => rejections.push(reason);
+  process.on('unhandledRejection', onRejection);
+
+  const service = startFundingStream(['binance']);
+  try {
+    for (let i = 0; i < 50 && evaluations === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(evaluations, 1);
+    assert.ok(service.book.getRates(['binance']).binance.length > 0);
+    assert.deepEqual(rejections, []);
+  } finally {
+    await service.stop();
+    process.off('unhandledRejection', onRejection);
+  }
+});
@@ -0,0 +1,23 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const symbolMapFile = path.join(process.env.FUNDING_DATA_DIR, 'symbol-map.json');
+process.env.SYMBOL_MAP_FILE = symbolMapFile;
+
+const { resolveSymbols } = require('../lib/symbols');
+
+const resolve = () => resolveSymbols('mexc', [{ symbol: 'NEIROETH', fullSymbol: 'NEIROETH/USDT:USDT', markPrice: 0.09 }]);
+
+test('the symbol map is read once', () => {
+  fs.writeFileSync(symbolMapFile, JSON.stringify({ mexc: { NEIROETH: { symbol: 'NEIRO', multiplier: 10 } } }));
+  const [first] = resolve();
+  assert.deepEqual([first.symbol, first.priceMultiplier, first.markPrice], ['NEIRO', 10, 0.009]);
+
+  fs.rmSync(symbolMapFile);
+  const [second] = resolve();
+  assert.equal(second.symbol, 'NEIRO');
+  assert.equal(second.symbolSource, 'override');
+});
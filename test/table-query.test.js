@@ -0,0 +1,83 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTableQuery, applyTableQuery } = require('../lib/table-query');
+
+const EXCHANGES = ['binance', 'mexc'];
+
+const side = (fundingRateHourly, fundingIntervalHours, nextFundingDatetime) => ({
+  fundingRateHourly,
+  fundingIntervalHours,
+  nextFundingDatetime
+});
+
+const ROWS = [
+  {
+    symbol: 'BTC', fundingRateDifference: '0.0100', absoluteDifference: '0.0100', differenceCategory: 'MEDIUM',
+    adaptiveCategory: 'LOW', tradabilityScore: 90, spreadZScore: -3,
+    binance: side(0.001, 8, '2026-01-01T08:00:00Z'), mexc: side(0.0025, 8, '2026-01-01T08:00:00Z')
+  },
+  {
+    symbol: 'ETH', fundingRateDifference: '-0.0300', absoluteDifference: '0.0300', differenceCategory: 'HIGH',
+    adaptiveCategory: 'HIGH', tradabilityScore: 40, spreadZScore: 1,
+    binance: side(0.004, 4, '2026-01-01T04:00:00Z'), mexc: side(0.0002, 8, '2026-01-01T08:00:00Z')
+  },
+  {
+    symbol: 'DOGE', fundingRateDifference: '0.0020', absoluteDifference: '0.0020', differenceCategory: 'LOW',
+    adaptiveCategory: null, tradabilityScore: null, spreadZScore: null,
+    binance: side(null, 8, null), mexc: side(0.0003, 1, '2026-01-01T01:00:00Z')
+  }
+];
+
+/**
+ * Parse a query and apply it to ROWS
+ * @param {Object} query - Request query object
+ * @returns {{symbols: Array<string>, pagination: Object}} Symbols of the returned rows and the pagination
+ */
+function run(query) {
+  const errors = [];
+  const tableQuery = parseTableQuery(query, EXCHANGES, errors);
+  assert.deepEqual(errors, []);
+  const { rows, pagination } = applyTableQuery(ROWS, tableQuery, 'hourly', EXCHANGES);
+  return { symbols: rows.map(row => row.symbol), pagination };
+}
+
+test('invalid parameters are each reported', () => {
+  const errors = [];
+  parseTableQuery({ category: 'HUGE', interval: '0', sort: 'volume', order: 'up', limit: '0', minScore: '101' }, EXCHANGES, errors);
+
+  assert.equal(errors.length, 6);
+  assert.match(errors.join('\n'), /sort must be one of: .*binanceRate, mexcRate/);
+});
+
+test('filters combine', () => {
+  const filter = query => run({ ...query, sort: 'symbol' }).symbols;
+
+  assert.deepEqual(filter({ symbols: 'eth,BTC/USDT' }), ['BTC', 'ETH']);
+  assert.deepEqual(filter({ category: 'high,low' }), ['DOGE', 'ETH']);
+  assert.deepEqual(filter({ category: 'LOW', categoryBy: 'adaptive' }), ['BTC']);
+  assert.deepEqual(filter({ minAbsDiff: '0.005' }), ['BTC', 'ETH']);
+  // No liquidity data can't pass a score filter
+  assert.deepEqual(filter({ minScore: '30' }), ['BTC', 'ETH']);
+  assert.deepEqual(filter({ interval: '1,4' }), ['DOGE', 'ETH']);
+  assert.deepEqual(filter({ interval: '4', minScore: '50' }), []);
+});
+
+test('sorting is case-insensitive and rows without a value go last', () => {
+  assert.deepEqual(run({}).symbols, ['ETH', 'DOGE', 'BTC']);
+  assert.deepEqual(run({ sort: 'absdiff', order: 'desc' }).symbols, ['ETH', 'BTC', 'DOGE']);
+  assert.deepEqual(run({ sort: 'symbol' }).symbols, ['BTC', 'DOGE', 'ETH']);
+  assert.deepEqual(run({ sort: 'zScore', order: 'desc' }).symbols, ['BTC', 'ETH', 'DOGE']);
+  assert.deepEqual(run({ sort: 'score' }).symbols, ['ETH', 'BTC', 'DOGE']);
+  assert.deepEqual(run({ sort: 'binanceRate', order: 'desc' }).symbols, ['ETH', 'BTC', 'DOGE']);
+  assert.deepEqual(run({ sort: 'nextFunding' }).symbols, ['DOGE', 'ETH', 'BTC']);
+});
+
+test('pages are cut after filtering and sorting', () => {
+  const { symbols, pagination } = run({ sort: 'symbol', limit: '1', offset: '1' });
+
+  assert.deepEqual(symbols, ['DOGE']);
+  assert.deepEqual(pagination, { total: 3, offset: 1, limit: 1, returned: 1 });
+  assert.deepEqual(run({ offset: '5' }).pagination, { total: 3, offset: 5, limit: null, returned: 0 });
+});